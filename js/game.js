@@ -5,756 +5,6571 @@
 (function() {
     'use strict';
 
-    // Game state
-    let gameInstance = null;
-    let canvas, ctx;
-    let gameRunning = false;
-    let score = 0;
-    let highScore = localStorage.getItem('rocketDodgeHighScore') || 0;
-    let level = 1;
-    let frameCount = 0;
-    let animationId = null;
-
-    // Rocket Variables
-    const rocket = {
-        x: 100,
-        y: 0,
-        width: 40,
-        height: 40,
-        velocity: 0,
-        gravity: 0.5,
-        boost: -10,
-        hasShield: false,
-        shieldTime: 0,
-        rotation: 0
+    // Everything the game remembers lives under one versioned key
+    const SAVE_KEY = 'rocketDodgeSave';
+    const SAVE_VERSION = 1;
+
+    // Keys used before the save was versioned; migrated into it on first load
+    const LEGACY_HIGH_SCORE_KEY = 'rocketDodgeHighScore';
+    const LEGACY_UNLOCKED_LEVEL_KEY = 'rocketDodgeUnlockedLevel';
+
+    // The personal-best ghosts, one per difficulty (and any imported rival), live under their own key
+    // beside the save, so their per-tick trajectories aren't parsed every time the leaderboard is read
+    const GHOST_KEY = 'rocketDodgeGhost';
+    const GHOST_VERSION = 1;
+
+    // Ghosts stop recording after ten minutes of ticks
+    const MAX_GHOST_TICKS = 36000;
+
+    // Lifetime stats that add up run after run (deaths and the longest run are handled apart)
+    const STAT_TOTALS = ['runs', 'stars', 'shields', 'obstaclesPassed'];
+
+    // Achievements unlock once a declarative rule holds: `stat` names a lifetime stat (a dotted path
+    // such as 'deaths.ceiling' reaches into deaths), `run` a figure of the run in progress (score,
+    // ticks, level, stars, shields, obstaclesPassed), and `atLeast` the value it must reach
+    const ACHIEVEMENTS = {
+        firstFlight: { name: 'First Flight', description: 'Finish your first run', stat: 'runs', atLeast: 1 },
+        regular: { name: 'Regular', description: 'Play 50 runs', stat: 'runs', atLeast: 50 },
+        stargazer: { name: 'Stargazer', description: 'Collect 100 stars', stat: 'stars', atLeast: 100 },
+        shieldBearer: { name: 'Shield Bearer', description: 'Pick up 10 shields', stat: 'shields', atLeast: 10 },
+        icarus: { name: 'Icarus', description: 'Fly into the ceiling 10 times', stat: 'deaths.ceiling', atLeast: 10 },
+        needleThreader: { name: 'Needle Threader', description: 'Pass 25 obstacles in one run', run: 'obstaclesPassed', atLeast: 25 },
+        thousandClub: { name: 'Thousand Club', description: 'Score 1,000 in one run', run: 'score', atLeast: 1000 },
+        survivor: { name: 'Survivor', description: 'Stay airborne for two minutes', run: 'ticks', atLeast: 7200 },
+        deepSpace: { name: 'Deep Space', description: 'Reach level 5', run: 'level', atLeast: 5 }
     };
 
-    // Game Objects
-    let obstacles = [];
-    let stars = [];
-    let powerUps = [];
-    let particles = [];
-    let confettiParticles = [];
+    // Entries kept per leaderboard tab, and the name length allowed on them
+    const LEADERBOARD_SIZE = 10;
+    const MAX_NAME_LENGTH = 12;
+    const DEFAULT_PLAYER_NAME = 'Player';
 
-    // Game Settings
-    const obstacleSpeed = 2.5;
-    const obstacleGap = 250;
-    const obstacleFrequency = 140;
+    // Runs waiting for the score service are kept in the save so they survive going offline or a reload;
+    // failed submissions retry with a doubling delay
+    const MAX_PENDING_SCORES = 20;
+    const RETRY_BASE_MS = 2000;
+    const RETRY_MAX_MS = 60000;
 
-    // Background music (optional, muted by default)
-    let bgMusic = null;
+    // Stamped on recordings; replays from another version may not re-simulate identically
+    const GAME_VERSION = '1.6.0';
 
-    /**
-     * Initialize the game in a container
-     * @param {string} containerSelector - CSS selector for the container element
-     * @param {Object} options - Configuration options
-     * @param {number} options.width - Canvas width (default: 800)
-     * @param {number} options.height - Canvas height (default: 600)
-     * @param {boolean} options.music - Enable background music (default: false)
-     */
-    function initGame(containerSelector, options = {}) {
-        const container = typeof containerSelector === 'string' 
-            ? document.querySelector(containerSelector)
-            : containerSelector;
+    // Every live game on the page, keyed by its canvas
+    const instancesByCanvas = new Map();
 
-        if (!container) {
-            console.error('Game container not found:', containerSelector);
-            return;
-        }
+    // The game that receives gamepad input (the one the player last touched or focused)
+    let activeInstance = null;
 
-        // Default options
-        const config = {
-            width: options.width || 800,
-            height: options.height || 600,
-            music: options.music || false
+    /**
+     * Empty save data at the current version
+     */
+    function createSaveData() {
+        return {
+            version: SAVE_VERSION,
+            playerName: DEFAULT_PLAYER_NAME,
+            unlockedLevel: 1,
+            leaderboard: [],
+            pendingScores: [],
+            keyBindings: {},
+            audio: cleanAudioSettings(null),
+            accessibility: {},
+            stats: createStats(),
+            achievements: {}
         };
+    }
 
-        // Create canvas if it doesn't exist
-        let existingCanvas = container.querySelector('canvas');
-        if (existingCanvas) {
-            canvas = existingCanvas;
-            // Use existing dimensions if set, otherwise use config
-            if (!canvas.width || canvas.width === 300) {
-                canvas.width = config.width;
-            }
-            if (!canvas.height || canvas.height === 150) {
-                canvas.height = config.height;
+    /**
+     * Upgrade save data from any earlier version; version 0 is the old pair of loose keys
+     * @param {Object} raw - Parsed save data ({ version: 0, highScore, unlockedLevel } for the old keys)
+     * @returns {Object} Save data at SAVE_VERSION
+     */
+    function migrateSaveData(raw) {
+        if (!raw || typeof raw !== 'object') return createSaveData();
+        let data = raw;
+        if (!data.version) {
+            const legacyScore = parseInt(data.highScore, 10) || 0;
+            data = createSaveData();
+            data.unlockedLevel = Math.max(1, parseInt(raw.unlockedLevel, 10) || 1);
+            if (legacyScore > 0) {
+                data.leaderboard.push({ name: DEFAULT_PLAYER_NAME, score: legacyScore, level: null, date: null, day: null });
             }
-        } else {
-            canvas = document.createElement('canvas');
-            canvas.id = 'gameCanvas';
-            canvas.width = config.width;
-            canvas.height = config.height;
-            container.appendChild(canvas);
         }
+        const fresh = createSaveData();
+        return {
+            version: SAVE_VERSION,
+            playerName: cleanPlayerName(data.playerName) || fresh.playerName,
+            unlockedLevel: Math.max(1, parseInt(data.unlockedLevel, 10) || 1),
+            leaderboard: (Array.isArray(data.leaderboard) ? data.leaderboard : []).map(cleanEntry).filter(Boolean),
+            pendingScores: (Array.isArray(data.pendingScores) ? data.pendingScores : [])
+                .filter(item => item && item.payload && typeof item.payload === 'object')
+                .slice(-MAX_PENDING_SCORES),
+            keyBindings: cleanKeyBindings(data.keyBindings),
+            audio: cleanAudioSettings(data.audio),
+            accessibility: cleanAccessibilitySettings(data.accessibility),
+            stats: cleanStats(data.stats),
+            achievements: cleanAchievements(data.achievements)
+        };
+    }
 
-        ctx = canvas.getContext('2d');
-
-        // Initialize rocket position
-        rocket.y = canvas.height / 2;
+    /**
+     * Read the save data, migrating (and removing) the old keys the first time
+     */
+    function loadSaveData() {
+        try {
+            const stored = localStorage.getItem(SAVE_KEY);
+            if (stored) return migrateSaveData(JSON.parse(stored));
 
-        // Setup music if enabled
-        if (config.music) {
-            try {
-                bgMusic = new Audio('https://cdn.pixabay.com/audio/2022/10/16/audio_12b5b8b6b2.mp3');
-                bgMusic.loop = true;
-                bgMusic.volume = 0.25;
-            } catch(e) {
-                console.warn('Could not load background music:', e);
+            const legacyScore = localStorage.getItem(LEGACY_HIGH_SCORE_KEY);
+            const legacyLevel = localStorage.getItem(LEGACY_UNLOCKED_LEVEL_KEY);
+            const data = migrateSaveData({ version: 0, highScore: legacyScore, unlockedLevel: legacyLevel });
+            if (legacyScore !== null || legacyLevel !== null) {
+                saveSaveData(data);
+                localStorage.removeItem(LEGACY_HIGH_SCORE_KEY);
+                localStorage.removeItem(LEGACY_UNLOCKED_LEVEL_KEY);
             }
+            return data;
+        } catch(e) {
+            return createSaveData();
         }
+    }
 
-        // Reset game state
-        resetGame();
-
-        // Setup event listeners
-        setupEventListeners();
-
-        // Draw start screen
-        drawStartScreen();
+    /**
+     * Persist the save data
+     */
+    function saveSaveData(data) {
+        try {
+            localStorage.setItem(SAVE_KEY, JSON.stringify(data));
+        } catch(e) {}
+    }
 
-        // Update score display
-        updateScoreDisplay();
+    /**
+     * Trim a player name to something printable and short, or '' if nothing is left
+     */
+    function cleanPlayerName(name) {
+        return String(name || '').replace(/[^\x20-\x7E\u00A0-\uFFFF]/g, '').trim().slice(0, MAX_NAME_LENGTH);
+    }
 
-        gameInstance = {
-            canvas: canvas,
-            start: startGame,
-            restart: restartGame,
-            stop: stopGame
+    /**
+     * Validate a leaderboard entry from storage or an import
+     * @returns {Object|null} Entry with only the known fields, or null if it has no usable score
+     */
+    function cleanEntry(entry) {
+        if (!entry || typeof entry !== 'object') return null;
+        const score = Math.floor(Number(entry.score));
+        if (!isFinite(score) || score < 0) return null;
+        const date = entry.date && !isNaN(Date.parse(entry.date)) ? new Date(entry.date).toISOString() : null;
+        return {
+            name: cleanPlayerName(entry.name) || DEFAULT_PLAYER_NAME,
+            score: score,
+            level: Math.floor(Number(entry.level)) || null,
+            date: date,
+            day: date ? getDailyKey(new Date(date)) : null,
+            daily: !!entry.daily,
+            seed: entry.seed === undefined || entry.seed === null ? null : Number(entry.seed) >>> 0,
+            difficulty: typeof entry.difficulty === 'string' ? entry.difficulty : null,
+            assist: !!entry.assist
         };
-
-        return gameInstance;
     }
 
     /**
-     * Setup event listeners for game controls
+     * Leaderboard entries for a tab, best first
+     * @param {Object} data - Save data
+     * @param {string} tab - 'all' (all-time) or 'daily' (runs played today, UTC)
      */
-    function setupEventListeners() {
-        // Remove existing listeners if any
-        canvas.removeEventListener('click', handleInput);
-        document.removeEventListener('keydown', handleKeyDown);
-
-        // Add new listeners
-        canvas.addEventListener('click', handleInput);
-        document.addEventListener('keydown', handleKeyDown);
+    function getLeaderboardEntries(data, tab = 'all') {
+        const today = getDailyKey();
+        return data.leaderboard
+            .filter(entry => tab !== 'daily' || entry.day === today)
+            .sort(compareEntries)
+            .slice(0, LEADERBOARD_SIZE);
+    }
 
-        // Touch support for mobile
-        canvas.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            handleInput();
-        });
+    /**
+     * Higher score first; on a tie, whoever got there first
+     */
+    function compareEntries(a, b) {
+        return b.score - a.score || String(a.date || '').localeCompare(String(b.date || ''));
     }
 
     /**
-     * Handle keyboard input
+     * Add entries and drop any that no longer make either tab
+     * @returns {Object[]} The added entries that were kept
      */
-    function handleKeyDown(e) {
-        if (e.code === 'Space') {
-            e.preventDefault();
-            handleInput();
-        }
+    function addLeaderboardEntries(data, entries) {
+        data.leaderboard = data.leaderboard.concat(entries);
+        const kept = new Set(getLeaderboardEntries(data, 'all').concat(getLeaderboardEntries(data, 'daily')));
+        data.leaderboard = data.leaderboard.filter(entry => kept.has(entry)).sort(compareEntries);
+        return entries.filter(entry => kept.has(entry));
     }
 
     /**
-     * Handle input (click, space, touch)
+     * Best score on the all-time board
      */
-    function handleInput() {
-        if (!gameRunning) {
-            try {
-                if (bgMusic) {
-                    bgMusic.currentTime = 0;
-                    bgMusic.play();
-                }
-            } catch(e) {}
-            startGame();
-        } else {
-            rocket.velocity = rocket.boost;
-            createBoostParticles();
-        }
+    function getHighScore(data) {
+        const best = getLeaderboardEntries(data, 'all')[0];
+        return best ? best.score : 0;
     }
 
     /**
-     * Reset game state
+     * Serialize the leaderboard for backup or moving to another browser
      */
-    function resetGame() {
-        gameRunning = false;
-        score = 0;
-        level = 1;
-        frameCount = 0;
-        obstacles = [];
-        stars = [];
-        powerUps = [];
-        particles = [];
-        confettiParticles = [];
-        rocket.y = canvas.height / 2;
-        rocket.velocity = 0;
-        rocket.hasShield = false;
-        rocket.shieldTime = 0;
+    function exportLeaderboard(data) {
+        return JSON.stringify({
+            game: 'rocket-dodge',
+            version: SAVE_VERSION,
+            exported: new Date().toISOString(),
+            entries: data.leaderboard
+        }, null, 2);
     }
 
     /**
-     * Start the game
+     * Merge an exported leaderboard into the save data, skipping entries already present
+     * @param {Object} data - Save data
+     * @param {string|Object} json - Exported leaderboard (or a bare array of entries)
+     * @returns {number|null} Entries added, or null if the data can't be read
      */
-    function startGame() {
-        resetGame();
-        gameRunning = true;
-        const gameOverScreen = document.getElementById('gameOverScreen');
-        if (gameOverScreen) {
-            gameOverScreen.style.display = 'none';
-        }
-        if (animationId) {
-            cancelAnimationFrame(animationId);
+    function importLeaderboard(data, json) {
+        let raw = json;
+        try {
+            if (typeof json === 'string') raw = JSON.parse(json);
+        } catch(e) {
+            console.error('Could not read Rocket Dodge leaderboard:', e);
+            return null;
         }
-        gameLoop();
+        const list = Array.isArray(raw) ? raw : raw && Array.isArray(raw.entries) ? raw.entries : null;
+        if (!list) return null;
+
+        const key = entry => [entry.name, entry.score, entry.date, entry.seed].join('|');
+        const existing = new Set(data.leaderboard.map(key));
+        const incoming = list.map(cleanEntry).filter(entry => entry && !existing.has(key(entry)));
+        return addLeaderboardEntries(data, incoming).length;
     }
 
     /**
-     * Restart the game
+     * Validate a ghost from storage or an import
+     * @returns {Object|null} Ghost with only the known fields, or null if it has no usable trajectory
      */
-    function restartGame() {
-        startGame();
+    function cleanGhost(ghost) {
+        if (!ghost || typeof ghost !== 'object' || !Array.isArray(ghost.ys)) return null;
+        const ticks = Math.min(ghost.ys.length, MAX_GHOST_TICKS + 1);
+        const track = (list) => (Array.isArray(list) && list.length >= ticks ? list.slice(0, ticks).map(Number) : null);
+        const ys = track(ghost.ys);
+        const rotations = track(ghost.rotations);
+        const scores = track(ghost.scores);
+        if (!ticks || !rotations || !scores || ![ys, rotations, scores].every(list => list.every(isFinite))) return null;
+        const date = ghost.date && !isNaN(Date.parse(ghost.date)) ? new Date(ghost.date).toISOString() : null;
+        return {
+            version: GHOST_VERSION,
+            name: cleanPlayerName(ghost.name) || DEFAULT_PLAYER_NAME,
+            score: scores[ticks - 1],
+            date: date,
+            difficulty: typeof ghost.difficulty === 'string' ? ghost.difficulty : null,
+            width: Math.floor(Number(ghost.width)) || 800,
+            height: Math.floor(Number(ghost.height)) || 600,
+            ys: ys,
+            rotations: rotations,
+            scores: scores
+        };
     }
 
     /**
-     * Stop the game
+     * Read the stored ghosts. A single best ghost from before they were kept per difficulty is
+     * filed under its own difficulty
+     * @returns {Object} { best, rival }: the personal bests keyed by difficulty, and an imported
+     *          ghost or null
      */
-    function stopGame() {
-        gameRunning = false;
-        if (animationId) {
-            cancelAnimationFrame(animationId);
-            animationId = null;
+    function loadGhosts() {
+        try {
+            const raw = JSON.parse(localStorage.getItem(GHOST_KEY)) || {};
+            const stored = raw.best && typeof raw.best === 'object' ? raw.best : {};
+            const legacy = Array.isArray(stored.ys) ? cleanGhost(stored) : null;
+            const best = {};
+            if (legacy) {
+                best[legacy.difficulty || 'normal'] = legacy;
+            } else {
+                Object.keys(stored).forEach(difficulty => {
+                    const ghost = DIFFICULTIES[difficulty] ? cleanGhost(stored[difficulty]) : null;
+                    if (ghost) best[difficulty] = Object.assign(ghost, { difficulty: difficulty });
+                });
+            }
+            return { best: best, rival: cleanGhost(raw.rival) };
+        } catch(e) {
+            return { best: {}, rival: null };
         }
+    }
+
+    /**
+     * Persist the ghosts
+     */
+    function saveGhosts(ghosts) {
         try {
-            if (bgMusic) bgMusic.pause();
+            localStorage.setItem(GHOST_KEY, JSON.stringify(ghosts));
         } catch(e) {}
     }
 
     /**
-     * Draw start screen
+     * Lifetime stats with nothing counted yet
      */
-    function drawStartScreen() {
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        
-        ctx.fillStyle = '#fff';
-        ctx.font = 'bold 40px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText('Click or Press SPACE to Start!', canvas.width / 2, canvas.height / 2);
-        
-        // Draw sample rocket
-        drawRocket(canvas.width / 2 - 50, canvas.height / 2 + 50);
+    function createStats() {
+        return {
+            runs: 0,
+            stars: 0,
+            shields: 0,
+            obstaclesPassed: 0,
+            deaths: { ceiling: 0, floor: 0, obstacle: 0 },
+            longestRunTicks: 0
+        };
     }
 
     /**
-     * Main game loop
+     * Validate stats from the save: every count a whole number, zero if missing
      */
-    function gameLoop() {
-        if (!gameRunning || document.hidden) {
-            return;
-        }
-        
-        frameCount++;
-        
-        // Clear canvas
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        
-        // Update level based on score
-        level = Math.floor(score / 500) + 1;
-        
-        // Update rocket
-        updateRocket();
-        
-        // Generate obstacles
-        if (frameCount % (obstacleFrequency - level * 5) === 0) {
-            createObstacle();
-        }
-        
-        // Generate stars
-        if (frameCount % 80 === 0) {
-            createStar();
-        }
-        
-        // Generate power-ups
-        if (frameCount % 300 === 0) {
-            createPowerUp();
-        }
-        
-        // Update and draw game objects
-        updateObstacles();
-        updateStars();
-        updatePowerUps();
-        updateParticles();
-        updateConfetti();
-        
-        // Draw rocket
-        drawRocket(rocket.x, rocket.y);
-        
-        // Draw shield if active
-        if (rocket.hasShield) {
-            drawShield();
-        }
-        
-        // Update score
-        score += 1;
-        updateScoreDisplay();
-        
-        // Continue game loop
-        animationId = requestAnimationFrame(gameLoop);
+    function cleanStats(stats) {
+        const clean = createStats();
+        if (!stats || typeof stats !== 'object') return clean;
+        const count = (value) => Math.max(0, Math.floor(Number(value)) || 0);
+        STAT_TOTALS.forEach(key => { clean[key] = count(stats[key]); });
+        Object.keys(clean.deaths).forEach(key => { clean.deaths[key] = count(stats.deaths && stats.deaths[key]); });
+        clean.longestRunTicks = count(stats.longestRunTicks);
+        return clean;
     }
 
     /**
-     * Update rocket position and state
+     * Add one set of stats (usually a single run's) onto another
+     * @returns {Object} New stats; the inputs are left alone
      */
-    function updateRocket() {
-        rocket.velocity += rocket.gravity;
-        rocket.y += rocket.velocity;
-        rocket.rotation = rocket.velocity * 0.05;
-        
-        // Update shield timer
-        if (rocket.hasShield) {
-            rocket.shieldTime--;
-            if (rocket.shieldTime <= 0) {
-                rocket.hasShield = false;
-            }
-        }
-        
-        // Check boundaries
-        if (rocket.y + rocket.height > canvas.height || rocket.y < 0) {
-            if (!rocket.hasShield) {
-                endGame();
-            } else {
-                rocket.y = Math.max(0, Math.min(canvas.height - rocket.height, rocket.y));
-                rocket.velocity = 0;
-            }
-        }
-    }
-
-    /**
-     * Draw the rocket
-     */
-    function drawRocket(x, y) {
-        ctx.save();
-        ctx.translate(x + rocket.width / 2, y + rocket.height / 2);
-        ctx.rotate(rocket.rotation);
-        
-        // Rocket body (rounded)
-        ctx.fillStyle = '#ff6b6b';
-        ctx.beginPath();
-        ctx.moveTo(-rocket.width / 2, rocket.height / 2);
-        ctx.lineTo(-rocket.width / 2, -rocket.height / 2 + 10);
-        ctx.quadraticCurveTo(-rocket.width / 2, -rocket.height / 2, 0, -rocket.height / 2 - 10);
-        ctx.quadraticCurveTo(rocket.width / 2, -rocket.height / 2, rocket.width / 2, -rocket.height / 2 + 10);
-        ctx.lineTo(rocket.width / 2, rocket.height / 2);
-        ctx.closePath();
-        ctx.fill();
-        
-        // Rocket window
-        ctx.fillStyle = '#4ecdc4';
-        ctx.beginPath();
-        ctx.arc(0, -5, 8, 0, Math.PI * 2);
-        ctx.fill();
-        
-        // Rocket flames
-        if (gameRunning) {
-            ctx.save();
-            ctx.rotate(Math.random() * 0.1 - 0.05);
-            ctx.fillStyle = '#ffd93d';
-            ctx.beginPath();
-            ctx.moveTo(-rocket.width / 2, rocket.height / 2);
-            ctx.lineTo(-rocket.width / 2 - 15, rocket.height / 2 + Math.random() * 20);
-            ctx.lineTo(-rocket.width / 2, rocket.height / 2 - 10);
-            ctx.fill();
-            ctx.fillStyle = '#ff6b6b';
-            ctx.beginPath();
-            ctx.moveTo(-rocket.width / 2, rocket.height / 2 - 10);
-            ctx.lineTo(-rocket.width / 2 - 10, rocket.height / 2 + Math.random() * 15);
-            ctx.lineTo(-rocket.width / 2, rocket.height / 2 - 20);
-            ctx.fill();
-            ctx.restore();
-        }
-        ctx.restore();
+    function mergeStats(total, run) {
+        const merged = createStats();
+        STAT_TOTALS.forEach(key => { merged[key] = total[key] + run[key]; });
+        Object.keys(merged.deaths).forEach(key => { merged.deaths[key] = total.deaths[key] + run.deaths[key]; });
+        merged.longestRunTicks = Math.max(total.longestRunTicks, run.longestRunTicks);
+        return merged;
     }
 
     /**
-     * Create a new obstacle
+     * Validate unlocked achievements from the save: known ids, each with the date it unlocked
      */
-    function createObstacle() {
-        const minHeight = 80;
-        const maxHeight = canvas.height - obstacleGap - minHeight;
-        const topHeight = Math.random() * maxHeight + minHeight;
-        obstacles.push({
-            x: canvas.width,
-            topHeight: topHeight,
-            bottomY: topHeight + obstacleGap,
-            width: 80,
-            passed: false
+    function cleanAchievements(unlocked) {
+        const clean = {};
+        if (!unlocked || typeof unlocked !== 'object') return clean;
+        Object.keys(unlocked).forEach(id => {
+            if (!isNaN(Date.parse(unlocked[id]))) clean[id] = new Date(unlocked[id]).toISOString();
         });
+        return clean;
     }
 
     /**
-     * Update and draw obstacles
+     * Whether an achievement's rule holds
+     * @param {Object} definition - Entry in ACHIEVEMENTS
+     * @param {Object} stats - Lifetime stats, including the run in progress
+     * @param {Object} run - Figures of the run in progress
      */
-    function updateObstacles() {
-        for (let i = obstacles.length - 1; i >= 0; i--) {
-            const obs = obstacles[i];
-            obs.x -= obstacleSpeed + level * 0.5;
-            
-            // Draw obstacle (rounded, gradient)
-            let grad = ctx.createLinearGradient(obs.x, 0, obs.x + obs.width, 0);
-            grad.addColorStop(0, '#e74c3c');
-            grad.addColorStop(1, '#ffb347');
-            ctx.fillStyle = grad;
-            ctx.beginPath();
-            ctx.moveTo(obs.x, 0);
-            ctx.lineTo(obs.x + obs.width, 0);
-            ctx.lineTo(obs.x + obs.width, obs.topHeight - 20);
-            ctx.quadraticCurveTo(obs.x + obs.width / 2, obs.topHeight, obs.x, obs.topHeight - 20);
-            ctx.closePath();
-            ctx.fill();
-            ctx.beginPath();
-            ctx.moveTo(obs.x, obs.bottomY + 20);
-            ctx.quadraticCurveTo(obs.x + obs.width / 2, obs.bottomY, obs.x + obs.width, obs.bottomY + 20);
-            ctx.lineTo(obs.x + obs.width, canvas.height);
-            ctx.lineTo(obs.x, canvas.height);
-            ctx.closePath();
-            ctx.fill();
-            
-            // Add shine effect
-            ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
-            ctx.fillRect(obs.x, 0, 10, obs.topHeight);
-            ctx.fillRect(obs.x, obs.bottomY, 10, canvas.height - obs.bottomY);
-            
-            // Check collision
-            if (checkCollision(rocket, obs)) {
-                if (rocket.hasShield) {
-                    rocket.hasShield = false;
-                    rocket.shieldTime = 0;
-                    createExplosion(rocket.x, rocket.y, '#4ecdc4');
-                } else {
-                    endGame();
-                }
-            }
-            
-            // Award points for passing
-            if (!obs.passed && obs.x + obs.width < rocket.x) {
-                obs.passed = true;
-                score += 50;
-            }
-            
-            // Remove off-screen obstacles
-            if (obs.x + obs.width < 0) {
-                obstacles.splice(i, 1);
-            }
-        }
+    function achievementMet(definition, stats, run) {
+        const path = definition.stat || definition.run;
+        const value = String(path).split('.').reduce((source, key) => (source ? source[key] : undefined),
+            definition.stat ? stats : run);
+        return Number(value) >= definition.atLeast;
     }
 
     /**
-     * Create a collectible star
+     * Add or replace an achievement
+     * @param {string} id - Achievement id
+     * @param {Object} definition - { name, description, stat or run, atLeast }
      */
-    function createStar() {
-        stars.push({
-            x: canvas.width,
-            y: Math.random() * (canvas.height - 60) + 30,
-            size: 15,
-            collected: false
-        });
+    function registerAchievement(id, definition) {
+        ACHIEVEMENTS[id] = Object.assign({ name: id, description: '', atLeast: 1 }, definition);
     }
 
     /**
-     * Update and draw stars
+     * Read an exported ghost file
+     * @param {string|Object} json - Exported ghost
+     * @returns {Object|null} The ghost, or null if the data can't be read
      */
-    function updateStars() {
-        for (let i = stars.length - 1; i >= 0; i--) {
-            const star = stars[i];
-            star.x -= obstacleSpeed + level * 0.5;
-            
-            // Draw star
-            if (!star.collected) {
-                ctx.save();
-                ctx.translate(star.x, star.y);
-                ctx.rotate(frameCount * 0.05);
-                ctx.fillStyle = '#ffd700';
-                ctx.beginPath();
-                for (let j = 0; j < 5; j++) {
-                    ctx.lineTo(Math.cos((j * 4 * Math.PI) / 5) * star.size, 
-                              Math.sin((j * 4 * Math.PI) / 5) * star.size);
-                }
-                ctx.closePath();
-                ctx.fill();
-                ctx.restore();
-                
-                // Check collection
-                const dist = Math.hypot(rocket.x + rocket.width / 2 - star.x, 
-                                       rocket.y + rocket.height / 2 - star.y);
-                if (dist < star.size + rocket.width / 2) {
-                    star.collected = true;
-                    score += 100;
-                    createExplosion(star.x, star.y, '#ffd700');
-                }
-            }
-            
-            // Remove off-screen stars
-            if (star.x < -star.size) {
-                stars.splice(i, 1);
-            }
+    function decodeGhost(json) {
+        try {
+            return cleanGhost(typeof json === 'string' ? JSON.parse(json) : json);
+        } catch(e) {
+            console.error('Could not read Rocket Dodge ghost:', e);
+            return null;
         }
     }
 
+    // The simulation always advances in ticks of this length, whatever the display's refresh rate
+    const TICK_RATE = 60;
+    const TICK_MS = 1000 / TICK_RATE;
+
+    // Slack for floating-point drift when summing frame times, so a frame of exactly
+    // one tick always advances one tick
+    const TICK_EPSILON_MS = 1e-6;
+
+    // Longest frame gap simulated at once, so a stalled tab doesn't fast-forward the run
+    const MAX_FRAME_MS = 250;
+
+    // Line segments used when turning the drawn curves into hitbox outlines
+    const CURVE_SEGMENTS = 6;
+
+    // Shield duration in ticks (5 seconds)
+    const SHIELD_TICKS = 300;
+
+    // Most extra lives a rocket can bank
+    const MAX_LIVES = 3;
+
     /**
-     * Create a power-up
+     * Power-up definitions, keyed by the `type` stored on each spawned power-up.
+     * weight: relative spawn chance; duration: ticks the effect lasts (0 = instant);
+     * glyph/color/label: how the pickup and its HUD entry look;
+     * apply/tick/expire: hooks called as (state, effect) when collected, every tick
+     * while active, and when it runs out
      */
-    function createPowerUp() {
-        powerUps.push({
-            x: canvas.width,
-            y: Math.random() * (canvas.height - 60) + 30,
-            size: 20,
-            collected: false,
-            type: 'shield'
-        });
+    const POWER_UPS = {
+        shield: {
+            label: 'Shield',
+            glyph: '💎',
+            color: '#4ecdc4',
+            weight: 5,
+            duration: SHIELD_TICKS,
+            apply: (state, effect) => {
+                state.rocket.hasShield = true;
+                state.rocket.shieldTime = effect.remaining;
+            },
+            tick: (state, effect) => {
+                state.rocket.shieldTime = effect.remaining;
+            },
+            expire: (state) => {
+                state.rocket.hasShield = false;
+                state.rocket.shieldTime = 0;
+            }
+        },
+        slowmo: {
+            label: 'Slow-mo',
+            glyph: '⏳',
+            color: '#a78bfa',
+            weight: 2,
+            duration: 240,
+            apply: (state) => { state.modifiers.timeScale = 0.5; },
+            expire: (state) => { state.modifiers.timeScale = 1; }
+        },
+        magnet: {
+            label: 'Magnet',
+            glyph: '🧲',
+            color: '#f472b6',
+            weight: 2,
+            duration: 420,
+            apply: (state) => { state.modifiers.magnetRadius = 200; },
+            expire: (state) => { state.modifiers.magnetRadius = 0; }
+        },
+        multiplier: {
+            label: '2× Score',
+            glyph: '✖',
+            color: '#facc15',
+            weight: 2,
+            duration: 480,
+            apply: (state) => { state.modifiers.scoreMultiplier = 2; },
+            expire: (state) => { state.modifiers.scoreMultiplier = 1; }
+        },
+        shrink: {
+            label: 'Shrink',
+            glyph: '🔹',
+            color: '#60a5fa',
+            weight: 2,
+            duration: 360,
+            apply: (state) => { resizeRocket(state.rocket, 24); },
+            expire: (state) => { resizeRocket(state.rocket, 40); }
+        },
+        extraLife: {
+            label: 'Extra Life',
+            glyph: '❤',
+            color: '#f87171',
+            weight: 1,
+            duration: 0,
+            apply: (state) => { state.lives = Math.min(MAX_LIVES, state.lives + 1); }
+        }
+    };
+
+    /**
+     * Resize the rocket about its center
+     */
+    function resizeRocket(rocket, size) {
+        const shift = (rocket.width - size) / 2;
+        rocket.x += shift;
+        rocket.y += shift;
+        rocket.prevY += shift;
+        rocket.width = size;
+        rocket.height = size;
     }
 
     /**
-     * Update and draw power-ups
+     * Difficulty presets. Scroll speed grows by speedStep per level and the obstacle
+     * spawn interval shrinks by frequencyStep per level down to minObstacleFrequency;
+     * levels come every pointsPerLevel points up to maxLevel
      */
-    function updatePowerUps() {
-        for (let i = powerUps.length - 1; i >= 0; i--) {
-            const powerUp = powerUps[i];
-            powerUp.x -= obstacleSpeed + level * 0.5;
-            
-            // Draw power-up
-            if (!powerUp.collected) {
-                ctx.fillStyle = '#4ecdc4';
-                ctx.beginPath();
-                ctx.arc(powerUp.x, powerUp.y, powerUp.size, 0, Math.PI * 2);
-                ctx.fill();
-                
-                ctx.fillStyle = '#fff';
-                ctx.font = 'bold 16px Arial';
-                ctx.textAlign = 'center';
-                ctx.fillText('💎', powerUp.x, powerUp.y + 6);
-                
-                // Check collection
-                const dist = Math.hypot(rocket.x + rocket.width / 2 - powerUp.x, 
-                                       rocket.y + rocket.height / 2 - powerUp.y);
-                if (dist < powerUp.size + rocket.width / 2) {
-                    powerUp.collected = true;
-                    rocket.hasShield = true;
-                    rocket.shieldTime = 300;
-                    createExplosion(powerUp.x, powerUp.y, '#4ecdc4');
-                }
-            }
-            
-            // Remove off-screen power-ups
-            if (powerUp.x < -powerUp.size) {
-                powerUps.splice(i, 1);
-            }
+    const DIFFICULTIES = {
+        easy: {
+            obstacleSpeed: 2,
+            speedStep: 0.35,
+            obstacleGap: 300,
+            obstacleFrequency: 170,
+            frequencyStep: 4,
+            minObstacleFrequency: 80,
+            gravity: 0.4,
+            boost: -9,
+            pointsPerLevel: 700,
+            maxLevel: 15
+        },
+        normal: {
+            obstacleSpeed: 2.5,
+            speedStep: 0.5,
+            obstacleGap: 250,
+            obstacleFrequency: 140,
+            frequencyStep: 5,
+            minObstacleFrequency: 60,
+            gravity: 0.5,
+            boost: -10,
+            pointsPerLevel: 500,
+            maxLevel: 20
+        },
+        hard: {
+            obstacleSpeed: 3,
+            speedStep: 0.6,
+            obstacleGap: 210,
+            obstacleFrequency: 120,
+            frequencyStep: 5,
+            minObstacleFrequency: 50,
+            gravity: 0.55,
+            boost: -10.5,
+            pointsPerLevel: 400,
+            maxLevel: 25
         }
-    }
+    };
+
+    // Ticks without new obstacles after reaching a level, while its banner shows
+    const CHECKPOINT_TICKS = 90;
+
+    // Ticks the "Level N" banner stays up
+    const BANNER_TICKS = 120;
+
+    // Ticks each achievement toast stays up
+    const TOAST_TICKS = 180;
 
     /**
-     * Draw shield effect
+     * Authored levels, in order; runs past the last one stay on it.
+     * patterns: spawn weights for 'pipe', 'moving' (pipes oscillating vertically),
+     * 'asteroids' (a field of drifting rocks) and 'tunnel' (a boss run of pipes whose gap
+     * snakes up and down, spawned twice as often); gapScale: multiplies the difficulty's gap;
+     * gravity: -1 flips it; palette: sky gradient (null keeps the host's background),
+     * pipe gradient and asteroid color
      */
-    function drawShield() {
-        ctx.strokeStyle = `rgba(78, 205, 196, ${rocket.shieldTime / 300})`;
-        ctx.lineWidth = 3;
-        ctx.beginPath();
-        ctx.arc(rocket.x + rocket.width / 2, rocket.y + rocket.height / 2, 
-                rocket.width, 0, Math.PI * 2);
-        ctx.stroke();
-    }
+    const LEVELS = [
+        {
+            name: 'Launch',
+            patterns: { pipe: 1 },
+            palette: { sky: null, pipe: ['#e74c3c', '#ffb347'], asteroid: '#9ca3af' }
+        },
+        {
+            name: 'The Narrows',
+            patterns: { pipe: 1 },
+            gapScale: 0.9,
+            palette: { sky: ['#1e293b', '#0f172a'], pipe: ['#f97316', '#fde047'], asteroid: '#9ca3af' }
+        },
+        {
+            name: 'Drift',
+            patterns: { pipe: 1, moving: 2 },
+            palette: { sky: ['#0c4a6e', '#082f49'], pipe: ['#06b6d4', '#a5f3fc'], asteroid: '#9ca3af' }
+        },
+        {
+            name: 'Serpent Run',
+            boss: true,
+            patterns: { tunnel: 1 },
+            palette: { sky: ['#3b0764', '#1e1b4b'], pipe: ['#a855f7', '#f0abfc'], asteroid: '#c4b5fd' }
+        },
+        {
+            name: 'Asteroid Belt',
+            patterns: { pipe: 2, asteroids: 3 },
+            palette: { sky: ['#292524', '#0c0a09'], pipe: ['#78716c', '#d6d3d1'], asteroid: '#a8a29e' }
+        },
+        {
+            name: 'Upside Down',
+            gravity: -1,
+            patterns: { pipe: 2, moving: 1 },
+            palette: { sky: ['#14532d', '#052e16'], pipe: ['#22c55e', '#bbf7d0'], asteroid: '#9ca3af' }
+        },
+        {
+            name: 'Nebula',
+            patterns: { moving: 2, asteroids: 2 },
+            gapScale: 0.9,
+            palette: { sky: ['#4c0519', '#1e1b4b'], pipe: ['#f43f5e', '#fda4af'], asteroid: '#fb7185' }
+        },
+        {
+            name: 'Core Run',
+            boss: true,
+            patterns: { tunnel: 1 },
+            gapScale: 0.9,
+            palette: { sky: ['#431407', '#1c0a00'], pipe: ['#ea580c', '#fed7aa'], asteroid: '#fdba74' }
+        },
+        {
+            name: 'Deep Space',
+            patterns: { pipe: 1, moving: 2, asteroids: 2 },
+            gapScale: 0.85,
+            palette: { sky: ['#020617', '#000000'], pipe: ['#38bdf8', '#e0f2fe'], asteroid: '#94a3b8' }
+        }
+    ];
 
     /**
-     * Check collision between rocket and obstacle
+     * The authored definition for a level number
      */
-    function checkCollision(rocket, obstacle) {
-        return rocket.x < obstacle.x + obstacle.width &&
-               rocket.x + rocket.width > obstacle.x &&
-               (rocket.y < obstacle.topHeight || 
-                rocket.y + rocket.height > obstacle.bottomY);
+    function getLevelDefinition(level) {
+        return LEVELS[Math.max(0, Math.min(LEVELS.length, level) - 1)];
     }
 
     /**
-     * Create boost particles
+     * Settings for a difficulty preset with individual overrides applied
+     * @param {string} difficulty - 'easy', 'normal', 'hard' or 'custom' (normal plus the overrides)
+     * @param {Object} tuning - Overrides for any DIFFICULTIES field
+     * @returns {Object} Settings, with the preset name as `difficulty`
      */
-    function createBoostParticles() {
-        for (let i = 0; i < 5; i++) {
-            particles.push({
-                x: rocket.x,
-                y: rocket.y + rocket.height / 2,
-                vx: -Math.random() * 3 - 1,
-                vy: Math.random() * 4 - 2,
-                size: Math.random() * 4 + 2,
-                color: '#ffd93d',
-                life: 30
-            });
+    function resolveDifficulty(difficulty, tuning) {
+        let name = difficulty || 'normal';
+        if (name !== 'custom' && !DIFFICULTIES[name]) {
+            console.warn('Unknown Rocket Dodge difficulty:', difficulty);
+            name = 'normal';
         }
+        const settings = Object.assign({}, DIFFICULTIES[name] || DIFFICULTIES.normal);
+        Object.keys(tuning || {}).forEach(key => {
+            const value = Number(tuning[key]);
+            if (key in settings && isFinite(value)) {
+                settings[key] = value;
+            }
+        });
+        // Keep every level playable however the numbers were tuned
+        settings.minObstacleFrequency = Math.max(1, Math.round(settings.minObstacleFrequency));
+        settings.pointsPerLevel = Math.max(1, settings.pointsPerLevel);
+        settings.maxLevel = Math.max(1, Math.floor(settings.maxLevel));
+        settings.difficulty = name;
+        return settings;
     }
 
     /**
-     * Create explosion effect
+     * Look up a power-up definition, falling back to a plain marker for unknown types
      */
-    function createExplosion(x, y, color) {
-        for (let i = 0; i < 15; i++) {
-            const angle = (Math.PI * 2 * i) / 15;
-            particles.push({
-                x: x,
-                y: y,
-                vx: Math.cos(angle) * (Math.random() * 4 + 2),
-                vy: Math.sin(angle) * (Math.random() * 4 + 2),
-                size: Math.random() * 6 + 3,
-                color: color,
-                life: 40
-            });
-        }
+    function getPowerUpDefinition(type) {
+        return POWER_UPS[type] || { label: type, glyph: '?', color: '#fff', duration: 0 };
     }
 
     /**
-     * Update and draw particles
+     * Add or replace a power-up definition
+     * @param {string} type - Power-up type
+     * @param {Object} definition - Definition in the POWER_UPS format
      */
-    function updateParticles() {
-        for (let i = particles.length - 1; i >= 0; i--) {
-            const p = particles[i];
-            p.x += p.vx;
-            p.y += p.vy;
-            p.life--;
-            
-            // Draw particle
-            ctx.fillStyle = p.color;
-            ctx.globalAlpha = p.life / 40;
-            ctx.beginPath();
-            ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.globalAlpha = 1;
-            
-            // Remove dead particles
-            if (p.life <= 0) {
-                particles.splice(i, 1);
-            }
+    function registerPowerUp(type, definition) {
+        POWER_UPS[type] = Object.assign({ label: type, glyph: '?', color: '#fff', weight: 1, duration: 0 }, definition);
+    }
+
+    // Shortest side of the logical play area; anything less leaves no room for an obstacle gap
+    const MIN_VIEW_SIZE = 420;
+
+    // Largest backing store, as a multiple of the logical size, whatever the CSS size and density
+    const MAX_BACKING_SCALE = 4;
+
+    // On-canvas pause button, measured from the top-right corner
+    const PAUSE_BUTTON_SIZE = 36;
+    const PAUSE_BUTTON_MARGIN = 10;
+
+    // Keyboard actions and the KeyboardEvent.code values bound to them; hosts change them
+    // with the keys option and players with setKeyBinding()
+    const DEFAULT_KEY_BINDINGS = {
+        boost: ['Space'],
+        boost2: ['Enter', 'NumpadEnter'],
+        pause: ['KeyP', 'Escape'],
+        left: ['ArrowLeft'],
+        right: ['ArrowRight'],
+        up: ['ArrowUp'],
+        down: ['ArrowDown'],
+        faster: ['Equal', 'NumpadAdd'],
+        slower: ['Minus', 'NumpadSubtract'],
+        mute: ['KeyM'],
+        stats: ['KeyS']
+    };
+
+    // Names of the keyboard actions on the menu's Controls screen
+    const KEY_ACTION_LABELS = {
+        boost: 'Boost / start',
+        boost2: 'Player two boost',
+        pause: 'Pause / back',
+        left: 'Left',
+        right: 'Right',
+        up: 'Up',
+        down: 'Down',
+        faster: 'Replay faster',
+        slower: 'Replay slower',
+        mute: 'Mute',
+        stats: 'Stats'
+    };
+
+    // Standard-mapping gamepad buttons: A boosts (and starts a run), Start pauses
+    const GAMEPAD_BOOST_BUTTON = 0;
+    const GAMEPAD_PAUSE_BUTTON = 9;
+
+    // What the gamepad does in the canvas menus: A selects, B and Start go back, the d-pad moves
+    const GAMEPAD_MENU_BUTTONS = { 0: 'select', 1: 'back', 9: 'back', 12: 'up', 13: 'down', 14: 'left', 15: 'right' };
+
+    // What the keyboard actions do in the canvas menus
+    const MENU_KEY_ACTIONS = {
+        boost: 'select',
+        boost2: 'select',
+        pause: 'back',
+        up: 'up',
+        down: 'down',
+        left: 'left',
+        right: 'right'
+    };
+
+    // Canvas menu screens: a title and their items, top to bottom. Items are built per game by
+    // createMenuItem(); 'key:<action>' rebinds that keyboard action. The game-over screen's
+    // buttons sit in its own panel and it has no title
+    const MENU_SCREENS = {
+        main: {
+            title: 'Rocket Dodge',
+            items: ['play', 'settings', 'howToPlay', 'stats', 'close']
+        },
+        settings: {
+            title: 'Settings',
+            items: ['musicVolume', 'sfxVolume', 'mute', 'difficulty', 'startLevel', 'players', 'controls',
+                'reducedMotion', 'highContrast', 'showFps', 'assist', 'autopilot', 'back']
+        },
+        controls: {
+            title: 'Controls',
+            items: Object.keys(KEY_ACTION_LABELS).map(action => 'key:' + action).concat(['holdToBoost', 'resetKeys', 'back'])
+        },
+        howToPlay: {
+            title: 'How to Play',
+            items: ['back']
+        },
+        gameOver: {
+            title: null,
+            items: ['retry', 'menu']
         }
+    };
+
+    // Full-screen menu layout: where the first row starts, row pitch, widest row, and the line
+    // height of a screen's text
+    const MENU_TOP = 100;
+    const MENU_ROW_HEIGHT = 34;
+    const MENU_WIDTH = 420;
+    const MENU_LINE_HEIGHT = 24;
+
+    // With holdToBoost on, a held boost input boosts again every this many ticks
+    const HOLD_BOOST_TICKS = 12;
+
+    // Outline on the canvas while it has keyboard focus
+    const FOCUS_RING = { outline: '3px solid #4fc3f7', outlineOffset: '3px' };
+
+    // High-contrast colors from the colorblind-safe Okabe-Ito set: orange hazards with white
+    // edges, yellow stars and blue pickups on black, replacing every level's own palette
+    const HIGH_CONTRAST_PALETTE = {
+        sky: ['#000000', '#000000'],
+        pipe: ['#e69f00', '#e69f00'],
+        asteroid: '#e69f00',
+        edge: '#ffffff',
+        star: '#f0e442',
+        pickup: '#0072b2',
+        rocket: '#ffffff'
+    };
+
+    // Colors of the things a level palette doesn't set
+    const STANDARD_COLORS = { edge: null, star: '#ffd700', pickup: null, rocket: '#ff6b6b' };
+
+    // Assist mode plays the whole run at this fraction of normal speed
+    const ASSIST_SPEED = 0.7;
+
+    // Ticks the autopilot looks ahead, and how many ticks apart the boosts it plans can be
+    const AUTOPILOT_HORIZON = 64;
+    const AUTOPILOT_STEP = 4;
+
+    // Clearance in pixels the autopilot keeps around the rocket's outline
+    const AUTOPILOT_MARGIN = 4;
+
+    // Ticks the attract-mode demo lingers on a crash before flying a new course
+    const DEMO_RESTART_TICKS = 90;
+
+    // The demo waits for the start screen to sit this long without input (ms, unless the
+    // attractDelay option says otherwise), then lands again after this many ticks of flying
+    const DEMO_IDLE_MS = 15000;
+    const DEMO_MAX_TICKS = TICK_RATE * 60;
+
+    // Screen readers hear the score every this many points
+    const ANNOUNCE_SCORE_STEP = 500;
+
+    // Confetti hues; a fixed set so each color's sprite is drawn once
+    const CONFETTI_COLORS = Array.from({ length: 12 }, (_, i) => `hsl(${i * 30}, 80%, 60%)`);
+
+    // Particle dots are pre-rendered at this radius and scaled down to each particle's size
+    const DOT_SPRITE_RADIUS = 16;
+
+    // Particles fade out in this many opacity steps; each frame sets globalAlpha once per step
+    // in use rather than once per particle
+    const PARTICLE_ALPHA_STEPS = 10;
+
+    // Most particles and confetti pieces alive at once; bursts past it are cut short
+    const MAX_PARTICLES = 200;
+
+    // Frame-time overlay smoothing: weight of the newest frame in the running average
+    const FPS_SMOOTHING = 0.1;
+
+    // Hides the live region from sight but not from screen readers
+    const VISUALLY_HIDDEN = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;border:0;' +
+        'overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap';
+
+    // Callback options and the instance events they subscribe to
+    const CALLBACK_OPTIONS = {
+        onStart: 'start',
+        onScore: 'score',
+        onStar: 'star',
+        onPowerUp: 'powerup',
+        onPowerUpEnd: 'powerupend',
+        onLifeLost: 'lifelost',
+        onLevelUp: 'levelup',
+        onGameOver: 'gameover',
+        onNameEntry: 'nameentry',
+        onScoreSubmitted: 'scoresubmitted',
+        onPause: 'pause',
+        onResume: 'resume',
+        onAchievement: 'achievement',
+        onVersusEnd: 'versusend',
+        onAccessibilityChange: 'accessibility'
+    };
+
+    /**
+     * Validate key bindings from options or the save: known actions only, each a list of key codes
+     * (an empty list leaves the action unbound)
+     * @param {Object} bindings - { action: code or [codes] }
+     */
+    function cleanKeyBindings(bindings) {
+        const clean = {};
+        if (!bindings || typeof bindings !== 'object') return clean;
+        Object.keys(DEFAULT_KEY_BINDINGS).forEach(action => {
+            const codes = bindings[action];
+            if (typeof codes === 'string' || Array.isArray(codes)) {
+                clean[action] = [].concat(codes).filter(code => typeof code === 'string' && code);
+            }
+        });
+        return clean;
     }
 
     /**
-     * Create confetti effect
+     * Default key bindings with each layer of overrides applied in turn
      */
-    function createConfetti() {
-        for (let i = 0; i < 120; i++) {
-            confettiParticles.push({
-                x: Math.random() * canvas.width,
-                y: -20,
-                vx: Math.random() * 4 - 2,
-                vy: Math.random() * 4 + 2,
-                size: Math.random() * 8 + 4,
-                color: `hsl(${Math.random() * 360}, 80%, 60%)`,
-                life: Math.random() * 60 + 60
-            });
-        }
+    function resolveKeyBindings(...layers) {
+        return Object.assign({}, DEFAULT_KEY_BINDINGS, ...layers.map(cleanKeyBindings));
     }
 
     /**
-     * Update and draw confetti
+     * Validate saved accessibility choices; only the ones the player made are kept
+     * @returns {Object} Any of { reducedMotion, highContrast, assist, autopilot } as booleans
      */
-    function updateConfetti() {
-        for (let i = confettiParticles.length - 1; i >= 0; i--) {
-            const c = confettiParticles[i];
-            c.x += c.vx;
-            c.y += c.vy;
-            c.vy += 0.05;
-            c.life--;
-            ctx.save();
-            ctx.globalAlpha = Math.max(0, c.life / 120);
-            ctx.fillStyle = c.color;
-            ctx.beginPath();
-            ctx.arc(c.x, c.y, c.size, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.restore();
-            if (c.life <= 0 || c.y > canvas.height + 20) {
-                confettiParticles.splice(i, 1);
-            }
-        }
+    function cleanAccessibilitySettings(settings) {
+        const clean = {};
+        if (!settings || typeof settings !== 'object') return clean;
+        ['reducedMotion', 'highContrast', 'assist', 'autopilot'].forEach(key => {
+            if (typeof settings[key] === 'boolean') clean[key] = settings[key];
+        });
+        return clean;
+    }
+
+    /**
+     * Action a key code is bound to, or null
+     */
+    function getKeyAction(bindings, code) {
+        return Object.keys(bindings).find(action => bindings[action].includes(code)) || null;
     }
 
     /**
-     * Update score display
+     * Short on-screen name for a key code: KeyP is P, Digit1 is 1, ArrowLeft is ←,
+     * NumpadEnter is Numpad Enter
      */
-    function updateScoreDisplay() {
-        const scoreDisplay = document.getElementById('scoreDisplay');
-        const highScoreDisplay = document.getElementById('highScoreDisplay');
-        const levelDisplay = document.getElementById('levelDisplay');
-        
-        if (scoreDisplay) scoreDisplay.textContent = score;
-        if (highScoreDisplay) highScoreDisplay.textContent = highScore;
-        if (levelDisplay) levelDisplay.textContent = level;
+    function formatKeyCode(code) {
+        const names = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Escape: 'Esc' };
+        if (names[code]) return names[code];
+        if (/^(Key|Digit)./.test(code)) return code.replace(/^(Key|Digit)/, '');
+        return code.replace(/([a-z])([A-Z0-9])/g, '$1 $2');
     }
 
     /**
-     * End the game
+     * Connected gamepads ([] where the Gamepad API is missing)
      */
-    function endGame() {
-        gameRunning = false;
+    function getGamepads() {
         try {
-            if (bgMusic) bgMusic.pause();
-        } catch(e) {}
-        
-        createConfetti();
-        
-        // Update high score
-        if (score > highScore) {
-            highScore = score;
-            localStorage.setItem('rocketDodgeHighScore', highScore);
-        }
-        
-        // Show game over screen
-        const gameOverScreen = document.getElementById('gameOverScreen');
-        const finalScore = document.getElementById('finalScore');
-        const finalHighScore = document.getElementById('finalHighScore');
-        
-        if (gameOverScreen) gameOverScreen.style.display = 'block';
-        if (finalScore) finalScore.textContent = score;
-        if (finalHighScore) finalHighScore.textContent = highScore;
-        
-        updateScoreDisplay();
-        
-        // Play confetti for a few seconds
-        let confettiFrames = 0;
-        function confettiLoop() {
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-            updateConfetti();
-            if (confettiFrames++ < 120) {
-                requestAnimationFrame(confettiLoop);
-            }
+            return navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(Boolean) : [];
+        } catch(e) {
+            return [];
         }
-        confettiLoop();
     }
 
-    // Handle page visibility to pause game
-    document.addEventListener('visibilitychange', () => {
-        if (document.hidden && gameRunning) {
-            // Game will pause naturally in gameLoop
+    /**
+     * Turn a number or string into a 32-bit seed
+     * @param {number|string} value - Seed value
+     */
+    function normalizeSeed(value) {
+        if (typeof value === 'number' && isFinite(value)) {
+            return value >>> 0;
         }
-    });
+        return hashString(String(value));
+    }
 
-    // Auto-initialize if canvas exists on page load (standalone mode)
-    function autoInit() {
-        const existingCanvas = document.getElementById('gameCanvas');
-        if (existingCanvas && !gameInstance) {
-            // Find the parent container
-            const container = existingCanvas.parentElement;
-            if (container) {
-                initGame(container, { 
-                    width: existingCanvas.width || 800, 
-                    height: existingCanvas.height || 600 
-                });
-            }
+    /**
+     * 32-bit FNV-1a hash of a string
+     */
+    function hashString(text) {
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
         }
+        return hash >>> 0;
+    }
+
+    /**
+     * Seedable pseudo-random generator (mulberry32)
+     * @param {number} seed - 32-bit seed
+     * @returns {Function} Generator returning floats in [0, 1)
+     */
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return function random() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
     }
 
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', autoInit);
-    } else {
-        autoInit();
+    /**
+     * Today's daily challenge date (UTC, so every timezone shares one course)
+     */
+    function getDailyKey(date = new Date()) {
+        return date.toISOString().slice(0, 10);
     }
 
-    // Export initGame function globally
-    window.initGame = initGame;
+    /**
+     * Serialize a run recording to a compact base64 string
+     * @param {Object} recording - Recording from a finished run
+     */
+    function encodeRecording(recording) {
+        // Boost ticks are stored as gaps from the previous boost to keep the string short
+        let previous = 0;
+        const json = JSON.stringify({
+            v: recording.version,
+            s: recording.seed,
+            w: recording.width,
+            h: recording.height,
+            b: recording.boosts.map(tick => {
+                const delta = tick - previous;
+                previous = tick;
+                return delta;
+            }),
+            t: recording.ticks,
+            sc: recording.score,
+            p: recording.powerUps,
+            d: recording.difficulty,
+            tu: recording.tuning,
+            lv: recording.startLevel
+        });
+        return typeof btoa === 'function' ? btoa(json) : Buffer.from(json).toString('base64');
+    }
+
+    /**
+     * Read a recording from a base64 string, JSON string or object
+     * @param {string|Object} data - Exported recording
+     * @returns {Object|null} Recording, or null if it can't be read
+     */
+    function decodeRecording(data) {
+        if (!data) return null;
+        if (typeof data === 'object' && Array.isArray(data.boosts)) return data;
+
+        let raw = data;
+        try {
+            if (typeof data === 'string') {
+                const json = data.trim().charAt(0) === '{'
+                    ? data
+                    : (typeof atob === 'function' ? atob(data.trim()) : Buffer.from(data, 'base64').toString());
+                raw = JSON.parse(json);
+            }
+        } catch(e) {
+            console.error('Could not read Rocket Dodge recording:', e);
+            return null;
+        }
+        if (!raw || !Array.isArray(raw.b)) return null;
+
+        let tick = 0;
+        return {
+            version: raw.v,
+            seed: raw.s >>> 0,
+            width: raw.w,
+            height: raw.h,
+            boosts: raw.b.map(delta => (tick += delta)),
+            ticks: raw.t,
+            score: raw.sc,
+            powerUps: Array.isArray(raw.p) ? raw.p : undefined,
+            difficulty: raw.d,
+            tuning: raw.tu,
+            startLevel: raw.lv
+        };
+    }
+
+    /**
+     * Turn a recording's boost ticks into a per-tick input source
+     * @param {Object} recording - Decoded recording
+     * @returns {Function} Called with a tick number, true when that tick boosts
+     */
+    function createRecordingInput(recording) {
+        let next = 0;
+        return function boostsOnTick(tick) {
+            let boost = false;
+            while (next < recording.boosts.length && recording.boosts[next] <= tick) {
+                if (recording.boosts[next] === tick) boost = true;
+                next++;
+            }
+            return boost;
+        };
+    }
+
+    /**
+     * Points along a quadratic curve, excluding the start point
+     */
+    function sampleQuadratic(x0, y0, cx, cy, x1, y1, points) {
+        const segments = CURVE_SEGMENTS;
+        for (let i = 1; i <= segments; i++) {
+            const t = i / segments;
+            const u = 1 - t;
+            points.push({
+                x: u * u * x0 + 2 * u * t * cx + t * t * x1,
+                y: u * u * y0 + 2 * u * t * cy + t * t * y1
+            });
+        }
+        return points;
+    }
+
+    /**
+     * Rocket outline as drawn by drawRocket: square tail, curved nose, rotated about its center
+     * @returns {Array} Convex polygon as {x, y} points
+     */
+    function getRocketHitbox(rocket) {
+        const hw = rocket.width / 2;
+        const hh = rocket.height / 2;
+        const local = [{ x: -hw, y: hh }, { x: -hw, y: -hh + 10 }];
+        sampleQuadratic(-hw, -hh + 10, -hw, -hh, 0, -hh - 10, local);
+        sampleQuadratic(0, -hh - 10, hw, -hh, hw, -hh + 10, local);
+        local.push({ x: hw, y: hh });
+
+        const cos = Math.cos(rocket.rotation);
+        const sin = Math.sin(rocket.rotation);
+        const cx = rocket.x + hw;
+        const cy = rocket.y + hh;
+        return local.map(p => ({
+            x: cx + p.x * cos - p.y * sin,
+            y: cy + p.x * sin + p.y * cos
+        }));
+    }
+
+    /**
+     * Obstacle pipes as drawn, including the curved lips
+     * @param {Object} obstacle - Obstacle
+     * @param {number} height - Playfield height (bottom of the lower pipe)
+     * @returns {Array} Two convex polygons: top pipe and bottom pipe
+     */
+    function getObstacleHitboxes(obstacle, height) {
+        const x = obstacle.x;
+        const w = obstacle.width;
+        const top = [{ x: x, y: 0 }, { x: x + w, y: 0 }, { x: x + w, y: obstacle.topHeight - 20 }];
+        sampleQuadratic(x + w, obstacle.topHeight - 20, x + w / 2, obstacle.topHeight, x, obstacle.topHeight - 20, top);
+
+        const bottom = [{ x: x, y: obstacle.bottomY + 20 }];
+        sampleQuadratic(x, obstacle.bottomY + 20, x + w / 2, obstacle.bottomY, x + w, obstacle.bottomY + 20, bottom);
+        bottom.push({ x: x + w, y: height }, { x: x, y: height });
+        return [top, bottom];
+    }
+
+    /**
+     * Stars and gems collide as circles of their drawn radius
+     */
+    function getPickupHitbox(pickup) {
+        return { x: pickup.x, y: pickup.y, radius: pickup.size };
+    }
+
+    /**
+     * Project a polygon onto an axis
+     */
+    function projectPolygon(points, ax, ay) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < points.length; i++) {
+            const d = points[i].x * ax + points[i].y * ay;
+            if (d < min) min = d;
+            if (d > max) max = d;
+        }
+        return { min: min, max: max };
+    }
+
+    /**
+     * Separating-axis test for two convex polygons
+     */
+    function polygonsIntersect(a, b) {
+        const polygons = [a, b];
+        for (let p = 0; p < 2; p++) {
+            const points = polygons[p];
+            for (let i = 0; i < points.length; i++) {
+                const next = points[(i + 1) % points.length];
+                const ax = -(next.y - points[i].y);
+                const ay = next.x - points[i].x;
+                if (ax === 0 && ay === 0) continue;
+                const pa = projectPolygon(a, ax, ay);
+                const pb = projectPolygon(b, ax, ay);
+                if (pa.max < pb.min || pb.max < pa.min) return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Circle against convex polygon: center inside, or any edge within the radius
+     */
+    function circleIntersectsPolygon(circle, points) {
+        let inside = true;
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            const ex = b.x - a.x;
+            const ey = b.y - a.y;
+            const lengthSq = ex * ex + ey * ey;
+            const t = lengthSq ? Math.max(0, Math.min(1, ((circle.x - a.x) * ex + (circle.y - a.y) * ey) / lengthSq)) : 0;
+            const dx = circle.x - (a.x + ex * t);
+            const dy = circle.y - (a.y + ey * t);
+            if (dx * dx + dy * dy < circle.radius * circle.radius) return true;
+            if (ex * (circle.y - a.y) - ey * (circle.x - a.x) < 0) inside = false;
+        }
+        // Outlines are wound clockwise on screen (y down), so inside is never on an edge's negative side
+        return inside;
+    }
+
+    /**
+     * Asteroids collide as circles; x is the left edge, y the center
+     */
+    function getAsteroidHitbox(asteroid) {
+        return { x: asteroid.x + asteroid.radius, y: asteroid.y, radius: asteroid.radius };
+    }
+
+    /**
+     * Check collision between rocket and obstacle
+     * @param {Object} rocket - Rocket
+     * @param {Object} obstacle - Obstacle
+     * @param {number} height - Playfield height (default: 600)
+     */
+    function checkCollision(rocket, obstacle, height = 600) {
+        // Cheap horizontal reject before building outlines (the nose can reach 10px past the box)
+        const reach = rocket.width / 2 + rocket.height / 2 + 10;
+        const cx = rocket.x + rocket.width / 2;
+        if (cx + reach < obstacle.x || cx - reach > obstacle.x + obstacle.width) {
+            return false;
+        }
+        const hull = getRocketHitbox(rocket);
+        if (obstacle.kind === 'asteroid') {
+            return circleIntersectsPolygon(getAsteroidHitbox(obstacle), hull);
+        }
+        const pipes = getObstacleHitboxes(obstacle, height);
+        return polygonsIntersect(hull, pipes[0]) || polygonsIntersect(hull, pipes[1]);
+    }
+
+    /**
+     * Check whether the rocket touches a star or power-up
+     */
+    function checkPickup(rocket, pickup) {
+        return circleIntersectsPolygon(getPickupHitbox(pickup), getRocketHitbox(rocket));
+    }
+
+    /**
+     * Free list of reusable objects, so short-lived entities don't allocate on every spawn
+     * @param {Function} create - Makes a new object when none is free
+     * @returns {Object} Pool with acquire(), release(item) and size()
+     */
+    function createPool(create) {
+        const free = [];
+        return {
+            acquire: () => (free.length ? free.pop() : create()),
+            release: (item) => { free.push(item); },
+            size: () => free.length
+        };
+    }
+
+    /**
+     * Remove an item in constant time by moving the last item into its slot; safe inside a
+     * loop that walks the list backwards, since the moved item has already been visited
+     */
+    function swapRemove(list, index) {
+        const last = list.pop();
+        if (index < list.length) list[index] = last;
+    }
+
+    /**
+     * Create the game rules without any drawing or DOM access, so runs can be
+     * stepped headlessly (tests, bots, replay verification) as well as on a canvas
+     * @param {Object} options - Simulation options
+     * @param {number} options.width - Playfield width (default: 800)
+     * @param {number} options.height - Playfield height (default: 600)
+     * @param {number|string} options.seed - Seed for the first run (default: 0)
+     * @param {string[]} options.powerUps - Power-up types that can spawn (default: all registered)
+     * @param {string} options.difficulty - Difficulty preset (default: 'normal')
+     * @param {Object} options.tuning - Overrides for individual difficulty settings
+     * @param {number} options.startLevel - Level to start on (default: 1)
+     * @param {Function} options.onEvent - Called as (type, detail) for boost, levelup, score,
+     *        star, powerup, powerupend, shieldbreak, lifelost and gameover
+     * @returns {Object} Simulation with reset(seed, run), step(input), applyEffect(type) and getState()
+     */
+    function createSimulation(options = {}) {
+        const width = options.width || 800;
+        const height = options.height || 600;
+        const onEvent = options.onEvent || function() {};
+
+        // Game settings for the current run (see DIFFICULTIES)
+        let settings = null;
+
+        let state = null;
+        let random = Math.random;
+        let enabledPowerUps = null;
+
+        // Obstacles, stars and power-ups that scroll away or are smashed go back to a pool for
+        // their shape, and the next spawn of that shape reuses them
+        const pools = {
+            pipe: createPool(() => ({ kind: 'pipe' })),
+            asteroid: createPool(() => ({ kind: 'asteroid' })),
+            star: createPool(() => ({})),
+            powerUp: createPool(() => ({}))
+        };
+
+        reset(options.seed || 0);
+
+        return {
+            width: width,
+            height: height,
+            reset: reset,
+            step: step,
+            applyEffect: applyEffect,
+            getState: () => state
+        };
+
+        /**
+         * Start a fresh run
+         * @param {number|string} seed - Seed for obstacle, star and power-up placement
+         * @param {Object} run - Per-run overrides of the powerUps, difficulty, tuning and startLevel options
+         * @returns {Object} The new state
+         */
+        function reset(seed, run = {}) {
+            const pick = key => (run[key] === undefined ? options[key] : run[key]);
+            enabledPowerUps = pick('powerUps') || null;
+            settings = resolveDifficulty(pick('difficulty'), pick('tuning'));
+            const startLevel = Math.max(1, Math.min(settings.maxLevel, Math.floor(pick('startLevel')) || 1));
+            const runSeed = normalizeSeed(seed);
+            random = createRandom(runSeed);
+            if (state) {
+                state.obstacles.forEach(obs => pools[obs.kind] && pools[obs.kind].release(obs));
+                state.stars.forEach(pools.star.release);
+                state.powerUps.forEach(pools.powerUp.release);
+            }
+            state = {
+                seed: runSeed,
+                tick: 0,
+                clock: 0,
+                running: true,
+                cause: null,
+                score: 0,
+                startLevel: startLevel,
+                level: startLevel,
+                difficulty: settings.difficulty,
+                gravityDirection: 1,
+                checkpointUntil: 0,
+                tunnelStep: 0,
+                lives: 0,
+                effects: [],
+                modifiers: {
+                    timeScale: 1,
+                    scoreMultiplier: 1,
+                    magnetRadius: 0
+                },
+                rocket: {
+                    x: 100,
+                    y: height / 2,
+                    prevY: height / 2,
+                    width: 40,
+                    height: 40,
+                    velocity: 0,
+                    gravity: settings.gravity,
+                    boost: settings.boost,
+                    hasShield: false,
+                    shieldTime: 0,
+                    rotation: 0,
+                    prevRotation: 0
+                },
+                obstacles: [],
+                stars: [],
+                powerUps: []
+            };
+            enterLevel();
+            return state;
+        }
+
+        /**
+         * Advance the run by one fixed tick
+         * @param {Object} input - This tick's input
+         * @param {boolean} input.boost - Boost the rocket upward
+         * @returns {Object} The updated state (a no-op once the run has ended)
+         */
+        function step(input = {}) {
+            if (!state.running) return state;
+            const rocket = state.rocket;
+
+            state.tick++;
+
+            if (input.boost) {
+                rocket.velocity = rocket.boost * state.gravityDirection;
+                onEvent('boost', { x: rocket.x, y: rocket.y });
+            }
+
+            // Update level based on score
+            const newLevel = Math.min(settings.maxLevel,
+                state.startLevel + Math.floor(state.score / settings.pointsPerLevel));
+            if (newLevel > state.level) {
+                state.level = newLevel;
+                enterLevel();
+                state.checkpointUntil = state.clock + CHECKPOINT_TICKS;
+                onEvent('levelup', { level: state.level, score: state.score, name: getLevelDefinition(state.level).name });
+            }
+
+            updateEffects();
+
+            // Update rocket
+            updateRocket();
+
+            // Spawns follow the world clock, which slow-motion runs at a reduced rate
+            const previousClock = state.clock;
+            state.clock += state.modifiers.timeScale;
+
+            // Generate obstacles (none right after a level checkpoint)
+            if (clockCrossed(previousClock, getObstacleInterval()) && state.clock > state.checkpointUntil) {
+                createObstacle();
+            }
+
+            // Generate stars
+            if (clockCrossed(previousClock, 80)) {
+                createStar();
+            }
+
+            // Generate power-ups
+            if (clockCrossed(previousClock, 300)) {
+                createPowerUp();
+            }
+
+            // Update game objects
+            updateObstacles();
+            updateStars();
+            updatePowerUps();
+
+            // Update score
+            if (state.running) {
+                state.score += 1;
+            }
+            return state;
+        }
+
+        /**
+         * Current horizontal scroll speed in pixels per tick
+         */
+        function getScrollSpeed() {
+            return (settings.obstacleSpeed + state.level * settings.speedStep) * state.modifiers.timeScale;
+        }
+
+        /**
+         * Ticks between obstacles at the current level
+         */
+        function getObstacleInterval() {
+            const interval = Math.max(settings.minObstacleFrequency,
+                Math.round(settings.obstacleFrequency - state.level * settings.frequencyStep));
+            return getLevelDefinition(state.level).boss ? Math.max(1, Math.round(interval / 2)) : interval;
+        }
+
+        /**
+         * Apply the current level's gravity; a flip turns the rocket over and cancels its momentum
+         */
+        function enterLevel() {
+            const direction = getLevelDefinition(state.level).gravity || 1;
+            if (direction !== state.gravityDirection) {
+                state.gravityDirection = direction;
+                state.rocket.velocity = 0;
+            }
+            state.rocket.rotation = getRocketTilt();
+        }
+
+        /**
+         * Rocket rotation for its velocity; nose down while gravity is flipped
+         */
+        function getRocketTilt() {
+            return state.rocket.velocity * 0.05 + (state.gravityDirection < 0 ? Math.PI : 0);
+        }
+
+        /**
+         * Whether the world clock passed a multiple of the period this tick
+         * (at normal speed: every period-th tick, as with a frame counter)
+         */
+        function clockCrossed(previousClock, period) {
+            return Math.floor(state.clock / period) > Math.floor(previousClock / period);
+        }
+
+        /**
+         * Crash the rocket: spend an extra life if one is banked, otherwise end the run
+         * @param {string} cause - 'boundary' or 'obstacle'
+         * @param {string} edge - For a boundary crash, 'ceiling' or 'floor'
+         * @returns {boolean} True when an extra life absorbed the crash
+         */
+        function crash(cause, edge = null) {
+            // A crash can be detected twice in one tick; only the first counts
+            if (!state.running) return false;
+            if (state.lives > 0) {
+                state.lives--;
+                onEvent('lifelost', { cause: cause, edge: edge, lives: state.lives, x: state.rocket.x, y: state.rocket.y });
+                return true;
+            }
+            state.running = false;
+            state.cause = cause;
+            onEvent('gameover', { cause: cause, edge: edge, score: state.score, level: state.level });
+            return false;
+        }
+
+        /**
+         * Add bonus points (scaled by any score multiplier) and report them
+         * @param {number} points - Base points
+         * @param {string} reason - 'obstacle' or 'star'
+         */
+        function awardPoints(points, reason) {
+            const awarded = points * state.modifiers.scoreMultiplier;
+            state.score += awarded;
+            onEvent('score', { points: awarded, reason: reason, score: state.score });
+        }
+
+        /**
+         * Start a power-up effect, or refresh its timer if it's already running
+         * @param {string} type - Power-up type
+         * @param {number} duration - Ticks to last (default: the definition's duration)
+         */
+        function applyEffect(type, duration) {
+            const definition = POWER_UPS[type];
+            if (!definition) return;
+            const ticks = duration === undefined ? definition.duration : duration;
+            const active = state.effects.find(effect => effect.type === type);
+            if (active) {
+                active.remaining = Math.max(active.remaining, ticks);
+                active.duration = Math.max(active.duration, ticks);
+                if (definition.tick) definition.tick(state, active);
+                return;
+            }
+            const effect = { type: type, remaining: ticks, duration: ticks };
+            if (definition.apply) definition.apply(state, effect);
+            if (ticks > 0) state.effects.push(effect);
+        }
+
+        /**
+         * End a running effect early (a broken shield) or when its time is up
+         */
+        function expireEffect(effect) {
+            const index = state.effects.indexOf(effect);
+            if (index === -1) return;
+            state.effects.splice(index, 1);
+            const definition = POWER_UPS[effect.type];
+            if (definition && definition.expire) definition.expire(state, effect);
+            onEvent('powerupend', { type: effect.type });
+        }
+
+        /**
+         * Count down active effects
+         */
+        function updateEffects() {
+            for (let i = state.effects.length - 1; i >= 0; i--) {
+                const effect = state.effects[i];
+                effect.remaining--;
+                const definition = POWER_UPS[effect.type];
+                if (effect.remaining <= 0) {
+                    expireEffect(effect);
+                } else if (definition && definition.tick) {
+                    definition.tick(state, effect);
+                }
+            }
+        }
+
+        /**
+         * Drop the shield after it absorbs a hit
+         */
+        function breakShield() {
+            const rocket = state.rocket;
+            const shield = state.effects.find(effect => effect.type === 'shield');
+            if (shield) {
+                expireEffect(shield);
+            } else {
+                rocket.hasShield = false;
+                rocket.shieldTime = 0;
+            }
+            onEvent('shieldbreak', { x: rocket.x, y: rocket.y });
+        }
+
+        /**
+         * Update rocket position and state
+         */
+        function updateRocket() {
+            const rocket = state.rocket;
+            rocket.prevY = rocket.y;
+            rocket.prevRotation = rocket.rotation;
+            const timeScale = state.modifiers.timeScale;
+            rocket.velocity += rocket.gravity * state.gravityDirection * timeScale;
+            rocket.y += rocket.velocity * timeScale;
+            rocket.rotation = getRocketTilt();
+
+            // Check boundaries (a shield or a spent extra life holds the rocket inside)
+            if (rocket.y + rocket.height > height || rocket.y < 0) {
+                if (rocket.hasShield || crash('boundary', rocket.y < 0 ? 'ceiling' : 'floor')) {
+                    rocket.y = Math.max(0, Math.min(height - rocket.height, rocket.y));
+                    rocket.velocity = 0;
+                }
+            }
+        }
+
+        /**
+         * Create the next obstacle in one of the current level's patterns
+         */
+        function createObstacle() {
+            const definition = getLevelDefinition(state.level);
+            const pattern = pickWeighted(definition.patterns);
+            if (pattern === 'asteroids') {
+                createAsteroidField();
+                return;
+            }
+
+            const minHeight = 80;
+            const gap = Math.min(settings.obstacleGap * (definition.gapScale || 1), height - minHeight * 2);
+            const maxHeight = height - gap - minHeight;
+            let topHeight;
+            if (pattern === 'tunnel') {
+                // The gap's center follows a sine wave from pipe to pipe
+                topHeight = minHeight + maxHeight * (0.5 + 0.4 * Math.sin(state.tunnelStep * 0.5));
+                state.tunnelStep++;
+            } else {
+                topHeight = random() * maxHeight + minHeight;
+            }
+            const obstacle = pools.pipe.acquire();
+            obstacle.x = obstacle.prevX = width;
+            obstacle.topHeight = obstacle.prevTopHeight = topHeight;
+            obstacle.bottomY = obstacle.prevBottomY = topHeight + gap;
+            obstacle.width = 80;
+            obstacle.passed = false;
+            obstacle.motion = null;
+            if (pattern === 'moving') {
+                const amplitude = Math.min(60, maxHeight / 2);
+                obstacle.motion = {
+                    center: Math.max(minHeight + amplitude, Math.min(minHeight + maxHeight - amplitude, topHeight)),
+                    amplitude: amplitude,
+                    phase: random() * Math.PI * 2,
+                    speed: 0.03,
+                    gap: gap
+                };
+            }
+            state.obstacles.push(obstacle);
+        }
+
+        /**
+         * Create a loose cluster of drifting asteroids
+         */
+        function createAsteroidField() {
+            const count = 3 + Math.floor(random() * 3);
+            for (let i = 0; i < count; i++) {
+                const radius = 14 + random() * 14;
+                const y = radius + random() * (height - radius * 2);
+                const x = width + random() * 160;
+                const asteroid = pools.asteroid.acquire();
+                asteroid.x = asteroid.prevX = x;
+                asteroid.y = asteroid.prevY = y;
+                asteroid.radius = radius;
+                asteroid.width = radius * 2;
+                asteroid.vy = (random() - 0.5) * 1.5;
+                asteroid.points = 10;
+                asteroid.passed = false;
+                state.obstacles.push(asteroid);
+            }
+        }
+
+        /**
+         * Pick a key of a { key: weight } map; a single entry doesn't consume a random number
+         */
+        function pickWeighted(weights) {
+            const keys = Object.keys(weights).filter(key => weights[key] > 0);
+            if (keys.length === 1) return keys[0];
+            const total = keys.reduce((sum, key) => sum + weights[key], 0);
+            let roll = random() * total;
+            for (const key of keys) {
+                roll -= weights[key];
+                if (roll < 0) return key;
+            }
+            return keys[keys.length - 1];
+        }
+
+        /**
+         * Oscillate a moving pipe, or drift an asteroid and bounce it off the edges
+         */
+        function moveObstacle(obs) {
+            const timeScale = state.modifiers.timeScale;
+            if (obs.kind === 'asteroid') {
+                obs.prevY = obs.y;
+                obs.y += obs.vy * timeScale;
+                if (obs.y < obs.radius || obs.y > height - obs.radius) {
+                    obs.vy = -obs.vy;
+                    obs.y = Math.max(obs.radius, Math.min(height - obs.radius, obs.y));
+                }
+                return;
+            }
+            obs.prevTopHeight = obs.topHeight;
+            obs.prevBottomY = obs.bottomY;
+            if (obs.motion) {
+                obs.topHeight = obs.motion.center + Math.sin(obs.motion.phase + state.clock * obs.motion.speed) * obs.motion.amplitude;
+                obs.bottomY = obs.topHeight + obs.motion.gap;
+            }
+        }
+
+        /**
+         * Move obstacles, check collisions and award points for passing
+         */
+        function updateObstacles() {
+            const rocket = state.rocket;
+            const obstacles = state.obstacles;
+            for (let i = obstacles.length - 1; i >= 0; i--) {
+                const obs = obstacles[i];
+                obs.prevX = obs.x;
+                obs.x -= getScrollSpeed();
+                moveObstacle(obs);
+
+                // Check collision; a shield or extra life smashes the obstacle out of the way
+                if (checkCollision(rocket, obs, height)) {
+                    let survived = true;
+                    if (rocket.hasShield) {
+                        breakShield();
+                    } else {
+                        survived = crash('obstacle');
+                    }
+                    if (survived) {
+                        discard(obstacles, i, pools[obs.kind]);
+                        continue;
+                    }
+                }
+
+                // Award points for passing
+                if (!obs.passed && obs.x + obs.width < rocket.x) {
+                    obs.passed = true;
+                    awardPoints(obs.points || 50, 'obstacle');
+                }
+
+                // Remove off-screen obstacles
+                if (obs.x + obs.width < 0) {
+                    discard(obstacles, i, pools[obs.kind]);
+                }
+            }
+        }
+
+        /**
+         * Create a collectible star
+         */
+        function createStar() {
+            const y = random() * (height - 60) + 30;
+            const star = pools.star.acquire();
+            star.x = star.prevX = width;
+            star.y = star.prevY = y;
+            star.size = 15;
+            star.collected = false;
+            state.stars.push(star);
+        }
+
+        /**
+         * Move stars and check collection
+         */
+        function updateStars() {
+            const rocket = state.rocket;
+            const stars = state.stars;
+            for (let i = stars.length - 1; i >= 0; i--) {
+                const star = stars[i];
+                star.prevX = star.x;
+                star.prevY = star.y;
+                star.x -= getScrollSpeed();
+                pullTowardRocket(star);
+
+                // Check collection
+                if (!star.collected) {
+                    if (checkPickup(rocket, star)) {
+                        star.collected = true;
+                        awardPoints(100, 'star');
+                        onEvent('star', { x: star.x, y: star.y, score: state.score });
+                    }
+                }
+
+                // Remove off-screen stars
+                if (star.x < -star.size) {
+                    discard(stars, i, pools.star);
+                }
+            }
+        }
+
+        /**
+         * Drift a star toward the rocket while a magnet is active
+         */
+        function pullTowardRocket(star) {
+            const radius = state.modifiers.magnetRadius;
+            if (!radius || star.collected) return;
+            const rocket = state.rocket;
+            const dx = rocket.x + rocket.width / 2 - star.x;
+            const dy = rocket.y + rocket.height / 2 - star.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance === 0 || distance > radius) return;
+            const pull = Math.min(distance, 6 * state.modifiers.timeScale);
+            star.x += (dx / distance) * pull;
+            star.y += (dy / distance) * pull;
+        }
+
+        /**
+         * Pick a power-up type at random, weighted by each definition's spawn weight
+         */
+        function pickPowerUpType() {
+            const types = (enabledPowerUps || Object.keys(POWER_UPS))
+                .filter(type => POWER_UPS[type] && POWER_UPS[type].weight > 0);
+            if (types.length === 0) return null;
+            const total = types.reduce((sum, type) => sum + POWER_UPS[type].weight, 0);
+            let roll = random() * total;
+            for (const type of types) {
+                roll -= POWER_UPS[type].weight;
+                if (roll < 0) return type;
+            }
+            return types[types.length - 1];
+        }
+
+        /**
+         * Create a power-up
+         */
+        function createPowerUp() {
+            const y = random() * (height - 60) + 30;
+            const type = pickPowerUpType();
+            if (!type) return;
+            const powerUp = pools.powerUp.acquire();
+            powerUp.x = powerUp.prevX = width;
+            powerUp.y = y;
+            powerUp.size = 20;
+            powerUp.collected = false;
+            powerUp.type = type;
+            state.powerUps.push(powerUp);
+        }
+
+        /**
+         * Move power-ups and check collection
+         */
+        function updatePowerUps() {
+            const rocket = state.rocket;
+            const powerUps = state.powerUps;
+            for (let i = powerUps.length - 1; i >= 0; i--) {
+                const powerUp = powerUps[i];
+                powerUp.prevX = powerUp.x;
+                powerUp.x -= getScrollSpeed();
+
+                // Check collection
+                if (!powerUp.collected) {
+                    if (checkPickup(rocket, powerUp)) {
+                        powerUp.collected = true;
+                        applyEffect(powerUp.type);
+                        const definition = POWER_UPS[powerUp.type];
+                        onEvent('powerup', {
+                            type: powerUp.type,
+                            x: powerUp.x,
+                            y: powerUp.y,
+                            duration: definition ? definition.duration : 0,
+                            score: state.score
+                        });
+                    }
+                }
+
+                // Remove off-screen power-ups
+                if (powerUp.x < -powerUp.size) {
+                    discard(powerUps, i, pools.powerUp);
+                }
+            }
+        }
+
+        /**
+         * Swap-remove an entity from one of the state's lists and hand it back to its pool (an
+         * obstacle of a kind with no pool is just dropped)
+         */
+        function discard(list, index, pool) {
+            if (pool) pool.release(list[index]);
+            swapRemove(list, index);
+        }
+    }
+
+    /**
+     * Create a bot that flies by the simulation's own rules. Each tick it looks ahead for a
+     * pattern of boosts that keeps the rocket's outline clear of the coming obstacles and the
+     * edges, trying first to head for the next gap or pickup, and boosts if that pattern
+     * starts with one
+     * @param {Object} options - Autopilot options
+     * @param {number} options.horizon - Ticks to look ahead (default: AUTOPILOT_HORIZON)
+     * @param {number} options.margin - Clearance to keep around the rocket (default: AUTOPILOT_MARGIN)
+     * @returns {Object} Autopilot with decide(state, height), true when the rocket should boost this tick
+     */
+    function createAutopilot(options = {}) {
+        const horizon = options.horizon || AUTOPILOT_HORIZON;
+        const margin = options.margin === undefined ? AUTOPILOT_MARGIN : options.margin;
+
+        return { decide: decide };
+
+        /**
+         * Whether to boost on the coming tick
+         * @param {Object} state - Simulation state
+         * @param {number} height - Playfield height (default: 600)
+         */
+        function decide(state, height = 600) {
+            if (!state.running) return false;
+            const rocket = state.rocket;
+            const direction = state.gravityDirection;
+            const timeScale = state.modifiers.timeScale;
+            const course = predictCourse(state, height);
+            const target = pickTarget(state, height);
+            const probe = {
+                x: rocket.x - margin,
+                y: 0,
+                width: rocket.width + margin * 2,
+                height: rocket.height + margin * 2,
+                rotation: 0
+            };
+            // How far the rocket gets from points in flight already searched without a way through,
+            // by tick, height and speed
+            const doomed = new Map();
+
+            // Later boosts fall on every AUTOPILOT_STEP-th tick of the run, so the plan found on
+            // one tick can still be followed from the next
+            const firstStep = AUTOPILOT_STEP - (state.tick + 1) % AUTOPILOT_STEP;
+
+            // With no way through, put off the crash as long as possible; something may change
+            const first = prefersBoost(rocket.y, rocket.velocity);
+            const reached = fly(0, rocket.y, rocket.velocity, first);
+            if (reached > horizon) return first;
+            return fly(0, rocket.y, rocket.velocity, !first) > reached ? !first : first;
+
+            /**
+             * Fly on from this point, boosting now or not, trying the preferred choice first at each
+             * later decision
+             * @returns {number} The last tick survived, or horizon + 1 when the rocket gets through
+             */
+            function fly(tick, y, velocity, boost) {
+                if (boost) velocity = rocket.boost * direction;
+                const end = Math.min(horizon, tick === 0 ? firstStep : tick + AUTOPILOT_STEP);
+                while (tick < end) {
+                    velocity += rocket.gravity * direction * timeScale;
+                    y += velocity * timeScale;
+                    if (y < 0 || y + rocket.height > height) return tick;
+                    probe.y = y - margin;
+                    probe.rotation = velocity * 0.05 + (direction < 0 ? Math.PI : 0);
+                    const obstacles = course[tick];
+                    for (let j = 0; j < obstacles.length; j++) {
+                        if (checkCollision(probe, obstacles[j], height)) return tick;
+                    }
+                    tick++;
+                }
+                if (tick >= horizon) return coasts(y, velocity) ? horizon + 1 : horizon;
+
+                const key = `${tick}:${Math.round(y)}:${Math.round(velocity * 4)}`;
+                if (doomed.has(key)) return doomed.get(key);
+                const preferred = prefersBoost(y, velocity);
+                const ahead = fly(tick, y, velocity, preferred);
+                if (ahead > horizon) return ahead;
+                const furthest = Math.max(ahead, fly(tick, y, velocity, !preferred));
+                doomed.set(key, furthest);
+                return furthest;
+            }
+
+            /**
+             * Boost when the rocket is sinking (gravity's way) and about to pass the target
+             */
+            function prefersBoost(y, velocity) {
+                return velocity * direction >= 0 &&
+                    (y + rocket.height / 2 + velocity * AUTOPILOT_STEP - target) * direction > 0;
+            }
+
+            /**
+             * Whether a rocket still climbing at the horizon stops short of the edge above it
+             */
+            function coasts(y, velocity) {
+                if (velocity * direction >= 0) return true;
+                const room = direction > 0 ? y : height - y - rocket.height;
+                return room >= (velocity * velocity) / (2 * rocket.gravity);
+            }
+        }
+
+        /**
+         * Where each obstacle near the rocket will be on each tick of the horizon: pipes scroll
+         * (and moving ones swing on their own clock), asteroids drift and bounce off the edges
+         * @returns {Array[]} Obstacles per tick, the first entry for the coming tick
+         */
+        function predictCourse(state, height) {
+            const rocket = state.rocket;
+            const timeScale = state.modifiers.timeScale;
+            const reach = rocket.width + rocket.height + margin * 2 + 10;
+            const course = [];
+            const drift = state.obstacles.map(obs => ({ y: obs.y, vy: obs.vy }));
+            for (let tick = 1; tick <= horizon; tick++) {
+                const obstacles = [];
+                state.obstacles.forEach((obs, index) => {
+                    const x = obs.x - (obs.prevX - obs.x) * tick;
+                    if (obs.kind === 'asteroid') {
+                        const rock = drift[index];
+                        rock.y += rock.vy * timeScale;
+                        if (rock.y < obs.radius || rock.y > height - obs.radius) {
+                            rock.vy = -rock.vy;
+                            rock.y = Math.max(obs.radius, Math.min(height - obs.radius, rock.y));
+                        }
+                        if (x > rocket.x + reach || x + obs.width < rocket.x - reach) return;
+                        obstacles.push({ kind: 'asteroid', x: x, y: rock.y, radius: obs.radius, width: obs.width });
+                        return;
+                    }
+                    if (x > rocket.x + reach || x + obs.width < rocket.x - reach) return;
+                    let topHeight = obs.topHeight;
+                    if (obs.motion) {
+                        const clock = state.clock + timeScale * tick;
+                        topHeight = obs.motion.center + Math.sin(obs.motion.phase + clock * obs.motion.speed) * obs.motion.amplitude;
+                    }
+                    obstacles.push({
+                        kind: 'pipe',
+                        x: x,
+                        width: obs.width,
+                        topHeight: topHeight,
+                        bottomY: topHeight + (obs.bottomY - obs.topHeight)
+                    });
+                });
+                course.push(obstacles);
+            }
+            return course;
+        }
+
+        /**
+         * Height to steer for: the middle of the way through the next obstacle (or of the
+         * playfield when none is coming), or the nearest pickup on the way there that lies
+         * within it
+         */
+        function pickTarget(state, height) {
+            const rocket = state.rocket;
+            const gap = findGap(state, height);
+            let target = (gap.top + gap.bottom) / 2;
+            let nearest = gap.x;
+            state.stars.concat(state.powerUps).forEach(pickup => {
+                if (pickup.collected || pickup.x < rocket.x || pickup.x > nearest) return;
+                if (pickup.y < gap.top + rocket.height || pickup.y > gap.bottom - rocket.height) return;
+                nearest = pickup.x;
+                target = pickup.y;
+            });
+            return Math.max(rocket.height, Math.min(height - rocket.height, target));
+        }
+
+        /**
+         * The way through the next obstacle ahead: a pipe's gap, or the widest clear band
+         * between the rocks of an asteroid field
+         * @returns {Object} { top, bottom, x }, with x where the obstacle starts (Infinity for none)
+         */
+        function findGap(state, height) {
+            const ahead = state.obstacles.filter(obs => obs.x + obs.width >= state.rocket.x);
+            if (ahead.length === 0) return { top: 0, bottom: height, x: Infinity };
+            const next = ahead.reduce((nearest, obs) => (obs.x < nearest.x ? obs : nearest));
+            if (next.kind === 'pipe') return { top: next.topHeight, bottom: next.bottomY, x: next.x };
+
+            // A field's rocks spawn up to 160px apart; sweep them top to bottom for the widest band
+            const rocks = ahead
+                .filter(obs => obs.kind === 'asteroid' && obs.x < next.x + 200)
+                .sort((a, b) => a.y - b.y);
+            const gap = { top: 0, bottom: 0, x: next.x };
+            let clear = 0;
+            rocks.concat({ y: height, radius: 0 }).forEach(rock => {
+                if (rock.y - rock.radius - clear > gap.bottom - gap.top) {
+                    gap.top = clear;
+                    gap.bottom = rock.y - rock.radius;
+                }
+                clear = Math.max(clear, rock.y + rock.radius);
+            });
+            return gap;
+        }
+    }
+
+    /**
+     * Re-simulate a recording headlessly and compare the result with the recorded score
+     * @param {string|Object} data - Recording object or exported string
+     * @param {Object} options - Verification options
+     * @param {number} options.maxTicks - Most ticks to simulate, whatever length the recording
+     *        states (default: an hour of play)
+     * @returns {Object|null} { score, level, ticks, crashed, expectedScore, verified }, or null if
+     *          unreadable
+     */
+    function verifyRecording(data, options = {}) {
+        const recording = decodeRecording(data);
+        if (!recording) return null;
+
+        const sim = createSimulation({ width: recording.width, height: recording.height });
+        const state = sim.reset(recording.seed, {
+            powerUps: recording.powerUps || null,
+            difficulty: recording.difficulty || 'normal',
+            tuning: recording.tuning || null,
+            startLevel: recording.startLevel || 1
+        });
+        const boostsOnTick = createRecordingInput(recording);
+        const maxTicks = options.maxTicks || TICK_RATE * 60 * 60;
+        const limit = recording.ticks ? Math.min(recording.ticks, maxTicks) : maxTicks;
+
+        while (state.running && state.tick < limit) {
+            sim.step({ boost: boostsOnTick(state.tick + 1) });
+        }
+
+        return {
+            score: state.score,
+            level: state.level,
+            ticks: state.tick,
+            crashed: !state.running,
+            expectedScore: recording.score,
+            verified: !state.running &&
+                state.score === recording.score &&
+                (recording.ticks === undefined || state.tick === recording.ticks)
+        };
+    }
+
+    /**
+     * Checksum tying a submitted score to its name, seed and replay, so a hand-edited payload
+     * is caught cheaply; the server still re-simulates the replay to be sure
+     * @param {Object} payload - Score payload from createScorePayload
+     * @returns {string} Hex checksum
+     */
+    function scoreChecksum(payload) {
+        return hashString([
+            payload.version, payload.name, payload.score, payload.level,
+            payload.difficulty, payload.seed, payload.date, payload.recording
+        ].join('|')).toString(16);
+    }
+
+    /**
+     * Build the submission for a finished run
+     * @param {Object} recording - Recording of the run, with its score
+     * @param {Object} meta - name, level, difficulty, daily and date
+     * @returns {Object} Payload with the encoded replay and its checksum
+     */
+    function createScorePayload(recording, meta = {}) {
+        const payload = {
+            version: GAME_VERSION,
+            name: cleanPlayerName(meta.name) || DEFAULT_PLAYER_NAME,
+            score: recording.score,
+            level: meta.level || 1,
+            difficulty: meta.difficulty || recording.difficulty || 'normal',
+            seed: recording.seed,
+            daily: meta.daily ? getDailyKey(meta.date ? new Date(meta.date) : undefined) : null,
+            date: meta.date || new Date().toISOString(),
+            recording: encodeRecording(recording)
+        };
+        payload.checksum = scoreChecksum(payload);
+        return payload;
+    }
+
+    /**
+     * Score service for a server following the REST contract documented in
+     * tools/mock-score-server.js:
+     *   POST {baseUrl}/scores            body: score payload -> 201 { id, rank }
+     *   GET  {baseUrl}/scores?limit=n    [&day=YYYY-MM-DD] -> 200 { scores: [...] }
+     * Network failures, 429 and 5xx responses reject with error.retryable set; other
+     * errors (a rejected payload) reject without it
+     * @param {Object} options - Service options
+     * @param {string} options.baseUrl - API root, without a trailing slash
+     * @param {Function} options.fetch - fetch implementation (default: the global fetch)
+     * @param {Object} options.headers - Extra request headers, such as an API key
+     * @returns {Object} Service with submit(score, meta) and fetchTop(n, options)
+     */
+    function createHttpScoreService(options = {}) {
+        const baseUrl = String(options.baseUrl || '').replace(/\/+$/, '');
+        const fetchImpl = options.fetch || (typeof fetch === 'function' ? fetch.bind(null) : null);
+        const headers = Object.assign({ 'Content-Type': 'application/json' }, options.headers);
+
+        return {
+            submit: (score, meta = {}) => request('POST', '/scores', Object.assign({}, meta, { score: score })),
+            fetchTop: (n = 10, query = {}) => {
+                const day = query.daily ? `&day=${encodeURIComponent(getDailyKey())}` : '';
+                return request('GET', `/scores?limit=${encodeURIComponent(n)}${day}`)
+                    .then(body => (body && Array.isArray(body.scores) ? body.scores : []));
+            }
+        };
+
+        /**
+         * Send one request and parse the JSON reply
+         */
+        function request(method, path, body) {
+            if (!fetchImpl) return Promise.reject(retryableError('fetch is not available'));
+            return fetchImpl(baseUrl + path, {
+                method: method,
+                headers: headers,
+                body: body === undefined ? undefined : JSON.stringify(body)
+            }).then(response => response.json().catch(() => ({})).then(json => {
+                if (response.ok) return json;
+                const error = new Error(json.error || `Score service answered ${response.status}`);
+                error.status = response.status;
+                error.retryable = response.status === 429 || response.status >= 500;
+                throw error;
+            }), error => {
+                throw retryableError(error && error.message ? error.message : 'Network error');
+            });
+        }
+
+        /**
+         * An error worth trying again later
+         */
+        function retryableError(message) {
+            const error = new Error(message);
+            error.retryable = true;
+            return error;
+        }
+    }
+
+    // Sound effects the engine plays; each is synthesized unless the host supplies a file for it
+    const SOUND_EFFECTS = ['boost', 'star', 'gem', 'shieldBreak', 'levelUp', 'crash'];
+
+    // Default mix, music sitting under the effects
+    const DEFAULT_MUSIC_VOLUME = 0.4;
+    const DEFAULT_SFX_VOLUME = 0.7;
+
+    // Background loop when no music file is given: MIDI notes per eighth note (0 rests)
+    const MUSIC_TEMPO = 132;
+    const MUSIC_BASS = [45, 0, 45, 57, 0, 45, 55, 0, 43, 0, 43, 55, 0, 43, 52, 0];
+    const MUSIC_LEAD = [69, 72, 76, 0, 74, 0, 72, 0, 67, 71, 74, 0, 72, 0, 71, 0];
+
+    // How far ahead the music scheduler queues notes, and how often it wakes up
+    const MUSIC_LOOKAHEAD_S = 0.25;
+    const MUSIC_TIMER_MS = 100;
+
+    // Every game on the page plays through one AudioContext; browsers cap how many a page may open
+    let sharedAudioContext = null;
+
+    /**
+     * The page's AudioContext, created on first use (null where Web Audio is missing)
+     */
+    function getAudioContext() {
+        if (sharedAudioContext) return sharedAudioContext;
+        const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+        if (!AudioContextClass) return null;
+        try {
+            sharedAudioContext = new AudioContextClass();
+        } catch(e) {
+            return null;
+        }
+        return sharedAudioContext;
+    }
+
+    /**
+     * Validate saved audio settings
+     */
+    function cleanAudioSettings(settings) {
+        const volume = (value, fallback) => {
+            const number = Number(value);
+            return value !== null && value !== '' && isFinite(number) ? Math.max(0, Math.min(1, number)) : fallback;
+        };
+        settings = settings && typeof settings === 'object' ? settings : {};
+        return {
+            muted: !!settings.muted,
+            musicVolume: volume(settings.musicVolume, DEFAULT_MUSIC_VOLUME),
+            sfxVolume: volume(settings.sfxVolume, DEFAULT_SFX_VOLUME)
+        };
+    }
+
+    /**
+     * Frequency of a MIDI note
+     */
+    function midiToFrequency(note) {
+        return 440 * Math.pow(2, (note - 69) / 12);
+    }
+
+    /**
+     * Play one enveloped oscillator note
+     * @param {AudioContext} audio - Context to play in
+     * @param {AudioNode} out - Node the note feeds
+     * @param {number} time - Start time on the context clock
+     * @param {Object} note - type (oscillator wave), from/to (Hz, gliding from one to the other),
+     *        duration (seconds) and volume (0-1)
+     */
+    function playTone(audio, out, time, note) {
+        const osc = audio.createOscillator();
+        const gain = audio.createGain();
+        osc.type = note.type || 'sine';
+        osc.frequency.setValueAtTime(note.from, time);
+        if (note.to) osc.frequency.exponentialRampToValueAtTime(note.to, time + note.duration);
+        gain.gain.setValueAtTime(0.0001, time);
+        gain.gain.exponentialRampToValueAtTime(note.volume || 0.3, time + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, time + note.duration);
+        osc.connect(gain);
+        gain.connect(out);
+        osc.start(time);
+        osc.stop(time + note.duration + 0.02);
+    }
+
+    /**
+     * Play a burst of filtered white noise
+     * @param {Object} burst - filter ('lowpass', 'bandpass'...), frequency (Hz), duration (seconds)
+     *        and volume (0-1)
+     */
+    function playNoise(audio, out, time, burst) {
+        const length = Math.ceil(audio.sampleRate * burst.duration);
+        const buffer = audio.createBuffer(1, length, audio.sampleRate);
+        const samples = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            samples[i] = Math.random() * 2 - 1;
+        }
+        const source = audio.createBufferSource();
+        const filter = audio.createBiquadFilter();
+        const gain = audio.createGain();
+        source.buffer = buffer;
+        filter.type = burst.filter;
+        filter.frequency.setValueAtTime(burst.frequency, time);
+        gain.gain.setValueAtTime(burst.volume || 0.3, time);
+        gain.gain.exponentialRampToValueAtTime(0.0001, time + burst.duration);
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(out);
+        source.start(time);
+    }
+
+    /**
+     * Recipes for the synthesized effects, each called as (audio, out, time)
+     */
+    const SYNTH_EFFECTS = {
+        boost: (audio, out, time) => {
+            playTone(audio, out, time, { type: 'sawtooth', from: 160, to: 420, duration: 0.12, volume: 0.12 });
+            playNoise(audio, out, time, { filter: 'highpass', frequency: 2000, duration: 0.1, volume: 0.08 });
+        },
+        star: (audio, out, time) => {
+            playTone(audio, out, time, { type: 'triangle', from: 988, duration: 0.08, volume: 0.25 });
+            playTone(audio, out, time + 0.07, { type: 'triangle', from: 1319, duration: 0.16, volume: 0.25 });
+        },
+        gem: (audio, out, time) => {
+            [659, 831, 988, 1319].forEach((frequency, i) => {
+                playTone(audio, out, time + i * 0.05, { type: 'square', from: frequency, duration: 0.09, volume: 0.1 });
+            });
+        },
+        shieldBreak: (audio, out, time) => {
+            playNoise(audio, out, time, { filter: 'bandpass', frequency: 2400, duration: 0.3, volume: 0.3 });
+            playTone(audio, out, time, { type: 'square', from: 880, to: 160, duration: 0.28, volume: 0.1 });
+        },
+        levelUp: (audio, out, time) => {
+            [523, 659, 784, 1047].forEach((frequency, i) => {
+                playTone(audio, out, time + i * 0.09, { type: 'triangle', from: frequency, duration: 0.18, volume: 0.25 });
+            });
+        },
+        crash: (audio, out, time) => {
+            playNoise(audio, out, time, { filter: 'lowpass', frequency: 700, duration: 0.7, volume: 0.5 });
+            playTone(audio, out, time, { type: 'sine', from: 140, to: 35, duration: 0.6, volume: 0.4 });
+        }
+    };
+
+    /**
+     * Sound for one game: synthesized effects and music through separate music and effects
+     * volumes. Nothing is created until unlock() runs inside a user gesture, as browsers require;
+     * without Web Audio every method does nothing.
+     * @param {Object} options - Engine options
+     * @param {boolean} options.music - Play background music during runs
+     * @param {boolean} options.sfx - Play sound effects
+     * @param {Object} options.sounds - File URLs to use instead of synthesis, keyed by effect name
+     *        (see SOUND_EFFECTS) or 'music'
+     * @param {Object} options.settings - { muted, musicVolume, sfxVolume }
+     * @returns {Object} Engine with unlock, play, startMusic, pauseMusic, resumeMusic, stopMusic,
+     *          setMuted, isMuted, setVolume, getVolume, getSettings and destroy
+     */
+    function createSoundEngine(options = {}) {
+        const settings = cleanAudioSettings(options.settings);
+        const sounds = options.sounds || {};
+        const buffers = {};
+        let audio = null;
+        let master = null;
+        let musicGain = null;
+        let sfxGain = null;
+
+        // Music: whether it should be playing, the synth scheduler or file source, and where it got to
+        let musicOn = false;
+        let musicTimer = null;
+        let musicSource = null;
+        let musicStep = 0;
+        let nextNoteTime = 0;
+        let musicOffset = 0;
+        let musicStartedAt = 0;
+
+        return {
+            unlock: unlock,
+            play: play,
+            startMusic: () => {
+                musicOffset = 0;
+                musicStep = 0;
+                startMusic();
+            },
+            pauseMusic: pauseMusic,
+            resumeMusic: startMusic,
+            stopMusic: () => {
+                pauseMusic();
+                musicOffset = 0;
+            },
+            setMuted: (muted) => {
+                settings.muted = !!muted;
+                applyVolumes();
+            },
+            isMuted: () => settings.muted,
+            setVolume: (channel, value) => {
+                if ((channel !== 'music' && channel !== 'sfx') || !isFinite(Number(value))) return;
+                settings[channel + 'Volume'] = Math.max(0, Math.min(1, Number(value)));
+                applyVolumes();
+            },
+            getVolume: (channel) => settings[channel + 'Volume'],
+            getSettings: () => Object.assign({}, settings),
+            destroy: () => {
+                pauseMusic();
+                if (master) master.disconnect();
+                audio = master = null;
+            }
+        };
+
+        /**
+         * Create the audio graph (call from a click or key handler) and start loading any files
+         */
+        function unlock() {
+            if (!audio) {
+                audio = getAudioContext();
+                if (!audio) return;
+                master = audio.createGain();
+                musicGain = audio.createGain();
+                sfxGain = audio.createGain();
+                musicGain.connect(master);
+                sfxGain.connect(master);
+                master.connect(audio.destination);
+                applyVolumes();
+                Object.keys(sounds).filter(name => name === 'music' || SOUND_EFFECTS.includes(name)).forEach(load);
+            }
+            if (audio.state === 'suspended' && audio.resume) {
+                audio.resume().catch(() => {});
+            }
+            if (musicOn) startMusic();
+        }
+
+        /**
+         * Fetch and decode a sound file; the synthesized version plays until it is ready
+         */
+        function load(name) {
+            if (typeof fetch !== 'function' || !sounds[name]) return;
+            fetch(sounds[name])
+                .then(response => response.arrayBuffer())
+                .then(data => new Promise((resolve, reject) => audio.decodeAudioData(data, resolve, reject)))
+                .then(buffer => {
+                    buffers[name] = buffer;
+                    if (name === 'music' && musicOn && audio) {
+                        stopMusicNodes();
+                        startMusic();
+                    }
+                })
+                .catch(e => console.warn(`Could not load sound "${name}":`, e));
+        }
+
+        /**
+         * Apply mute and volumes to the gain nodes
+         */
+        function applyVolumes() {
+            if (!master) return;
+            master.gain.value = settings.muted ? 0 : 1;
+            musicGain.gain.value = settings.musicVolume;
+            sfxGain.gain.value = settings.sfxVolume;
+        }
+
+        /**
+         * Play a sound effect by name
+         */
+        function play(name) {
+            if (!audio || options.sfx === false || settings.muted) return;
+            if (buffers[name]) {
+                const source = audio.createBufferSource();
+                source.buffer = buffers[name];
+                source.connect(sfxGain);
+                source.start();
+            } else if (SYNTH_EFFECTS[name]) {
+                SYNTH_EFFECTS[name](audio, sfxGain, audio.currentTime);
+            }
+        }
+
+        /**
+         * Start (or carry on) the music: the music file on a loop, or the synthesized loop
+         */
+        function startMusic() {
+            if (!options.music) return;
+            musicOn = true;
+            if (!audio || musicTimer || musicSource) return;
+            if (buffers.music) {
+                musicSource = audio.createBufferSource();
+                musicSource.buffer = buffers.music;
+                musicSource.loop = true;
+                musicSource.connect(musicGain);
+                musicSource.start(0, musicOffset % buffers.music.duration);
+                musicStartedAt = audio.currentTime - musicOffset;
+            } else {
+                nextNoteTime = audio.currentTime + 0.05;
+                scheduleMusic();
+            }
+        }
+
+        /**
+         * Queue the synthesized loop's notes up to the lookahead, then check back shortly
+         */
+        function scheduleMusic() {
+            const eighth = 30 / MUSIC_TEMPO;
+            while (nextNoteTime < audio.currentTime + MUSIC_LOOKAHEAD_S) {
+                const bass = MUSIC_BASS[musicStep % MUSIC_BASS.length];
+                const lead = MUSIC_LEAD[musicStep % MUSIC_LEAD.length];
+                if (bass) {
+                    playTone(audio, musicGain, nextNoteTime, { type: 'triangle', from: midiToFrequency(bass), duration: eighth * 0.9, volume: 0.35 });
+                }
+                if (lead) {
+                    playTone(audio, musicGain, nextNoteTime, { type: 'square', from: midiToFrequency(lead), duration: eighth * 0.6, volume: 0.06 });
+                }
+                musicStep++;
+                nextNoteTime += eighth;
+            }
+            musicTimer = setTimeout(scheduleMusic, MUSIC_TIMER_MS);
+        }
+
+        /**
+         * Stop the music, remembering where the file had got to
+         */
+        function pauseMusic() {
+            musicOn = false;
+            if (musicSource && audio) {
+                musicOffset = audio.currentTime - musicStartedAt;
+            }
+            stopMusicNodes();
+        }
+
+        /**
+         * Tear down whatever is producing music right now
+         */
+        function stopMusicNodes() {
+            clearTimeout(musicTimer);
+            musicTimer = null;
+            if (musicSource) {
+                try {
+                    musicSource.stop();
+                } catch(e) {}
+                musicSource.disconnect();
+                musicSource = null;
+            }
+        }
+    }
+
+    /**
+     * Resolve an element option given as a selector or an element
+     * @param {HTMLElement} container - Container searched before the document
+     * @param {string|HTMLElement} ref - CSS selector or element
+     */
+    function resolveElement(container, ref) {
+        if (!ref) return null;
+        if (typeof ref !== 'string') return ref;
+        return container.querySelector(ref) || document.querySelector(ref);
+    }
+
+    /**
+     * Initialize the game in a container
+     * @param {string|HTMLElement} containerSelector - CSS selector or container element
+     * @param {Object} options - Configuration options
+     * @param {number} options.width - Width of the play area in game units (default: 800, or the
+     *        width of a canvas already in the container)
+     * @param {number} options.height - Height of the play area in game units (default: 600)
+     * @param {string} options.fit - How the play area fills the canvas's CSS box: 'contain' scales it
+     *        evenly and letterboxes the rest, 'stretch' fills the box (default: 'contain'). The canvas
+     *        is drawn at the screen's pixel density and follows its CSS size as it changes
+     * @param {string} options.orientation - 'auto' turns the play area to portrait for runs started
+     *        on a portrait screen; 'landscape' or 'portrait' fixes it (default: 'auto')
+     * @param {boolean} options.music - Play background music during runs (default: false)
+     * @param {boolean} options.sfx - Play sound effects (default: true; M mutes everything)
+     * @param {Object} options.sounds - Local sound file URLs to use instead of the synthesized
+     *        sounds, keyed by 'music' or an effect name (boost, star, gem, shieldBreak, levelUp, crash)
+     * @param {Object} options.elements - Host score/game-over elements as selectors or elements
+     *        (score, highScore, level, gameOver, finalScore, finalHighScore, restartButton,
+     *        nameInput for the leaderboard name, leaderboard for a tabbed score list and
+     *        announcer for a live region)
+     * @param {boolean} options.hud - Draw score and game-over UI on the canvas
+     *        (default: true for any part the host doesn't supply elements for)
+     * @param {Function} options.renderHud - Custom HUD drawing, called as (ctx, info)
+     * @param {Function} options.renderGameOver - Custom game-over drawing, called as (ctx, info)
+     * @param {number|string} options.seed - Fixed seed so every run gets the same course
+     * @param {boolean} options.daily - Daily challenge: seed from today's date (overrides seed)
+     * @param {boolean} options.debugHitboxes - Outline every collision shape (default: false)
+     * @param {boolean} options.showFps - Overlay frames per second and time spent per frame (default: false)
+     * @param {boolean} options.ghost - Race a translucent ghost of the best run at the same difficulty
+     *        (or an imported one), with how far ahead or behind it you are in the HUD (default: true)
+     * @param {boolean} options.pauseButton - Draw a pause button on the canvas (default: true)
+     * @param {string[]} options.powerUps - Power-up types that can spawn (default: all registered)
+     * @param {Object} options.scoreService - Remote scores: an object with submit(score, meta) and
+     *        fetchTop(n, query) returning promises, such as createHttpScoreService(); runs are queued
+     *        and retried while it can't be reached
+     * @param {string} options.difficulty - 'easy', 'normal', 'hard' or 'custom' (default: 'normal')
+     * @param {Object} options.tuning - Overrides for individual settings: obstacleSpeed, speedStep,
+     *        obstacleGap, obstacleFrequency, frequencyStep, minObstacleFrequency, gravity, boost,
+     *        pointsPerLevel and maxLevel
+     * @param {number} options.startLevel - Level the first run starts on (default: 1; the start
+     *        screen's level select only offers levels already reached)
+     * @param {number} options.players - 1, or 2 for a split-screen race on one device: player two
+     *        boosts with Enter, the right half of the screen or a second gamepad (default: 1)
+     * @param {Object} options.keys - Key codes per action, replacing the defaults for that action
+     *        (boost, boost2, pause, left, right, up, down, faster, slower, mute, stats; see
+     *        DEFAULT_KEY_BINDINGS; boost2 is player two's boost)
+     * @param {boolean} options.holdToBoost - Keep boosting while a boost input is held (default: false)
+     * @param {boolean} options.gamepad - Read gamepads: A boosts, Start pauses, and the d-pad, A and B
+     *        work the menus (default: true)
+     * @param {boolean} options.focusRing - Outline the canvas while it has keyboard focus (default: true)
+     * @param {boolean} options.reducedMotion - Drop particles, confetti and flicker (default: follow
+     *        the prefers-reduced-motion setting)
+     * @param {boolean} options.highContrast - Colorblind-safe high-contrast colors (default: false)
+     * @param {boolean} options.assist - Play at a slower speed (default: false; runs are marked)
+     * @param {boolean} options.autopilot - Let the autopilot fly runs (default: false; runs are marked
+     *        and don't count toward the leaderboard, high score, stats, achievements, the ghost or
+     *        the score service). The player's saved choices for these four accessibility options
+     *        fill in any the host doesn't pass
+     * @param {boolean} options.attract - Fly an autopilot demo behind the start screen once it has
+     *        been idle a while, for a minute at most (default: true; never with reduced motion or
+     *        in a hidden tab)
+     * @param {number} options.attractDelay - Milliseconds without input before the demo takes off
+     *        (default: 15000)
+     * @param {boolean} options.announce - Read score milestones, levels, shield changes and game over
+     *        to screen readers through a live region (default: true; elements.announcer supplies one)
+     * @param {Function} options.onStart - Run started (same as instance.on('start'))
+     * @param {Function} options.onScore - Bonus points awarded for a passed obstacle or star
+     * @param {Function} options.onStar - Star collected
+     * @param {Function} options.onPowerUp - Power-up collected
+     * @param {Function} options.onPowerUpEnd - A timed power-up ran out or was used up
+     * @param {Function} options.onLifeLost - An extra life absorbed a crash
+     * @param {Function} options.onLevelUp - Level increased
+     * @param {Function} options.onGameOver - Run ended, with the final score and leaderboard rank
+     * @param {Function} options.onNameEntry - Player saved their name on the run's leaderboard entry
+     * @param {Function} options.onScoreSubmitted - The score service accepted a run
+     * @param {Function} options.onPause - Run paused (by the player, a hidden tab or lost focus)
+     * @param {Function} options.onResume - Run resumed
+     * @param {Function} options.onAchievement - An achievement unlocked
+     * @param {Function} options.onVersusEnd - Both rockets of a two-player race crashed, with the
+     *        scores and the winner
+     * @param {Function} options.onAccessibilityChange - An accessibility setting changed (from the
+     *        menu or setAccessibility), with all four settings now in effect
+     * @returns {Object} Game instance with start, restart, stop, destroy, on, off,
+     *          pause, resume, isPaused, getSeed, setSeed, getDifficulty, setDifficulty,
+     *          getStartLevel, setStartLevel, getUnlockedLevel, getLeaderboard, exportLeaderboard,
+     *          importLeaderboard, getPlayerName, setPlayerName, fetchTopScores, flushScores,
+     *          getPendingScores, getRecording, exportRecording, replay, openMenu, closeMenu
+     *          and getMenu
+     */
+    function initGame(containerSelector, options = {}) {
+        const container = typeof containerSelector === 'string'
+            ? document.querySelector(containerSelector)
+            : containerSelector;
+
+        if (!container) {
+            console.error('Game container not found:', containerSelector);
+            return;
+        }
+
+        // Default options
+        const config = {
+            width: options.width || 800,
+            height: options.height || 600,
+            music: !!options.music,
+            sfx: options.sfx !== false,
+            sounds: options.sounds || {},
+            elements: options.elements || {},
+            hud: options.hud !== false,
+            renderHud: options.renderHud || null,
+            renderGameOver: options.renderGameOver || null,
+            seed: options.seed !== undefined && options.seed !== null ? options.seed : null,
+            daily: !!options.daily,
+            debugHitboxes: !!options.debugHitboxes,
+            showFps: !!options.showFps,
+            players: options.players === 2 ? 2 : 1,
+            ghost: options.ghost !== false,
+            pauseButton: options.pauseButton !== false,
+            keys: options.keys || null,
+            holdToBoost: !!options.holdToBoost,
+            gamepad: options.gamepad !== false,
+            focusRing: options.focusRing !== false,
+            fit: options.fit === 'stretch' ? 'stretch' : 'contain',
+            orientation: options.orientation === 'landscape' || options.orientation === 'portrait'
+                ? options.orientation
+                : 'auto',
+            reducedMotion: typeof options.reducedMotion === 'boolean' ? options.reducedMotion : null,
+            highContrast: !!options.highContrast,
+            assist: !!options.assist,
+            autopilot: !!options.autopilot,
+            attract: options.attract !== false,
+            attractDelay: options.attractDelay >= 0 ? options.attractDelay : DEMO_IDLE_MS,
+            announce: options.announce !== false,
+            scoreService: options.scoreService || null,
+            powerUps: Array.isArray(options.powerUps) ? options.powerUps.slice() : null,
+            difficulty: options.difficulty || 'normal',
+            tuning: options.tuning ? Object.assign({}, options.tuning) : null,
+            startLevel: Math.max(1, Math.floor(options.startLevel) || 1)
+        };
+
+        // Game state
+        let canvas, ctx;
+        let createdCanvas = false;
+        let gameRunning = false;
+        let paused = false;
+        const saved = loadSaveData();
+        // Saved accessibility choices stand in only for options the host didn't pass
+        Object.keys(saved.accessibility).forEach(key => {
+            if (options[key] === undefined) config[key] = saved.accessibility[key];
+        });
+        let highScore = getHighScore(saved);
+        let unlockedLevel = saved.unlockedLevel;
+
+        // The last run's leaderboard entry while its name can still be edited, and the tab on show
+        let nameEntry = null;
+        let leaderboardTab = 'all';
+        let leaderboardRows = [];
+
+        // Score service queue: the pass in flight and one queued behind it, the retry timer, and the run held back
+        // until its name is entered (identified by its date)
+        let flushing = null;
+        let flushQueued = null;
+        let retryTimer = null;
+        let heldRunDate = null;
+        let animationId = null;
+        let destroyed = false;
+
+        // The simulation draws obstacles, stars and power-ups from the run seed;
+        // particles and confetti use their own stream so effects never shift the course
+        let seed = 0;
+        let effectsRandom = Math.random;
+
+        // Inputs of the current run; a boost waits for the next tick so it lands on a tick number
+        let boostQueued = false;
+        let recording = null;
+        let lastRecording = null;
+
+        // The stored ghosts, and the trajectory of the live run (y, rotation and score per tick)
+        // that becomes the best ghost if it beats it
+        let ghosts = loadGhosts();
+        let ghostTrace = null;
+
+        // Lifetime stats as of the start of the run, the run's own counts (added in when it ends),
+        // unlocked achievements (id to date), toasts for new unlocks, and whether the start
+        // screen is showing the stats panel
+        let lifetimeStats = saved.stats;
+        let runStats = createStats();
+        let unlockedAchievements = saved.achievements;
+        const toasts = [];
+        let statsOpen = false;
+
+        // Two-player race: one simulation per player on the same seed, side by side. Null in a
+        // single-player run; `currentPlayer` is the one being stepped or drawn
+        let players = null;
+        let currentPlayer = null;
+
+        // The autopilot, and whether it flew any of the current run (such runs are marked and
+        // don't count toward the leaderboard, stats, achievements or the ghost)
+        const autopilot = createAutopilot();
+        let autopilotRun = false;
+
+        // Attract mode: an autopilot run on a course of its own, flown behind an idle start
+        // screen until there's input; the timer it waits on, and the ticks it has flown
+        let demo = null;
+        let demoTimer = null;
+        let demoTicks = 0;
+
+        // Set while a recording is being played back
+        let replayState = null;
+
+        // Key code bindings (defaults, then the keys option, then the player's own), the boost
+        // inputs currently held down ('key:Space', 'mouse', 'touch:0', 'pad:0'), and the gamepad
+        // buttons that were down on the last poll
+        let keyBindings = resolveKeyBindings(config.keys, saved.keyBindings);
+        const heldInputs = new Set();
+        const padButtons = new Set();
+        let gamepadPollId = null;
+
+        // True until the first run starts; the start screen offers the difficulty and level choice
+        let onStartScreen = true;
+
+        // The canvas menu on show, or null: its screen, the focused item, the first row shown, the
+        // screens to go back to, and the action waiting for a key on the Controls screen
+        let menu = null;
+
+        // Screen-reader message waiting for the end of the current tick
+        let pendingAnnouncement = null;
+
+        // Ticks left on the "Level N" banner
+        let bannerTicks = 0;
+
+        // Fixed-timestep bookkeeping
+        let lastFrameTime = 0;
+        let accumulator = 0;
+        let runId = 0;
+
+        // Effects; particle records come from a pool and go back to it when they burn out, and are
+        // sorted into one reused list per opacity step to be drawn
+        const particles = [];
+        const confettiParticles = [];
+        const particlePool = createPool(() => ({}));
+        const alphaBatches = Array.from({ length: PARTICLE_ALPHA_STEPS }, () => []);
+
+        // Pre-rendered sprites (particle dots, stars, pickups) and gradients, keyed by what they
+        // look like. Sprites are drawn at the current backing scale and redrawn when it changes
+        const spriteCache = new Map();
+        const gradientCache = new Map();
+        let spriteScale = 1;
+
+        // Smoothed time between frames and time spent updating and drawing, for the FPS overlay
+        const frameTiming = { interval: 0, work: 0 };
+
+        // Effects and music; silent until the player's first input unlocks audio
+        const sound = createSoundEngine({
+            music: config.music,
+            sfx: config.sfx,
+            sounds: config.sounds,
+            settings: saved.audio
+        });
+
+        // Listeners added by this instance, removed again in destroy()
+        const listeners = [];
+
+        // Subscribers to game events, by event name
+        const handlers = {};
+
+        // Create canvas if it doesn't exist
+        let existingCanvas = container.querySelector('canvas');
+        if (existingCanvas) {
+            canvas = existingCanvas;
+            // Use existing dimensions if set, otherwise use config
+            if (!canvas.width || canvas.width === 300) {
+                canvas.width = config.width;
+            }
+            if (!canvas.height || canvas.height === 150) {
+                canvas.height = config.height;
+            }
+        } else {
+            canvas = document.createElement('canvas');
+            canvas.id = 'gameCanvas';
+            canvas.width = config.width;
+            canvas.height = config.height;
+            container.appendChild(canvas);
+            createdCanvas = true;
+        }
+
+        // A canvas only ever drives one game
+        if (instancesByCanvas.has(canvas)) {
+            instancesByCanvas.get(canvas).destroy();
+        }
+
+        ctx = canvas.getContext('2d');
+
+        // Keyboard input only reaches the game while its canvas has focus, so it joins the tab order;
+        // screen readers hear it as an application that takes keys. Attributes the host already set win
+        const addedAttributes = Object.entries({
+            tabindex: '0',
+            role: 'application',
+            'aria-roledescription': 'game',
+            'aria-label': 'Rocket Dodge. Press Space to start and boost, P to pause, M to mute, Escape for the menu.'
+        }).filter(([name]) => !canvas.hasAttribute(name)).map(([name, value]) => {
+            canvas.setAttribute(name, value);
+            return name;
+        });
+
+        // Follows the player's reduced-motion setting unless the host or player chose
+        const motionQuery = typeof window.matchMedia === 'function'
+            ? window.matchMedia('(prefers-reduced-motion: reduce)')
+            : null;
+
+        // The game plays in a fixed logical space, the canvas's starting size (turned for portrait
+        // screens). The backing store follows the canvas's CSS box times devicePixelRatio, and
+        // `layout` maps the logical space into it
+        const baseSize = { width: canvas.width, height: canvas.height };
+        let view = getViewSize();
+        let layout = { scaleX: 1, scaleY: 1, offsetX: 0, offsetY: 0 };
+        let resizeObserver = null;
+        if (createdCanvas) {
+            canvas.style.display = 'block';
+            canvas.style.width = '100%';
+        } else {
+            pinUnstyledCanvas();
+        }
+        updateLayout();
+
+        // Game rules and state; this instance only feeds it input and draws the result
+        let sim = createSimulation({
+            width: view.width,
+            height: view.height,
+            onEvent: handleSimEvent
+        });
+        let state = sim.getState();
+
+        // Score and game-over elements belonging to this game
+        const dom = {
+            score: resolveElement(container, config.elements.score),
+            highScore: resolveElement(container, config.elements.highScore),
+            level: resolveElement(container, config.elements.level),
+            gameOver: resolveElement(container, config.elements.gameOver),
+            finalScore: resolveElement(container, config.elements.finalScore),
+            finalHighScore: resolveElement(container, config.elements.finalHighScore),
+            restartButton: resolveElement(container, config.elements.restartButton),
+            nameInput: resolveElement(container, config.elements.nameInput),
+            leaderboard: resolveElement(container, config.elements.leaderboard),
+            announcer: resolveElement(container, config.elements.announcer)
+        };
+
+        // Live region for screen-reader announcements; one is added when the host has none
+        let createdAnnouncer = false;
+        if (!dom.announcer && config.announce) {
+            dom.announcer = document.createElement('div');
+            dom.announcer.style.cssText = VISUALLY_HIDDEN;
+            container.appendChild(dom.announcer);
+            createdAnnouncer = true;
+        }
+        if (dom.announcer) {
+            if (!dom.announcer.hasAttribute('role')) dom.announcer.setAttribute('role', 'status');
+            if (!dom.announcer.hasAttribute('aria-live')) dom.announcer.setAttribute('aria-live', 'polite');
+        }
+
+        // Draw on the canvas whatever the host didn't provide elements for
+        const drawHudOnCanvas = config.hud && !dom.score;
+        const drawGameOverOnCanvas = config.hud && !dom.gameOver;
+
+        const instance = {
+            canvas: canvas,
+            start: startGame,
+            restart: restartGame,
+            stop: stopGame,
+            pause: pauseGame,
+            resume: resumeGame,
+            isPaused: () => paused,
+            destroy: destroyGame,
+            on: on,
+            off: off,
+            getSeed: () => seed,
+            setSeed: setSeed,
+            getDifficulty: () => config.difficulty,
+            setDifficulty: setDifficulty,
+            getStartLevel: () => config.startLevel,
+            setStartLevel: setStartLevel,
+            getUnlockedLevel: () => unlockedLevel,
+            getKeyBindings: () => JSON.parse(JSON.stringify(keyBindings)),
+            setKeyBinding: setKeyBinding,
+            isMuted: sound.isMuted,
+            setMuted: setMuted,
+            getVolume: sound.getVolume,
+            setVolume: setVolume,
+            getAccessibility: getAccessibility,
+            setAccessibility: setAccessibility,
+            isHoldToBoost: () => config.holdToBoost,
+            setHoldToBoost: (enabled) => {
+                config.holdToBoost = !!enabled;
+            },
+            getPlayers: () => config.players,
+            setPlayers: setPlayers,
+            getStats: () => cleanStats(loadSaveData().stats),
+            getAchievements: getAchievements,
+            showStats: showStats,
+            getGhost: getGhostSummary,
+            exportGhost: () => bestGhost() ? JSON.stringify(Object.assign({ game: 'rocket-dodge' }, bestGhost())) : null,
+            importGhost: importGhost,
+            clearImportedGhost: clearImportedGhost,
+            setShowFps: (enabled) => {
+                config.showFps = !!enabled;
+                refreshCanvas();
+            },
+            getLeaderboard: (tab) => getLeaderboardEntries(loadSaveData(), tab).map(entry => Object.assign({}, entry)),
+            exportLeaderboard: () => exportLeaderboard(loadSaveData()),
+            importLeaderboard: importScores,
+            getPlayerName: () => loadSaveData().playerName,
+            setPlayerName: setPlayerName,
+            fetchTopScores: fetchTopScores,
+            flushScores: flushScores,
+            getPendingScores: () => loadSaveData().pendingScores.length,
+            getRecording: () => lastRecording,
+            exportRecording: () => lastRecording ? encodeRecording(lastRecording) : null,
+            replay: startReplay,
+            openMenu: openMenu,
+            closeMenu: closeMenu,
+            getMenu: () => menu ? {
+                screen: menu.screen,
+                focus: getMenuItems()[menu.focus].id,
+                items: getMenuItems().map(item => item.id)
+            } : null
+        };
+
+        Object.keys(CALLBACK_OPTIONS).forEach(name => {
+            if (typeof options[name] === 'function') {
+                on(CALLBACK_OPTIONS[name], options[name]);
+            }
+        });
+
+        instancesByCanvas.set(canvas, instance);
+        if (!activeInstance) {
+            activeInstance = instance;
+        }
+
+        // Reset game state
+        resetGame();
+        refreshLeaderboard();
+
+        // Setup event listeners
+        setupEventListeners();
+
+        // Draw start screen; the attract-mode demo takes off behind it once it sits idle
+        drawStartScreen();
+        scheduleDemo();
+
+        // Pick up gamepads connected before the game loaded
+        if (config.gamepad && getGamepads().length) {
+            pollGamepads();
+        }
+
+        // Retry anything a previous visit couldn't submit
+        if (config.scoreService && loadSaveData().pendingScores.length) {
+            flushScores();
+        }
+
+        // Update score display
+        updateScoreDisplay();
+
+        return instance;
+
+        /**
+         * Add an event listener and remember it for destroy()
+         */
+        function listen(target, type, handler, listenerOptions) {
+            target.addEventListener(type, handler, listenerOptions);
+            listeners.push({ target, type, handler, listenerOptions });
+        }
+
+        /**
+         * Subscribe to a game event
+         * @param {string} type - start, score, star, powerup, levelup, gameover, pause, resume,
+         *        replayend or accessibility
+         * @param {Function} handler - Called with an event detail object
+         * @returns {Function} Unsubscribe function
+         */
+        function on(type, handler) {
+            (handlers[type] = handlers[type] || []).push(handler);
+            return () => off(type, handler);
+        }
+
+        /**
+         * Unsubscribe from a game event
+         */
+        function off(type, handler) {
+            const list = handlers[type];
+            if (!list) return;
+            const index = list.indexOf(handler);
+            if (index !== -1) list.splice(index, 1);
+        }
+
+        /**
+         * Notify subscribers; a failing handler never breaks the game loop
+         */
+        function emit(type, detail) {
+            const list = handlers[type];
+            if (!list) return;
+            list.slice().forEach(handler => {
+                try {
+                    handler(Object.assign({ type: type, instance: instance, replay: !!replayState }, detail));
+                } catch(e) {
+                    console.error(`Rocket Dodge ${type} handler failed:`, e);
+                }
+            });
+        }
+
+        /**
+         * Setup event listeners for game controls
+         */
+        function setupEventListeners() {
+            listen(canvas, 'mousedown', (e) => {
+                if (e.button === 0) handlePointer(e, 'mouse');
+            });
+            listen(canvas, 'mousemove', (e) => {
+                noteInput();
+                if (menu) hoverMenu(e);
+            });
+            listen(canvas, 'mouseup', () => releaseBoost('mouse'));
+            listen(canvas, 'mouseleave', () => releaseBoost('mouse'));
+            listen(canvas, 'keydown', handleKeyDown);
+            listen(canvas, 'keyup', (e) => releaseBoost('key:' + e.code));
+            listen(canvas, 'focus', () => showFocusRing(true));
+            listen(canvas, 'blur', () => {
+                showFocusRing(false);
+                releaseAllBoosts();
+            });
+
+            if (dom.restartButton) {
+                listen(dom.restartButton, 'click', restartGame);
+            }
+            if (dom.nameInput) {
+                dom.nameInput.maxLength = MAX_NAME_LENGTH;
+                listen(dom.nameInput, 'change', () => {
+                    if (nameEntry) {
+                        nameEntry.name = cleanPlayerName(dom.nameInput.value) || nameEntry.name;
+                        commitName();
+                    }
+                });
+            }
+            if (dom.leaderboard) {
+                listen(dom.leaderboard, 'click', (e) => {
+                    const tab = e.target.closest && e.target.closest('[data-tab]');
+                    if (tab) showLeaderboardTab(tab.dataset.tab);
+                });
+            }
+
+            // Touch support for mobile: every finger that lands counts, and is held until lifted
+            listen(canvas, 'touchstart', (e) => {
+                e.preventDefault();
+                Array.from(e.changedTouches || [e]).forEach(touch => {
+                    handlePointer(touch, 'touch:' + touch.identifier);
+                });
+            }, { passive: false });
+            const liftTouches = (e) => {
+                Array.from(e.changedTouches || []).forEach(touch => releaseBoost('touch:' + touch.identifier));
+            };
+            listen(canvas, 'touchend', liftTouches);
+            listen(canvas, 'touchcancel', liftTouches);
+
+            // Gamepads follow the game the player last interacted with
+            listen(container, 'pointerdown', activate);
+            listen(container, 'focusin', activate);
+
+            // Pause when the tab is hidden or the window loses focus; the player resumes
+            listen(document, 'visibilitychange', () => {
+                if (document.hidden) {
+                    pauseGame();
+                    scheduleDemo();
+                } else {
+                    // Back in view, an idle start screen waits for the demo afresh
+                    noteInput();
+                    if (!paused && !animationId && effectsPlaying()) {
+                        lastFrameTime = performance.now();
+                        animationId = requestAnimationFrame(gameLoop);
+                    }
+                }
+            });
+            listen(window, 'blur', pauseGame);
+
+            // Queued scores go out as soon as the connection is back
+            listen(window, 'online', flushScores);
+
+            if (motionQuery && motionQuery.addEventListener) {
+                listen(motionQuery, 'change', followMotionSetting);
+            }
+
+            // Follow the canvas's CSS size, the pixel density and the screen's orientation
+            if (typeof ResizeObserver === 'function') {
+                resizeObserver = new ResizeObserver(handleResize);
+                resizeObserver.observe(canvas);
+            }
+            listen(window, 'resize', handleResize);
+
+            if (config.gamepad) {
+                listen(window, 'gamepadconnected', () => {
+                    if (!gamepadPollId) pollGamepads();
+                });
+            }
+        }
+
+        /**
+         * Logical play area for the next run: the canvas's starting size (scaled up to keep its shape
+         * if a side is under MIN_VIEW_SIZE), turned to portrait on a portrait screen (orientation
+         * 'auto') or as the orientation option says
+         */
+        function getViewSize() {
+            const grow = Math.max(1, MIN_VIEW_SIZE / Math.min(baseSize.width, baseSize.height));
+            const long = Math.round(Math.max(baseSize.width, baseSize.height) * grow);
+            const short = Math.round(Math.min(baseSize.width, baseSize.height) * grow);
+            let portrait = baseSize.height > baseSize.width;
+            if (config.orientation !== 'auto') {
+                portrait = config.orientation === 'portrait';
+            } else if (window.innerHeight > window.innerWidth) {
+                portrait = true;
+            }
+            return portrait ? { width: short, height: long } : { width: long, height: short };
+        }
+
+        /**
+         * A host canvas with no CSS width takes its size from the backing store, so it would grow
+         * with every resize; give those a fixed CSS width at the logical size instead
+         */
+        function pinUnstyledCanvas() {
+            const width = canvas.clientWidth;
+            if (!width) return;
+            canvas.width += 10;
+            const sizedByBackingStore = canvas.clientWidth !== width;
+            canvas.width -= 10;
+            if (sizedByBackingStore) {
+                canvas.style.width = `${view.width}px`;
+            }
+        }
+
+        /**
+         * Size the backing store to the canvas's CSS box at the screen's pixel density and fit the
+         * logical play area into it
+         */
+        function updateLayout() {
+            canvas.style.aspectRatio = config.fit === 'contain' ? `${view.width} / ${view.height}` : '';
+            if (createdCanvas) {
+                canvas.style.maxWidth = `${view.width}px`;
+            }
+            // A canvas without layout (hidden, or no layout engine) keeps the logical size
+            const ratio = window.devicePixelRatio || 1;
+            const width = Math.round(Math.min((canvas.clientWidth || view.width) * ratio, view.width * MAX_BACKING_SCALE));
+            const height = Math.round(Math.min((canvas.clientHeight || view.height) * ratio, view.height * MAX_BACKING_SCALE));
+
+            // Setting the size clears the canvas, so only do it when it changed
+            if (canvas.width !== width) canvas.width = width;
+            if (canvas.height !== height) canvas.height = height;
+
+            if (config.fit === 'stretch') {
+                layout = { scaleX: width / view.width, scaleY: height / view.height, offsetX: 0, offsetY: 0 };
+            } else {
+                const scale = Math.min(width / view.width, height / view.height);
+                layout = {
+                    scaleX: scale,
+                    scaleY: scale,
+                    offsetX: (width - view.width * scale) / 2,
+                    offsetY: (height - view.height * scale) / 2
+                };
+            }
+
+            const scale = Math.max(layout.scaleX, layout.scaleY);
+            if (scale !== spriteScale) {
+                spriteScale = scale;
+                spriteCache.clear();
+            }
+        }
+
+        /**
+         * Get a cached sprite, drawing it the first time it's asked for
+         * @param {string} key - Identifies what the sprite looks like
+         * @param {number} radius - Half the sprite's size in game units
+         * @param {Function} paint - Draws the sprite, called as (ctx) with the origin at its center
+         * @returns {HTMLCanvasElement} Offscreen canvas at the current backing scale
+         */
+        function getSprite(key, radius, paint) {
+            let sprite = spriteCache.get(key);
+            if (!sprite) {
+                sprite = document.createElement('canvas');
+                sprite.width = sprite.height = Math.max(1, Math.ceil(radius * 2 * spriteScale));
+                const spriteCtx = sprite.getContext('2d');
+                spriteCtx.scale(sprite.width / (radius * 2), sprite.height / (radius * 2));
+                spriteCtx.translate(radius, radius);
+                paint(spriteCtx);
+                spriteCache.set(key, sprite);
+            }
+            return sprite;
+        }
+
+        /**
+         * Get a cached linear gradient from (0, 0) to (x1, y1)
+         * @param {string[]} colors - Start and end color
+         */
+        function getGradient(x1, y1, colors) {
+            const key = `${x1},${y1},${colors[0]},${colors[1]}`;
+            let grad = gradientCache.get(key);
+            if (!grad) {
+                grad = ctx.createLinearGradient(0, 0, x1, y1);
+                grad.addColorStop(0, colors[0]);
+                grad.addColorStop(1, colors[1]);
+                gradientCache.set(key, grad);
+            }
+            return grad;
+        }
+
+        /**
+         * The canvas, pixel density or window changed size: refit, and turn the start screen to the
+         * screen's orientation (a run in progress keeps its play area until the next one)
+         */
+        function handleResize() {
+            if (destroyed) return;
+            if (!gameRunning && onStartScreen) {
+                const size = getViewSize();
+                if (size.width !== view.width || size.height !== view.height) resetGame();
+            }
+            updateLayout();
+            refreshCanvas();
+        }
+
+        /**
+         * Clear the whole backing store and draw from here on in game coordinates
+         */
+        function beginFrame() {
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.setTransform(layout.scaleX, 0, 0, layout.scaleY, layout.offsetX, layout.offsetY);
+        }
+
+        /**
+         * Wipe anything drawn past the edges of the play area out of the letterbox bars
+         */
+        function endFrame() {
+            const { offsetX, offsetY } = layout;
+            if (offsetX < 1 && offsetY < 1) return;
+            ctx.save();
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            if (offsetX >= 1) {
+                ctx.clearRect(0, 0, offsetX, canvas.height);
+                ctx.clearRect(canvas.width - offsetX, 0, offsetX, canvas.height);
+            }
+            if (offsetY >= 1) {
+                ctx.clearRect(0, 0, canvas.width, offsetY);
+                ctx.clearRect(0, canvas.height - offsetY, canvas.width, offsetY);
+            }
+            ctx.restore();
+        }
+
+        /**
+         * Game coordinates of a mouse or touch point, allowing for CSS scaling and letterboxing
+         * @returns {Object|null} {x, y}, or null when the canvas has no layout size
+         */
+        function toCanvasPoint(point) {
+            const rect = canvas.getBoundingClientRect();
+            if (!rect.width || !rect.height || point.clientX === undefined) return null;
+            // Page pixels to backing-store pixels, then undo the letterbox and scale
+            const deviceX = (point.clientX - rect.left) * canvas.width / rect.width;
+            const deviceY = (point.clientY - rect.top) * canvas.height / rect.height;
+            return {
+                x: (deviceX - layout.offsetX) / layout.scaleX,
+                y: (deviceY - layout.offsetY) / layout.scaleY
+            };
+        }
+
+        /**
+         * Start-screen difficulty buttons in canvas coordinates, one per preset
+         */
+        function getDifficultyButtonRects() {
+            const names = Object.keys(DIFFICULTIES);
+            const buttonWidth = 110;
+            const spacing = 10;
+            const left = (view.width - (buttonWidth * names.length + spacing * (names.length - 1))) / 2;
+            return names.map((name, i) => ({
+                difficulty: name,
+                x: left + i * (buttonWidth + spacing),
+                y: view.height / 2 + 110,
+                width: buttonWidth,
+                height: 36
+            }));
+        }
+
+        /**
+         * Start-screen level select arrows in canvas coordinates (only once a later level is unlocked)
+         */
+        function getLevelArrowRects() {
+            if (unlockedLevel < 2) return [];
+            const y = view.height / 2 - 98;
+            return [
+                { step: -1, x: view.width / 2 - 190, y: y, width: 40, height: 36 },
+                { step: 1, x: view.width / 2 + 150, y: y, width: 40, height: 36 }
+            ];
+        }
+
+        /**
+         * Start-screen button that opens and closes the stats and achievements panel
+         */
+        function getStatsButtonRect() {
+            return { x: view.width - 135, y: 44, width: 120, height: 30 };
+        }
+
+        /**
+         * Start-screen button that switches between one and two players
+         */
+        function getPlayersButtonRect() {
+            return { x: view.width - 135, y: 82, width: 120, height: 30 };
+        }
+
+        /**
+         * Start-screen button that opens the menu
+         */
+        function getMenuButtonRect() {
+            return { x: view.width - 135, y: 120, width: 120, height: 30 };
+        }
+
+        /**
+         * Rows of the menu on show in canvas coordinates, each with its item and index. Full
+         * screens scroll to keep the focused row in view; the game-over buttons sit under the score
+         */
+        function getMenuItemRects() {
+            if (!menu) return [];
+            const items = getMenuItems();
+            if (menu.screen === 'gameOver') {
+                const panel = players ? null : getLeaderboardPanelRect();
+                const cx = panel ? view.width * 0.28 : view.width / 2;
+                const top = view.height / 2 + (players ? 80 : 50);
+                return items.map((item, i) => ({ item: item, index: i, x: cx - 100, y: top + i * 52, width: 200, height: 44 }));
+            }
+            const lines = getMenuText();
+            const top = MENU_TOP + (lines.length ? lines.length * MENU_LINE_HEIGHT + 16 : 0);
+            const rows = Math.max(1, Math.floor((view.height - top - 40) / MENU_ROW_HEIGHT));
+            menu.scroll = Math.min(Math.max(menu.scroll, menu.focus - rows + 1), menu.focus);
+            const width = Math.min(MENU_WIDTH, view.width - 40);
+            return items.slice(menu.scroll, menu.scroll + rows).map((item, i) => ({
+                item: item,
+                index: menu.scroll + i,
+                x: (view.width - width) / 2,
+                y: top + i * MENU_ROW_HEIGHT,
+                width: width,
+                height: MENU_ROW_HEIGHT - 6
+            }));
+        }
+
+        /**
+         * The bar of a volume slider within its row
+         */
+        function getSliderRect(row) {
+            return { x: row.x + row.width - 170, y: row.y + row.height / 2 - 3, width: 110, height: 6 };
+        }
+
+        /**
+         * Game-over leaderboard panel, or null when the canvas is too narrow to show it
+         */
+        function getLeaderboardPanelRect() {
+            if (view.width < 600) return null;
+            return {
+                x: view.width * 0.56,
+                y: view.height / 2 - 150,
+                width: view.width * 0.4,
+                height: 300
+            };
+        }
+
+        /**
+         * Leaderboard tab buttons in canvas coordinates
+         */
+        function getLeaderboardTabRects() {
+            const panel = getLeaderboardPanelRect();
+            if (!panel) return [];
+            return ['all', 'daily'].map((tab, i) => ({
+                tab: tab,
+                x: panel.x + i * panel.width / 2,
+                y: panel.y,
+                width: panel.width / 2,
+                height: 32
+            }));
+        }
+
+        /**
+         * Pause button bounds in canvas coordinates
+         */
+        function getPauseButtonRect() {
+            return {
+                x: view.width - PAUSE_BUTTON_MARGIN - PAUSE_BUTTON_SIZE,
+                y: PAUSE_BUTTON_MARGIN,
+                width: PAUSE_BUTTON_SIZE,
+                height: PAUSE_BUTTON_SIZE
+            };
+        }
+
+        /**
+         * Handle a mouse press or touch on the canvas
+         * @param {Object} point - Mouse event or touch with clientX/clientY
+         * @param {string} source - Held-input name for the mouse button or finger
+         */
+        function handlePointer(point, source) {
+            noteInput();
+            if (menu && handleMenuPointer(point)) return;
+            if (!gameRunning && onStartScreen) {
+                const p = toCanvasPoint(point);
+                const stats = getStatsButtonRect();
+                if (p && p.x >= stats.x && p.x <= stats.x + stats.width &&
+                    p.y >= stats.y && p.y <= stats.y + stats.height) {
+                    activate();
+                    showStats(!statsOpen);
+                    return;
+                }
+                const menuButton = getMenuButtonRect();
+                if (p && !statsOpen && p.x >= menuButton.x && p.x <= menuButton.x + menuButton.width &&
+                    p.y >= menuButton.y && p.y <= menuButton.y + menuButton.height) {
+                    activate();
+                    openMenu('main');
+                    return;
+                }
+                const versus = getPlayersButtonRect();
+                if (p && !statsOpen && p.x >= versus.x && p.x <= versus.x + versus.width &&
+                    p.y >= versus.y && p.y <= versus.y + versus.height) {
+                    activate();
+                    setPlayers(config.players === 2 ? 1 : 2);
+                    return;
+                }
+                const button = p && !statsOpen && getDifficultyButtonRects().find(rect =>
+                    p.x >= rect.x && p.x <= rect.x + rect.width &&
+                    p.y >= rect.y && p.y <= rect.y + rect.height);
+                if (button) {
+                    activate();
+                    setDifficulty(button.difficulty);
+                    return;
+                }
+                const arrow = p && !statsOpen && getLevelArrowRects().find(rect =>
+                    p.x >= rect.x && p.x <= rect.x + rect.width &&
+                    p.y >= rect.y && p.y <= rect.y + rect.height);
+                if (arrow) {
+                    activate();
+                    setStartLevel(config.startLevel + arrow.step);
+                    return;
+                }
+            }
+            if (!gameRunning && !onStartScreen && !players && drawGameOverOnCanvas && !config.renderGameOver) {
+                const p = toCanvasPoint(point);
+                const tab = p && getLeaderboardTabRects().find(rect =>
+                    p.x >= rect.x && p.x <= rect.x + rect.width &&
+                    p.y >= rect.y && p.y <= rect.y + rect.height);
+                if (tab) {
+                    activate();
+                    showLeaderboardTab(tab.tab);
+                    return;
+                }
+            }
+            if (gameRunning && config.pauseButton) {
+                const p = toCanvasPoint(point);
+                const button = getPauseButtonRect();
+                if (p && p.x >= button.x && p.x <= button.x + button.width &&
+                    p.y >= button.y && p.y <= button.y + button.height) {
+                    activate();
+                    togglePause();
+                    return;
+                }
+            }
+            // In a two-player race each player has their own half of the screen
+            const half = players && gameRunning ? toCanvasPoint(point) : null;
+            pressBoost(source, half && half.x >= view.width / 2 ? 1 : 0);
+        }
+
+        /**
+         * Route gamepad input to this game
+         */
+        function activate() {
+            activeInstance = instance;
+        }
+
+        /**
+         * Handle keyboard input
+         */
+        function handleKeyDown(e) {
+            activate();
+            noteInput();
+            if (nameEntry && !gameRunning && drawGameOverOnCanvas && handleNameKey(e)) {
+                e.preventDefault();
+                return;
+            }
+            if (menu && menu.binding) {
+                e.preventDefault();
+                bindMenuKey(e.code);
+                return;
+            }
+            const action = getKeyAction(keyBindings, e.code);
+            if (!action) return;
+            e.preventDefault();
+            if (menu && action !== 'mute') {
+                // Held keys repeat; only the arrows keep moving
+                const menuAction = MENU_KEY_ACTIONS[action];
+                const used = menuAction && (!e.repeat || menuAction !== 'select') && handleMenuAction(menuAction);
+                // The game-over buttons leave the other keys to the screen around them
+                if (used || menu.screen !== 'gameOver') return;
+            }
+            if (statsOpen && (action === 'stats' || action === 'pause')) {
+                showStats(false);
+            } else if (!gameRunning && onStartScreen && action === 'pause') {
+                openMenu('main');
+            } else if (action === 'boost') {
+                // Held keys repeat; with holdToBoost the hold itself keeps boosting
+                if (!e.repeat || !config.holdToBoost) pressBoost('key:' + e.code);
+            } else if (action === 'boost2') {
+                if (!e.repeat) pressBoost('key:' + e.code, 1);
+            } else if (!gameRunning && onStartScreen && action === 'stats') {
+                showStats(true);
+            } else if (!gameRunning && onStartScreen && (action === 'left' || action === 'right')) {
+                const names = Object.keys(DIFFICULTIES);
+                const current = names.indexOf(config.difficulty);
+                const step = action === 'left' ? -1 : 1;
+                const next = current === -1 ? 1 : Math.max(0, Math.min(names.length - 1, current + step));
+                setDifficulty(names[next]);
+            } else if (!gameRunning && onStartScreen && (action === 'up' || action === 'down')) {
+                setStartLevel(config.startLevel + (action === 'up' ? 1 : -1));
+            } else if (!gameRunning && !onStartScreen && (action === 'left' || action === 'right')) {
+                showLeaderboardTab(leaderboardTab === 'all' ? 'daily' : 'all');
+            } else if (action === 'mute') {
+                setMuted(!sound.isMuted());
+            } else if (gameRunning && action === 'pause') {
+                togglePause();
+            } else if (replayState && gameRunning && action === 'faster') {
+                replayState.controller.setSpeed(replayState.speed * 2);
+            } else if (replayState && gameRunning && action === 'slower') {
+                replayState.controller.setSpeed(replayState.speed / 2);
+            }
+        }
+
+        /**
+         * A boost input went down: it boosts (or starts a run) once, and with holdToBoost
+         * keeps boosting until it is released
+         * @param {string} source - Which key, mouse button, finger or gamepad is held
+         * @param {number} playerIndex - Whose rocket boosts in a two-player race (0 or 1)
+         */
+        function pressBoost(source, playerIndex = 0) {
+            if (source) heldInputs.add(source);
+            handleInput(playerIndex);
+        }
+
+        /**
+         * A boost input was released
+         */
+        function releaseBoost(source) {
+            heldInputs.delete(source);
+        }
+
+        /**
+         * Forget every held input (focus or the window went away, so their releases may never arrive)
+         */
+        function releaseAllBoosts() {
+            heldInputs.clear();
+        }
+
+        /**
+         * Whether holding a boost input fires another boost on this tick
+         */
+        function holdBoostDue(tick) {
+            if (!config.holdToBoost || !heldInputs.size) return false;
+            const boosts = recording.boosts;
+            return !boosts.length || tick - boosts[boosts.length - 1] >= HOLD_BOOST_TICKS;
+        }
+
+        /**
+         * Read the gamepads once a frame while any are connected: A acts like Space, Start pauses
+         * (and opens the menu on the start screen), and in a menu the d-pad, A and B work it.
+         * Only the game with keyboard focus (or last touched) listens to them
+         */
+        function pollGamepads() {
+            gamepadPollId = null;
+            if (destroyed) return;
+            const pads = getGamepads();
+            const down = new Set();
+            pads.forEach(pad => {
+                Object.keys(GAMEPAD_MENU_BUTTONS).map(Number).forEach(button => {
+                    if (pad.buttons[button] && pad.buttons[button].pressed) down.add(pad.index + ':' + button);
+                });
+            });
+
+            padButtons.forEach(id => {
+                if (!down.has(id)) {
+                    padButtons.delete(id);
+                    releaseBoost('pad:' + id);
+                }
+            });
+            down.forEach(id => {
+                if (padButtons.has(id)) return;
+                padButtons.add(id);
+                if (activeInstance !== instance) return;
+                noteInput();
+                const button = Number(id.slice(id.indexOf(':') + 1));
+                if (menu && handleMenuAction(GAMEPAD_MENU_BUTTONS[button])) return;
+                if (button === GAMEPAD_BOOST_BUTTON) {
+                    // The first gamepad is player one's, any other player two's
+                    pressBoost('pad:' + id, parseInt(id, 10) > 0 ? 1 : 0);
+                } else if (button === GAMEPAD_PAUSE_BUTTON && gameRunning) {
+                    togglePause();
+                } else if (button === GAMEPAD_PAUSE_BUTTON && onStartScreen && !statsOpen) {
+                    openMenu('main');
+                }
+            });
+
+            if (pads.length) {
+                gamepadPollId = requestAnimationFrame(pollGamepads);
+            }
+        }
+
+        /**
+         * Mute or unmute all sound and remember the choice
+         */
+        function setMuted(muted) {
+            sound.setMuted(muted);
+            saveAudioSettings();
+        }
+
+        /**
+         * Set the music or effects volume (0-1) and remember it
+         * @param {string} channel - 'music' or 'sfx'
+         */
+        function setVolume(channel, value) {
+            sound.setVolume(channel, value);
+            saveAudioSettings();
+        }
+
+        /**
+         * Store the sound settings with the rest of the save
+         */
+        function saveAudioSettings() {
+            const data = loadSaveData();
+            data.audio = sound.getSettings();
+            saveSaveData(data);
+        }
+
+        /**
+         * Whether to draw without particles, confetti and flicker
+         */
+        function motionReduced() {
+            if (config.reducedMotion !== null) return config.reducedMotion;
+            return !!(motionQuery && motionQuery.matches);
+        }
+
+        /**
+         * Change accessibility settings and remember them
+         * @param {Object} settings - Any of reducedMotion, highContrast, assist and autopilot
+         *        (booleans; reducedMotion null follows the system setting again)
+         */
+        function setAccessibility(settings) {
+            const data = loadSaveData();
+            ['reducedMotion', 'highContrast', 'assist', 'autopilot'].forEach(key => {
+                if (!settings || !(key in settings)) return;
+                if (key === 'reducedMotion' && settings[key] === null) {
+                    config.reducedMotion = null;
+                    delete data.accessibility.reducedMotion;
+                } else {
+                    config[key] = !!settings[key];
+                    data.accessibility[key] = config[key];
+                }
+            });
+            saveSaveData(data);
+            followMotionSetting();
+            emit('accessibility', getAccessibility());
+        }
+
+        /**
+         * Accessibility settings in effect
+         * @returns {Object} { reducedMotion, highContrast, assist, autopilot }
+         */
+        function getAccessibility() {
+            return {
+                reducedMotion: motionReduced(),
+                highContrast: config.highContrast,
+                assist: config.assist,
+                autopilot: config.autopilot
+            };
+        }
+
+        /**
+         * Drop particles once motion is reduced, ground the demo (it takes off again later
+         * unless motion is reduced), and redraw
+         */
+        function followMotionSetting() {
+            if (motionReduced()) clearEffects();
+            scheduleDemo();
+            refreshCanvas();
+        }
+
+        /**
+         * Redraw whichever screen is showing after a setting changed
+         */
+        function refreshCanvas() {
+            if (destroyed) return;
+            if (onStartScreen && !gameRunning) {
+                drawStartScreen();
+            } else {
+                redraw();
+            }
+        }
+
+        /**
+         * Read a message out through the live region. Messages from the same tick collapse into the
+         * last one (a shield that breaks also ends), and repeats are nudged so they're read again
+         */
+        function announce(message) {
+            if (!dom.announcer || !config.announce) return;
+            if (pendingAnnouncement === null) {
+                Promise.resolve().then(() => {
+                    const text = pendingAnnouncement;
+                    pendingAnnouncement = null;
+                    if (destroyed) return;
+                    dom.announcer.textContent = dom.announcer.textContent === text ? text + '\u00a0' : text;
+                });
+            }
+            pendingAnnouncement = message;
+        }
+
+        /**
+         * Colors for the current level, or the high-contrast set
+         */
+        function getPalette() {
+            if (config.highContrast) return HIGH_CONTRAST_PALETTE;
+            return Object.assign({}, STANDARD_COLORS, getLevelDefinition(state.level).palette);
+        }
+
+        /**
+         * Show or hide the focus outline on the canvas
+         */
+        function showFocusRing(visible) {
+            if (!config.focusRing) return;
+            canvas.style.outline = visible ? FOCUS_RING.outline : '';
+            canvas.style.outlineOffset = visible ? FOCUS_RING.outlineOffset : '';
+        }
+
+        /**
+         * Rebind a keyboard action and remember it for next time; the new keys are taken off any
+         * other action they were bound to
+         * @param {string} action - An action from DEFAULT_KEY_BINDINGS
+         * @param {string|string[]|null} codes - KeyboardEvent.code values, or null for the default
+         * @returns {boolean} False for an unknown action or no usable keys
+         */
+        function setKeyBinding(action, codes) {
+            if (!DEFAULT_KEY_BINDINGS[action]) return false;
+            const data = loadSaveData();
+            if (codes === null) {
+                delete data.keyBindings[action];
+            } else {
+                const clean = cleanKeyBindings({ [action]: codes })[action];
+                if (!clean || !clean.length) return false;
+                Object.keys(keyBindings).forEach(other => {
+                    const kept = keyBindings[other].filter(code => !clean.includes(code));
+                    if (other !== action && kept.length !== keyBindings[other].length) {
+                        data.keyBindings[other] = kept;
+                    }
+                });
+                data.keyBindings[action] = clean;
+            }
+            saveSaveData(data);
+            keyBindings = resolveKeyBindings(config.keys, data.keyBindings);
+            return true;
+        }
+
+        /**
+         * Edit the name on the canvas game-over screen: letters append, Backspace deletes,
+         * Enter saves (Space isn't part of names; it still restarts)
+         * @returns {boolean} True when the key was used for the name
+         */
+        function handleNameKey(e) {
+            if (e.key === 'Enter') {
+                commitName();
+            } else if (e.key === 'Backspace') {
+                nameEntry.name = nameEntry.name.slice(0, -1);
+            } else if (e.key && e.key.length === 1 && e.key !== ' ' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                nameEntry.name = cleanPlayerName(nameEntry.name + e.key);
+            } else {
+                return false;
+            }
+            redraw();
+            return true;
+        }
+
+        /**
+         * Save the edited name onto the run's leaderboard entry and remember it for next time
+         */
+        function commitName() {
+            if (!nameEntry) return;
+            const pending = nameEntry;
+            nameEntry = null;
+            const name = setPlayerName(pending.name);
+            const data = loadSaveData();
+            const stored = data.leaderboard.find(entry =>
+                entry.date === pending.entry.date && entry.score === pending.entry.score && entry.seed === pending.entry.seed);
+            if (stored && stored.name !== name) {
+                stored.name = name;
+                saveSaveData(data);
+            }
+            if (dom.nameInput) dom.nameInput.disabled = true;
+            refreshLeaderboard();
+            emit('nameentry', { name: name, score: pending.entry.score });
+
+            // The run's submission waited for the name; send it under the final one
+            if (heldRunDate === pending.entry.date) {
+                const queued = data.pendingScores.find(item => item.payload.date === heldRunDate);
+                if (queued && queued.payload.name !== name) {
+                    queued.payload.name = name;
+                    queued.payload.checksum = scoreChecksum(queued.payload);
+                    saveSaveData(data);
+                }
+                heldRunDate = null;
+                flushScores();
+            }
+        }
+
+        /**
+         * Queue a finished run for the score service
+         * @param {Object} payload - From createScorePayload
+         */
+        function queueScore(payload) {
+            const data = loadSaveData();
+            data.pendingScores.push({ payload: payload, attempts: 0 });
+            data.pendingScores = data.pendingScores.slice(-MAX_PENDING_SCORES);
+            saveSaveData(data);
+        }
+
+        /**
+         * Send queued runs to the score service, oldest first, until one fails to get through
+         * @returns {Promise<number>} Runs still queued afterwards
+         */
+        function flushScores() {
+            if (!config.scoreService || destroyed) return Promise.resolve(loadSaveData().pendingScores.length);
+            // Runs queued during a pass wait for the next one
+            if (flushing) {
+                if (!flushQueued) {
+                    flushQueued = flushing.then(() => {
+                        flushQueued = null;
+                        return flushScores();
+                    });
+                }
+                return flushQueued;
+            }
+            clearTimeout(retryTimer);
+            retryTimer = null;
+            flushing = submitNextScore().then(() => {
+                flushing = null;
+                return loadSaveData().pendingScores.length;
+            });
+            return flushing;
+        }
+
+        /**
+         * Submit the oldest queued run that isn't waiting for its name
+         */
+        function submitNextScore() {
+            const item = loadSaveData().pendingScores.find(pending => pending.payload.date !== heldRunDate);
+            if (!item || destroyed) return Promise.resolve();
+            const meta = Object.assign({}, item.payload);
+            delete meta.score;
+
+            return Promise.resolve()
+                .then(() => config.scoreService.submit(item.payload.score, meta))
+                .then(result => {
+                    removePendingScore(item);
+                    emit('scoresubmitted', { score: item.payload.score, name: item.payload.name, rank: result && result.rank });
+                    return submitNextScore();
+                }, error => {
+                    if (error && error.retryable) {
+                        const attempts = retryPendingScore(item);
+                        const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * Math.pow(2, attempts - 1));
+                        if (!destroyed) retryTimer = setTimeout(flushScores, delay);
+                        emit('scorequeued', { score: item.payload.score, attempts: attempts, retryIn: delay });
+                        return;
+                    }
+                    removePendingScore(item);
+                    emit('scorerejected', { score: item.payload.score, error: error ? error.message : null });
+                    return submitNextScore();
+                });
+        }
+
+        /**
+         * Drop a queued run once the service has answered for it
+         */
+        function removePendingScore(item) {
+            const data = loadSaveData();
+            data.pendingScores = data.pendingScores.filter(pending =>
+                pending.payload.date !== item.payload.date || pending.payload.seed !== item.payload.seed);
+            saveSaveData(data);
+        }
+
+        /**
+         * Count a failed attempt on a queued run
+         * @returns {number} Attempts so far
+         */
+        function retryPendingScore(item) {
+            const data = loadSaveData();
+            const stored = data.pendingScores.find(pending =>
+                pending.payload.date === item.payload.date && pending.payload.seed === item.payload.seed);
+            if (!stored) return 1;
+            stored.attempts = (stored.attempts || 0) + 1;
+            saveSaveData(data);
+            return stored.attempts;
+        }
+
+        /**
+         * Top scores from the score service
+         * @param {number} n - How many (default: 10)
+         * @param {Object} query - { daily: true } for today's runs only
+         * @returns {Promise<Object[]>} Entries, or an empty list without a service
+         */
+        function fetchTopScores(n = 10, query = {}) {
+            if (!config.scoreService) return Promise.resolve([]);
+            return Promise.resolve().then(() => config.scoreService.fetchTop(n, query));
+        }
+
+        /**
+         * Remember the name used for the next leaderboard entry
+         * @param {string} name - Player name
+         * @returns {string} The name as stored
+         */
+        function setPlayerName(name) {
+            const data = loadSaveData();
+            data.playerName = cleanPlayerName(name) || DEFAULT_PLAYER_NAME;
+            saveSaveData(data);
+            return data.playerName;
+        }
+
+        /**
+         * Merge an exported leaderboard into this browser's
+         * @param {string|Object} json - Exported leaderboard
+         * @returns {number|null} Entries added, or null if it can't be read
+         */
+        function importScores(json) {
+            const data = loadSaveData();
+            const added = importLeaderboard(data, json);
+            if (added === null) return null;
+            saveSaveData(data);
+            highScore = getHighScore(data);
+            updateScoreDisplay();
+            refreshLeaderboard();
+            return added;
+        }
+
+        /**
+         * Switch the leaderboard between all-time and today's runs
+         */
+        function showLeaderboardTab(tab) {
+            leaderboardTab = tab === 'daily' ? 'daily' : 'all';
+            refreshLeaderboard();
+            redraw();
+        }
+
+        /**
+         * Repaint the canvas while no loop is running (game-over screen edits)
+         */
+        function redraw() {
+            if (!animationId && !onStartScreen) render(1);
+        }
+
+        /**
+         * Act on a boost input (mouse, touch, boost key or gamepad A): start a run, resume,
+         * pause a replay or boost
+         * @param {number} playerIndex - Whose rocket boosts in a two-player race (0 or 1)
+         */
+        function handleInput(playerIndex = 0) {
+            activate();
+            sound.unlock();
+            if (statsOpen) {
+                showStats(false);
+            } else if (!gameRunning) {
+                commitName();
+                startGame();
+            } else if (paused) {
+                resumeGame();
+            } else if (replayState) {
+                // Input doesn't steer a replay; it pauses it instead
+                pauseGame();
+            } else if (players) {
+                const player = players[playerIndex];
+                if (player && !player.crashed) player.boostQueued = true;
+            } else {
+                boostQueued = true;
+            }
+        }
+
+        /**
+         * Pause the run: the loop stops and the paused overlay is drawn
+         */
+        function pauseGame() {
+            if (!gameRunning || paused) return;
+            paused = true;
+            releaseAllBoosts();
+            if (animationId) {
+                cancelAnimationFrame(animationId);
+                animationId = null;
+            }
+            sound.pauseMusic();
+            render(accumulator / TICK_MS);
+            announce('Paused');
+            emit('pause', { score: state.score });
+        }
+
+        /**
+         * Resume a paused run where it left off
+         */
+        function resumeGame() {
+            if (!gameRunning || !paused || destroyed) return;
+            paused = false;
+            // Time spent paused is never simulated
+            lastFrameTime = performance.now();
+            if (!animationId) {
+                animationId = requestAnimationFrame(gameLoop);
+            }
+            sound.resumeMusic();
+            announce('Resumed');
+            emit('resume', { score: state.score });
+        }
+
+        /**
+         * Pause or resume the run
+         */
+        function togglePause() {
+            if (paused) {
+                resumeGame();
+            } else {
+                pauseGame();
+            }
+        }
+
+        /**
+         * Turn simulation events into effects and instance events
+         */
+        function handleSimEvent(type, detail) {
+            switch (type) {
+                case 'boost':
+                    createBoostParticles();
+                    sound.play('boost');
+                    break;
+                case 'levelup':
+                    bannerTicks = BANNER_TICKS;
+                    sound.play('levelUp');
+                    announce(`Level ${detail.level}: ${detail.name}`);
+                    // Only the player's own runs unlock start levels, not replays, races or the autopilot's
+                    if (!replayState && !players && !autopilotRun && detail.level > unlockedLevel) {
+                        const data = loadSaveData();
+                        unlockedLevel = Math.max(data.unlockedLevel, detail.level);
+                        data.unlockedLevel = unlockedLevel;
+                        saveSaveData(data);
+                    }
+                    emit('levelup', { level: detail.level, score: detail.score, name: detail.name });
+                    break;
+                case 'score':
+                    if (detail.reason === 'obstacle') countStat('obstaclesPassed');
+                    emit('score', { points: detail.points, reason: detail.reason, score: detail.score });
+                    break;
+                case 'star':
+                    countStat('stars');
+                    createExplosion(detail.x, detail.y, '#ffd700');
+                    sound.play('star');
+                    emit('star', { score: detail.score });
+                    break;
+                case 'powerup':
+                    if (detail.type === 'shield') countStat('shields');
+                    createExplosion(detail.x, detail.y, getPowerUpDefinition(detail.type).color);
+                    sound.play('gem');
+                    announce(detail.type === 'shield' ? 'Shield on' : `${getPowerUpDefinition(detail.type).label} collected`);
+                    emit('powerup', { powerUp: detail.type, duration: detail.duration, score: detail.score });
+                    break;
+                case 'powerupend':
+                    if (detail.type === 'shield' && state.running) announce('Shield worn off');
+                    emit('powerupend', { powerUp: detail.type });
+                    break;
+                case 'shieldbreak':
+                    createExplosion(detail.x, detail.y, POWER_UPS.shield.color);
+                    sound.play('shieldBreak');
+                    announce('Shield broken');
+                    break;
+                case 'lifelost':
+                    countStat('deaths', detail.edge || detail.cause);
+                    createExplosion(detail.x, detail.y, POWER_UPS.extraLife.color);
+                    sound.play('crash');
+                    announce(`Life lost, ${detail.lives} left`);
+                    emit('lifelost', { cause: detail.cause, edge: detail.edge, lives: detail.lives });
+                    break;
+                case 'gameover':
+                    if (currentPlayer) {
+                        playerCrashed(currentPlayer);
+                        break;
+                    }
+                    countStat('deaths', detail.edge || detail.cause);
+                    endGame(detail.cause, detail.edge);
+                    break;
+            }
+        }
+
+        /**
+         * Pick the seed for the next run
+         * @param {number|string|null} value - Fixed seed, or null for a fresh random seed each run
+         */
+        function setSeed(value) {
+            config.seed = value === undefined ? null : value;
+            config.daily = false;
+        }
+
+        /**
+         * Pick the difficulty for the next run
+         * @param {string} difficulty - 'easy', 'normal', 'hard' or 'custom'
+         * @param {Object} tuning - Overrides for individual settings (default: keep the current ones)
+         */
+        function setDifficulty(difficulty, tuning) {
+            config.difficulty = difficulty || 'normal';
+            if (tuning !== undefined) {
+                config.tuning = tuning ? Object.assign({}, tuning) : null;
+            }
+            if (!gameRunning && onStartScreen) {
+                resetGame();
+                drawStartScreen();
+                updateScoreDisplay();
+            }
+        }
+
+        /**
+         * Pick the level the next run starts on, limited to the levels reached so far
+         * @param {number} level - Level number
+         */
+        function setStartLevel(level) {
+            config.startLevel = Math.max(1, Math.min(unlockedLevel, Math.floor(level) || 1));
+            if (!gameRunning && onStartScreen) {
+                resetGame();
+                drawStartScreen();
+                updateScoreDisplay();
+            }
+        }
+
+        /**
+         * Seed both random streams for a new run
+         */
+        function seedRun() {
+            if (replayState) {
+                seed = replayState.recording.seed;
+            } else if (config.daily) {
+                seed = normalizeSeed(`daily:${getDailyKey()}`);
+            } else if (config.seed !== null) {
+                seed = normalizeSeed(config.seed);
+            } else {
+                seed = Math.floor(Math.random() * 4294967296);
+            }
+            effectsRandom = createRandom(seed ^ 0x9E3779B9);
+        }
+
+        /**
+         * Reset game state
+         */
+        function resetGame() {
+            gameRunning = false;
+            seedRun();
+            boostQueued = false;
+            const source = replayState ? replayState.recording : config;
+
+            // Live runs take the screen's orientation; replays the play area they were recorded on
+            const size = replayState && replayState.recording.width && replayState.recording.height
+                ? { width: replayState.recording.width, height: replayState.recording.height }
+                : getViewSize();
+            if (size.width !== view.width || size.height !== view.height) {
+                view = size;
+                sim = createSimulation({ width: view.width, height: view.height, onEvent: handleSimEvent });
+                updateLayout();
+            }
+
+            const run = {
+                powerUps: source.powerUps || null,
+                difficulty: source.difficulty || 'normal',
+                tuning: source.tuning || null,
+                startLevel: source.startLevel || 1
+            };
+            recording = {
+                version: GAME_VERSION,
+                seed: seed,
+                width: view.width,
+                height: view.height,
+                boosts: [],
+                powerUps: run.powerUps || undefined,
+                difficulty: run.difficulty,
+                tuning: run.tuning || undefined,
+                startLevel: run.startLevel
+            };
+            state = sim.reset(seed, run);
+            clearEffects();
+            ghostTrace = replayState ? null : { ys: [], rotations: [], scores: [] };
+            traceGhost();
+
+            // The demo picks up a new difficulty, start level or play area
+            if (demo) demo = createDemo();
+        }
+
+        /**
+         * Start the game
+         */
+        function startGame() {
+            startRun(null);
+        }
+
+        /**
+         * Start a live run, or play back a recording
+         * @param {Object|null} replayRecording - Recording to play back
+         */
+        function startRun(replayRecording) {
+            if (destroyed) return;
+            clearTimeout(demoTimer);
+            demoTimer = null;
+            demo = null;
+            menu = null;
+            autopilotRun = false;
+            replayState = null;
+            if (replayRecording) {
+                replayState = {
+                    recording: replayRecording,
+                    boostsOnTick: createRecordingInput(replayRecording),
+                    speed: 1,
+                    controller: null
+                };
+            }
+            resetGame();
+            players = !replayState && config.players === 2 ? createPlayers() : null;
+            if (players) state = players[0].state;
+            onStartScreen = false;
+            bannerTicks = BANNER_TICKS;
+            const data = loadSaveData();
+            highScore = getHighScore(data);
+            lifetimeStats = data.stats;
+            unlockedAchievements = data.achievements;
+            runStats = createStats();
+            statsOpen = false;
+            ghosts = loadGhosts();
+            paused = false;
+            gameRunning = true;
+            if (dom.gameOver) {
+                dom.gameOver.style.display = 'none';
+            }
+            if (animationId) {
+                cancelAnimationFrame(animationId);
+            }
+            runId++;
+            accumulator = 0;
+            lastFrameTime = performance.now();
+            animationId = requestAnimationFrame(gameLoop);
+            sound.startMusic();
+            render(0);
+            announce(`${replayState ? 'Replay' : players ? 'Two-player race' : 'Run'} started on level ${state.level}`);
+            emit('start', { highScore: highScore, seed: seed, daily: config.daily, level: state.level });
+        }
+
+        /**
+         * Play back a recorded run through the same simulation
+         * @param {string|Object} data - Recording object or exported string
+         * @param {Object} replayOptions - Playback options
+         * @param {number} replayOptions.speed - Playback speed multiplier (default: 1)
+         * @returns {Object|null} Controller with play, pause, isPaused, setSpeed and stop
+         */
+        function startReplay(data, replayOptions = {}) {
+            const replayRecording = decodeRecording(data);
+            if (!replayRecording) return null;
+
+            if (replayRecording.version !== GAME_VERSION) {
+                console.warn(`Recording is from game version ${replayRecording.version}; playback may differ`);
+            }
+
+            startRun(replayRecording);
+            const playback = replayState;
+            const controller = {
+                play: () => { if (replayState === playback) resumeGame(); },
+                pause: () => { if (replayState === playback) pauseGame(); },
+                isPaused: () => replayState === playback && paused,
+                setSpeed: (speed) => { playback.speed = Math.max(0.25, Math.min(8, speed)); },
+                stop: () => {
+                    if (replayState === playback) stopGame();
+                }
+            };
+            playback.controller = controller;
+            controller.setSpeed(replayOptions.speed || 1);
+            return controller;
+        }
+
+        /**
+         * Restart the game
+         */
+        function restartGame() {
+            commitName();
+            startGame();
+        }
+
+        /**
+         * Stop the game
+         */
+        function stopGame() {
+            gameRunning = false;
+            paused = false;
+            players = null;
+            if (animationId) {
+                cancelAnimationFrame(animationId);
+                animationId = null;
+            }
+            sound.stopMusic();
+        }
+
+        /**
+         * Stop the game and remove everything this instance added to the page
+         */
+        function destroyGame() {
+            if (destroyed) return;
+            stopGame();
+            destroyed = true;
+            clearTimeout(retryTimer);
+            retryTimer = null;
+            clearTimeout(demoTimer);
+            demoTimer = null;
+            if (gamepadPollId) {
+                cancelAnimationFrame(gamepadPollId);
+                gamepadPollId = null;
+            }
+            releaseAllBoosts();
+            showFocusRing(false);
+            if (resizeObserver) {
+                resizeObserver.disconnect();
+                resizeObserver = null;
+            }
+            addedAttributes.forEach(name => canvas.removeAttribute(name));
+            if (createdAnnouncer && dom.announcer.parentNode) {
+                dom.announcer.parentNode.removeChild(dom.announcer);
+            }
+            listeners.forEach(({ target, type, handler, listenerOptions }) => {
+                target.removeEventListener(type, handler, listenerOptions);
+            });
+            listeners.length = 0;
+            Object.keys(handlers).forEach(type => delete handlers[type]);
+            sound.destroy();
+            if (instancesByCanvas.get(canvas) === instance) {
+                instancesByCanvas.delete(canvas);
+            }
+            if (activeInstance === instance) {
+                activeInstance = instancesByCanvas.values().next().value || null;
+            }
+            if (createdCanvas && canvas.parentNode) {
+                canvas.parentNode.removeChild(canvas);
+            }
+        }
+
+        /**
+         * Draw start screen, over the attract-mode demo while it's flying
+         * @param {number} alpha - Fraction of a demo tick elapsed since the last update (0-1)
+         */
+        function drawStartScreen(alpha = 1) {
+            beginFrame();
+            if (demo) {
+                withPlayer(demo, () => drawCourse(alpha));
+                drawParticles(alpha);
+            } else {
+                drawBackground();
+            }
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            ctx.fillRect(0, 0, view.width, view.height);
+
+            if (menu) {
+                drawMenu();
+                endFrame();
+                return;
+            }
+            if (statsOpen) {
+                drawStatsPanel();
+            } else {
+                ctx.fillStyle = '#fff';
+                ctx.font = 'bold 40px Arial';
+                ctx.textAlign = 'center';
+                ctx.fillText('Click or Press SPACE to Start!', view.width / 2, view.height / 2);
+
+                // Draw sample rocket, unless the demo has one in the air
+                if (!demo) drawRocket(view.width / 2 - 50, view.height / 2 + 50);
+
+                drawDifficultyButtons();
+                drawLevelSelect();
+            }
+            drawHud();
+            drawStatsButton();
+            if (!statsOpen) {
+                drawPlayersButton();
+                drawMenuButton();
+            }
+            if (config.showFps && demo) drawFpsOverlay();
+            endFrame();
+        }
+
+        /**
+         * Draw the start screen's one/two player switch
+         */
+        function drawPlayersButton() {
+            const button = getPlayersButtonRect();
+            ctx.save();
+            ctx.fillStyle = config.players === 2 ? '#7dd3fc' : 'rgba(255, 255, 255, 0.15)';
+            ctx.fillRect(button.x, button.y, button.width, button.height);
+            ctx.fillStyle = config.players === 2 ? '#0b0f12' : '#fff';
+            ctx.font = 'bold 14px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(config.players === 2 ? '👥 2 Players' : '👤 1 Player', button.x + button.width / 2, button.y + 20);
+            ctx.restore();
+        }
+
+        /**
+         * Draw the start screen's Menu button
+         */
+        function drawMenuButton() {
+            const button = getMenuButtonRect();
+            ctx.save();
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+            ctx.fillRect(button.x, button.y, button.width, button.height);
+            ctx.fillStyle = '#fff';
+            ctx.font = 'bold 14px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText('☰ Menu', button.x + button.width / 2, button.y + 20);
+            ctx.restore();
+        }
+
+        /**
+         * Draw the start screen's Stats button (Close while the panel is open)
+         */
+        function drawStatsButton() {
+            const button = getStatsButtonRect();
+            ctx.save();
+            ctx.fillStyle = statsOpen ? '#7dd3fc' : 'rgba(255, 255, 255, 0.15)';
+            ctx.fillRect(button.x, button.y, button.width, button.height);
+            ctx.fillStyle = statsOpen ? '#0b0f12' : '#fff';
+            ctx.font = 'bold 14px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(statsOpen ? 'Close' : '🏆 Stats', button.x + button.width / 2, button.y + 20);
+            ctx.restore();
+        }
+
+        /**
+         * Draw lifetime stats on the left and every achievement, locked or not, on the right
+         */
+        function drawStatsPanel() {
+            const stats = lifetimeStats;
+            const seconds = Math.floor(stats.longestRunTicks / TICK_RATE);
+            const rows = [
+                ['Runs played', stats.runs],
+                ['Stars collected', stats.stars],
+                ['Shields picked up', stats.shields],
+                ['Obstacles passed', stats.obstaclesPassed],
+                ['Longest flight', `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`],
+                ['Hit the ceiling', stats.deaths.ceiling],
+                ['Hit the floor', stats.deaths.floor],
+                ['Hit an obstacle', stats.deaths.obstacle]
+            ];
+            const middle = view.width / 2;
+            const top = 100;
+
+            ctx.save();
+            ctx.textAlign = 'left';
+            ctx.fillStyle = '#fff';
+            ctx.font = 'bold 20px Arial';
+            ctx.fillText('Lifetime Stats', 20, top);
+            ctx.font = '15px Arial';
+            rows.forEach(([label, value], i) => {
+                const y = top + 30 + i * 24;
+                ctx.textAlign = 'left';
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.75)';
+                ctx.fillText(label, 20, y);
+                ctx.textAlign = 'right';
+                ctx.fillStyle = '#fff';
+                ctx.fillText(String(value), middle - 20, y);
+            });
+
+            const ids = Object.keys(ACHIEVEMENTS);
+            const spacing = Math.min(36, (view.height - top - 40) / ids.length);
+            ctx.textAlign = 'left';
+            ctx.font = 'bold 20px Arial';
+            ctx.fillText(`Achievements ${ids.filter(id => unlockedAchievements[id]).length}/${ids.length}`, middle + 10, top);
+            ids.forEach((id, i) => {
+                const definition = ACHIEVEMENTS[id];
+                const unlocked = !!unlockedAchievements[id];
+                const y = top + 28 + i * spacing;
+                ctx.font = 'bold 14px Arial';
+                ctx.fillStyle = unlocked ? '#ffd93d' : 'rgba(255, 255, 255, 0.45)';
+                ctx.fillText(`${unlocked ? '🏆' : '🔒'} ${definition.name}`, middle + 10, y);
+                ctx.font = '12px Arial';
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+                ctx.fillText(definition.description, middle + 34, y + 15);
+            });
+            ctx.restore();
+        }
+
+        /**
+         * Draw the oldest waiting achievement toast near the top, fading out over its last half second
+         */
+        function drawToast() {
+            const toast = toasts[0];
+            if (!toast) return;
+            const width = 260;
+            const x = (view.width - width) / 2;
+            const y = 64;
+            ctx.save();
+            ctx.globalAlpha = Math.min(1, toast.ticks / 30);
+            ctx.fillStyle = 'rgba(11, 15, 18, 0.85)';
+            ctx.fillRect(x, y, width, 48);
+            ctx.strokeStyle = '#ffd93d';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(x, y, width, 48);
+            ctx.textAlign = 'center';
+            ctx.fillStyle = '#ffd93d';
+            ctx.font = '12px Arial';
+            ctx.fillText('🏆 Achievement unlocked', view.width / 2, y + 18);
+            ctx.fillStyle = '#fff';
+            ctx.font = 'bold 16px Arial';
+            ctx.fillText(toast.name, view.width / 2, y + 38);
+            ctx.restore();
+        }
+
+        /**
+         * Draw the level select above the title: ◀ Level N: Name ▶
+         */
+        function drawLevelSelect() {
+            const arrows = getLevelArrowRects();
+            if (arrows.length === 0) return;
+            const level = config.startLevel;
+            ctx.save();
+            ctx.textAlign = 'center';
+            ctx.font = 'bold 20px Arial';
+            ctx.fillStyle = '#fff';
+            ctx.fillText(`Level ${level}: ${getLevelDefinition(level).name}`, view.width / 2, arrows[0].y + 25);
+            arrows.forEach(arrow => {
+                const enabled = arrow.step < 0 ? level > 1 : level < unlockedLevel;
+                ctx.fillStyle = enabled ? '#7dd3fc' : 'rgba(255, 255, 255, 0.2)';
+                ctx.fillText(arrow.step < 0 ? '◀' : '▶', arrow.x + arrow.width / 2, arrow.y + 25);
+            });
+            ctx.font = '14px Arial';
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.fillText('↑ ↓ to pick a starting level', view.width / 2, arrows[0].y - 8);
+            ctx.restore();
+        }
+
+        /**
+         * Fill the canvas with the current level's sky (level 1 keeps the host's background)
+         */
+        function drawBackground() {
+            const sky = getPalette().sky;
+            if (!sky) return;
+            ctx.fillStyle = getGradient(0, view.height, sky);
+            ctx.fillRect(0, 0, view.width, view.height);
+        }
+
+        /**
+         * Announce the level just reached, fading out over its last half second
+         */
+        function drawLevelBanner() {
+            if (bannerTicks <= 0) return;
+            ctx.save();
+            ctx.globalAlpha = Math.min(1, bannerTicks / 30);
+            ctx.textAlign = 'center';
+            ctx.fillStyle = '#fff';
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+            ctx.shadowBlur = 6;
+            ctx.font = 'bold 48px Arial';
+            ctx.fillText(`Level ${state.level}`, view.width / 2, view.height / 2 - 20);
+            const definition = getLevelDefinition(state.level);
+            ctx.font = '22px Arial';
+            ctx.fillText(definition.boss ? `${definition.name} (boss)` : definition.name,
+                view.width / 2, view.height / 2 + 16);
+            ctx.restore();
+        }
+
+        /**
+         * Draw the difficulty choice, highlighting the selected preset
+         */
+        function drawDifficultyButtons() {
+            ctx.save();
+            ctx.font = 'bold 18px Arial';
+            ctx.textAlign = 'center';
+            getDifficultyButtonRects().forEach(button => {
+                const selected = button.difficulty === config.difficulty;
+                ctx.fillStyle = selected ? '#7dd3fc' : 'rgba(255, 255, 255, 0.15)';
+                ctx.fillRect(button.x, button.y, button.width, button.height);
+                ctx.fillStyle = selected ? '#0b0f12' : '#fff';
+                const label = button.difficulty.charAt(0).toUpperCase() + button.difficulty.slice(1);
+                ctx.fillText(label, button.x + button.width / 2, button.y + 24);
+            });
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.font = '14px Arial';
+            const hint = config.difficulty === 'custom' ? 'Custom settings' : '← → to change difficulty';
+            ctx.fillText(hint, view.width / 2, view.height / 2 + 168);
+            ctx.restore();
+        }
+
+        /**
+         * Fresh menu state showing one screen
+         * @param {string} screen - A key of MENU_SCREENS
+         */
+        function createMenuState(screen) {
+            return { screen: screen, focus: 0, scroll: 0, stack: [], binding: null };
+        }
+
+        /**
+         * Open a canvas menu screen between runs (from the game-over screen this goes back to the
+         * start screen first); an open menu remembers where it was so Back returns there
+         * @param {string} screen - 'main', 'settings', 'controls' or 'howToPlay' (default: 'main')
+         * @returns {boolean} False during a run or for an unknown screen
+         */
+        function openMenu(screen = 'main') {
+            if (destroyed || gameRunning || !MENU_SCREENS[screen] || screen === 'gameOver') return false;
+            if (!onStartScreen) returnToStartScreen();
+            if (menu) {
+                menu.stack.push({ screen: menu.screen, focus: menu.focus });
+                Object.assign(menu, { screen: screen, focus: 0, scroll: 0, binding: null });
+            } else {
+                menu = createMenuState(screen);
+            }
+            statsOpen = false;
+            announce(`${MENU_SCREENS[screen].title}. ${describeMenuItem(getMenuItems()[0])}`);
+            refreshCanvas();
+            return true;
+        }
+
+        /**
+         * Close the menu and show the start screen again (the game-over buttons stay)
+         */
+        function closeMenu() {
+            if (!menu || menu.screen === 'gameOver') return;
+            menu = null;
+            announce('Start screen');
+            refreshCanvas();
+        }
+
+        /**
+         * Go back one screen, closing the menu from its first
+         */
+        function menuBack() {
+            const previous = menu.stack.pop();
+            if (!previous) {
+                closeMenu();
+                return;
+            }
+            Object.assign(menu, { screen: previous.screen, focus: previous.focus, scroll: 0, binding: null });
+            announce(`${MENU_SCREENS[menu.screen].title}. ${describeMenuItem(getMenuItems()[menu.focus])}`);
+            refreshCanvas();
+        }
+
+        /**
+         * Leave the game-over screen for the start screen, with the demo flying again
+         */
+        function returnToStartScreen() {
+            commitName();
+            stopGame();
+            replayState = null;
+            menu = null;
+            onStartScreen = true;
+            if (dom.gameOver) dom.gameOver.style.display = 'none';
+            resetGame();
+            updateScoreDisplay();
+            refreshCanvas();
+            scheduleDemo();
+        }
+
+        /**
+         * The items of the screen on show
+         */
+        function getMenuItems() {
+            return MENU_SCREENS[menu.screen].items.map(createMenuItem);
+        }
+
+        /**
+         * Describe one menu item from its id. Buttons activate; sliders (0-1) and choices step with
+         * ← →; toggles flip; key items wait for a key to bind
+         * @returns {Object} {id, kind, label} with activate, get/set, options/format or action by kind
+         */
+        function createMenuItem(id) {
+            const item = { id: id, kind: 'button' };
+            if (id.startsWith('key:')) {
+                return Object.assign(item, { kind: 'key', action: id.slice(4), label: KEY_ACTION_LABELS[id.slice(4)] });
+            }
+            const toggle = (label, get, set) => Object.assign(item, { kind: 'toggle', label: label, get: get, set: set });
+            const setting = (key, label) => toggle(label, () => key === 'reducedMotion' ? motionReduced() : config[key],
+                (value) => setAccessibility({ [key]: value }));
+            const volume = (channel, label) => Object.assign(item, {
+                kind: 'slider',
+                label: label,
+                get: () => sound.getVolume(channel),
+                set: (value) => setVolume(channel, value)
+            });
+            const choice = (label, options, get, set, format) => Object.assign(item, {
+                kind: 'choice', label: label, options: options, get: get, set: set, format: format
+            });
+            const button = (label, activate) => Object.assign(item, { label: label, activate: activate });
+
+            switch (id) {
+                case 'play':
+                    return button(config.players === 2 ? '▶ Race' : '▶ Play', startGame);
+                case 'settings':
+                    return button('Settings', () => openMenu('settings'));
+                case 'controls':
+                    return button('Controls ▸', () => openMenu('controls'));
+                case 'howToPlay':
+                    return button('How to Play', () => openMenu('howToPlay'));
+                case 'stats':
+                    return button('🏆 Stats & Achievements', () => {
+                        menu = null;
+                        showStats(true);
+                    });
+                case 'close':
+                    return button('Close', closeMenu);
+                case 'back':
+                    return button('◀ Back', menuBack);
+                case 'retry':
+                    return button('🔄 Retry', restartGame);
+                case 'menu':
+                    return button('☰ Menu', () => openMenu('main'));
+                case 'resetKeys':
+                    return button('Reset controls', () => {
+                        Object.keys(DEFAULT_KEY_BINDINGS).forEach(action => setKeyBinding(action, null));
+                        announce('Controls reset');
+                    });
+                case 'musicVolume':
+                    return volume('music', 'Music volume');
+                case 'sfxVolume':
+                    return volume('sfx', 'Effects volume');
+                case 'mute':
+                    return toggle('Mute', sound.isMuted, setMuted);
+                case 'holdToBoost':
+                    return toggle('Hold to boost', () => config.holdToBoost, (value) => {
+                        config.holdToBoost = value;
+                    });
+                case 'showFps':
+                    return toggle('Show FPS', () => config.showFps, (value) => {
+                        config.showFps = value;
+                    });
+                case 'reducedMotion':
+                    return setting('reducedMotion', 'Reduced motion');
+                case 'highContrast':
+                    return setting('highContrast', 'High contrast');
+                case 'assist':
+                    return setting('assist', 'Assist mode (slower)');
+                case 'autopilot':
+                    return setting('autopilot', 'Autopilot');
+                case 'difficulty':
+                    return choice('Difficulty', Object.keys(DIFFICULTIES), () => config.difficulty,
+                        (value) => setDifficulty(value),
+                        (value) => value.charAt(0).toUpperCase() + value.slice(1));
+                case 'startLevel':
+                    return choice('Start level', Array.from({ length: unlockedLevel }, (_, i) => i + 1),
+                        () => config.startLevel, setStartLevel, (value) => String(value));
+                case 'players':
+                    return choice('Players', [1, 2], () => config.players, setPlayers,
+                        (value) => value === 2 ? '2 (race)' : '1');
+            }
+            return button(id, () => {});
+        }
+
+        /**
+         * An item's current value as shown beside its label ('' for buttons)
+         */
+        function getMenuItemValue(item) {
+            switch (item.kind) {
+                case 'slider':
+                    return `${Math.round(item.get() * 100)}%`;
+                case 'toggle':
+                    return item.get() ? 'On' : 'Off';
+                case 'choice':
+                    return `◀ ${item.options.includes(item.get()) ? item.format(item.get()) : 'Custom'} ▶`;
+                case 'key':
+                    if (menu.binding === item.action) return 'Press a key…';
+                    return keyBindings[item.action].map(formatKeyCode).join(' / ') || 'Unbound';
+            }
+            return '';
+        }
+
+        /**
+         * What a screen reader hears for an item: its label and value
+         */
+        function describeMenuItem(item) {
+            const value = getMenuItemValue(item).replace(/[◀▶]/g, '').trim();
+            return value ? `${item.label}: ${value}` : item.label;
+        }
+
+        /**
+         * Text shown above a screen's items (the How to Play screen's instructions)
+         */
+        function getMenuText() {
+            if (menu.screen !== 'howToPlay') return [];
+            const keys = (action) => keyBindings[action].map(formatKeyCode).join(' / ') || 'unbound';
+            return [
+                `${keys('boost')}, click or tap: boost (and start a run)`,
+                'Fly through the gaps; the ceiling, floor and obstacles crash you',
+                'Stars are bonus points; power-ups shield, slow, magnetize and more',
+                `${keys('pause')}: pause    ${keys('mute')}: mute    ${keys('stats')}: stats`,
+                `Two players: player two boosts with ${keys('boost2')} or the right half`,
+                'Gamepad: A boosts, Start pauses, the d-pad and B work the menus'
+            ];
+        }
+
+        /**
+         * Move the focus to another item and read it out
+         * @param {boolean} quiet - Don't announce it (the pointer moved there)
+         */
+        function setMenuFocus(index, quiet) {
+            if (index === menu.focus) return;
+            menu.focus = index;
+            if (!quiet) announce(describeMenuItem(getMenuItems()[index]));
+            refreshCanvas();
+        }
+
+        /**
+         * Work the menu: 'up' and 'down' move the focus, 'left' and 'right' change the focused
+         * value, 'select' activates it and 'back' goes back a screen
+         * @returns {boolean} Whether the menu used the action
+         */
+        function handleMenuAction(action) {
+            sound.unlock();
+            const items = getMenuItems();
+            if (menu.binding) {
+                if (action === 'back') bindMenuKey(null);
+                return true;
+            }
+            if (action === 'up' || action === 'down') {
+                setMenuFocus((menu.focus + (action === 'up' ? items.length - 1 : 1)) % items.length);
+            } else if (action === 'select') {
+                activateMenuItem(items[menu.focus]);
+            } else if (menu.screen === 'gameOver') {
+                // Its ← → still switch the leaderboard tab
+                return false;
+            } else if (action === 'left' || action === 'right') {
+                adjustMenuItem(items[menu.focus], action === 'left' ? -1 : 1, false);
+            } else if (action === 'back') {
+                menuBack();
+            } else {
+                return false;
+            }
+            return true;
+        }
+
+        /**
+         * Select an item: press a button, flip a toggle, step a choice round, or wait for a key
+         * (sliders only move with ← → or the pointer)
+         */
+        function activateMenuItem(item) {
+            if (item.kind === 'button') {
+                item.activate();
+            } else if (item.kind === 'key') {
+                menu.binding = item.action;
+                announce(`Press a key for ${item.label}, Escape to cancel`);
+                refreshCanvas();
+            } else if (item.kind !== 'slider') {
+                adjustMenuItem(item, 1, true);
+            }
+        }
+
+        /**
+         * Step an item's value: sliders by a tenth, choices by one option (going round if `wrap`),
+         * toggles flip
+         */
+        function adjustMenuItem(item, step, wrap) {
+            if (item.kind === 'slider') {
+                item.set(Math.max(0, Math.min(10, Math.round(item.get() * 10) + step)) / 10);
+            } else if (item.kind === 'toggle') {
+                item.set(!item.get());
+            } else if (item.kind === 'choice') {
+                const count = item.options.length;
+                const index = Math.max(0, item.options.indexOf(item.get())) + step;
+                item.set(item.options[wrap ? (index + count) % count : Math.max(0, Math.min(count - 1, index))]);
+            } else {
+                return;
+            }
+            announce(describeMenuItem(createMenuItem(item.id)));
+            refreshCanvas();
+        }
+
+        /**
+         * Bind the key pressed on the Controls screen to the action waiting for it
+         * @param {string|null} code - KeyboardEvent.code; Escape or null cancels
+         */
+        function bindMenuKey(code) {
+            const action = menu.binding;
+            menu.binding = null;
+            if (code && code !== 'Escape' && setKeyBinding(action, [code])) {
+                announce(`${KEY_ACTION_LABELS[action]}: ${formatKeyCode(code)}`);
+            } else {
+                announce('Key unchanged');
+            }
+            refreshCanvas();
+        }
+
+        /**
+         * The menu row under a mouse or touch point, or null
+         */
+        function findMenuRow(point) {
+            const p = toCanvasPoint(point);
+            const row = p && getMenuItemRects().find(rect =>
+                p.x >= rect.x && p.x <= rect.x + rect.width &&
+                p.y >= rect.y && p.y <= rect.y + rect.height);
+            return row ? Object.assign({ point: p }, row) : null;
+        }
+
+        /**
+         * Focus the row under the mouse
+         */
+        function hoverMenu(point) {
+            const row = findMenuRow(point);
+            if (row && !menu.binding) setMenuFocus(row.index, true);
+        }
+
+        /**
+         * A click or tap on the menu: a row is focused and selected (a slider takes the value
+         * under the pointer). Full screens keep every press; the game-over buttons only their own
+         * @returns {boolean} Whether the menu used the press
+         */
+        function handleMenuPointer(point) {
+            const row = findMenuRow(point);
+            if (!row) {
+                if (menu.binding) bindMenuKey(null);
+                return menu.screen !== 'gameOver';
+            }
+            activate();
+            sound.unlock();
+            if (menu.binding) bindMenuKey(null);
+            setMenuFocus(row.index, true);
+            if (row.item.kind === 'slider') {
+                const bar = getSliderRect(row);
+                const value = Math.round((row.point.x - bar.x) / bar.width * 10) / 10;
+                row.item.set(Math.max(0, Math.min(1, value)));
+                announce(describeMenuItem(row.item));
+                refreshCanvas();
+            } else {
+                activateMenuItem(row.item);
+            }
+            return true;
+        }
+
+        /**
+         * Draw a full menu screen: title, any text, its rows and the controls hint
+         */
+        function drawMenu() {
+            const screen = MENU_SCREENS[menu.screen];
+            ctx.save();
+            ctx.textAlign = 'center';
+            ctx.fillStyle = '#fff';
+            ctx.font = 'bold 36px Arial';
+            ctx.fillText(screen.title, view.width / 2, MENU_TOP - 40);
+            ctx.font = '16px Arial';
+            getMenuText().forEach((line, i) => {
+                ctx.fillText(line, view.width / 2, MENU_TOP + 16 + i * MENU_LINE_HEIGHT);
+            });
+            drawMenuItems();
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.font = '13px Arial';
+            ctx.fillText(menu.binding ? 'Press the new key, Esc to cancel' : '↑ ↓ choose   ← → change   Enter select   Esc back',
+                view.width / 2, view.height - 12);
+            ctx.restore();
+        }
+
+        /**
+         * Draw the rows of the menu on show, the focused one highlighted, with arrows when
+         * there are more above or below
+         */
+        function drawMenuItems() {
+            const rows = getMenuItemRects();
+            if (!rows.length) return;
+            ctx.save();
+            ctx.font = menu.screen === 'gameOver' ? 'bold 20px Arial' : 'bold 16px Arial';
+            rows.forEach(row => {
+                const focused = row.index === menu.focus;
+                const item = row.item;
+                const baseline = row.y + row.height / 2 + 6;
+                ctx.fillStyle = focused ? '#7dd3fc' : 'rgba(255, 255, 255, 0.15)';
+                ctx.fillRect(row.x, row.y, row.width, row.height);
+                ctx.fillStyle = focused ? '#0b0f12' : '#fff';
+                if (item.kind === 'button') {
+                    ctx.textAlign = 'center';
+                    ctx.fillText(item.label, row.x + row.width / 2, baseline);
+                    return;
+                }
+                ctx.textAlign = 'left';
+                ctx.fillText(item.label, row.x + 12, baseline);
+                ctx.textAlign = 'right';
+                ctx.fillText(getMenuItemValue(item), row.x + row.width - 12, baseline);
+                if (item.kind === 'slider') {
+                    const bar = getSliderRect(row);
+                    ctx.fillStyle = focused ? 'rgba(11, 15, 18, 0.25)' : 'rgba(255, 255, 255, 0.25)';
+                    ctx.fillRect(bar.x, bar.y, bar.width, bar.height);
+                    ctx.fillStyle = focused ? '#0b0f12' : '#7dd3fc';
+                    ctx.fillRect(bar.x, bar.y, bar.width * item.get(), bar.height);
+                }
+            });
+            const first = rows[0];
+            const last = rows[rows.length - 1];
+            ctx.textAlign = 'center';
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.font = '12px Arial';
+            if (first.index > 0) ctx.fillText('▲', view.width / 2, first.y - 4);
+            if (last.index < MENU_SCREENS[menu.screen].items.length - 1) {
+                ctx.fillText('▼', view.width / 2, last.y + last.height + 14);
+            }
+            ctx.restore();
+        }
+
+        /**
+         * Main game loop: advance the simulation in fixed ticks, then draw
+         * @param {number} now - requestAnimationFrame timestamp
+         */
+        function gameLoop(now) {
+            animationId = null;
+            if (paused) return;
+            if (document.hidden) {
+                pauseGame();
+                return;
+            }
+
+            const run = runId;
+            const workStarted = config.showFps ? performance.now() : 0;
+            if (config.showFps) trackFrameTime('interval', now - lastFrameTime);
+            const elapsed = Math.min(now - lastFrameTime, MAX_FRAME_MS);
+            lastFrameTime = now;
+            accumulator += elapsed * (replayState ? replayState.speed : config.assist ? ASSIST_SPEED : 1);
+
+            while (accumulator >= TICK_MS - TICK_EPSILON_MS) {
+                if (gameRunning) {
+                    update();
+                } else {
+                    updateEffects();
+                }
+                accumulator -= TICK_MS;
+
+                // An event handler restarted the game; its own loop takes over
+                if (run !== runId) return;
+            }
+
+            render(accumulator / TICK_MS);
+            if (config.showFps) trackFrameTime('work', performance.now() - workStarted);
+
+            // Keep going while playing, or while game-over confetti is falling
+            if (!animationId && (gameRunning || effectsPlaying())) {
+                animationId = requestAnimationFrame(gameLoop);
+            }
+        }
+
+        /**
+         * Advance the simulation by one fixed tick
+         */
+        function update() {
+            if (players) {
+                updateRace();
+                return;
+            }
+            const tick = state.tick + 1;
+
+            // Apply this tick's boost, live or from the recording being replayed
+            let boost = false;
+            if (replayState) {
+                boost = replayState.boostsOnTick(tick);
+            } else if (boostQueued || holdBoostDue(tick) || autopilotBoost()) {
+                boostQueued = false;
+                recording.boosts.push(tick);
+                boost = true;
+            }
+
+            const previousScore = state.score;
+            sim.step({ boost: boost });
+            traceGhost();
+            if (gameRunning && state.tick % TICK_RATE === 0) checkAchievements();
+            updateEffects();
+
+            if (gameRunning) {
+                updateScoreDisplay();
+                const milestone = Math.floor(state.score / ANNOUNCE_SCORE_STEP) > Math.floor(previousScore / ANNOUNCE_SCORE_STEP);
+                if (milestone && pendingAnnouncement === null) {
+                    announce(`Score ${Math.floor(state.score / ANNOUNCE_SCORE_STEP) * ANNOUNCE_SCORE_STEP}`);
+                }
+            }
+        }
+
+        /**
+         * Whether the autopilot boosts this tick; it marks the run as flown by it
+         */
+        function autopilotBoost() {
+            if (!config.autopilot) return false;
+            autopilotRun = true;
+            return autopilot.decide(state, view.height);
+        }
+
+        /**
+         * Input on the start screen grounds the demo and starts its idle wait over
+         */
+        function noteInput() {
+            if (onStartScreen && !gameRunning) scheduleDemo();
+        }
+
+        /**
+         * Ground the demo, and have it take off once the start screen has sat idle for
+         * config.attractDelay (unless attract mode is off, motion is reduced or the tab is hidden)
+         */
+        function scheduleDemo() {
+            clearTimeout(demoTimer);
+            demoTimer = null;
+            if (demo) {
+                stopDemo();
+                refreshCanvas();
+            }
+            if (!config.attract || destroyed || !onStartScreen || gameRunning || motionReduced() || document.hidden) return;
+            demoTimer = setTimeout(() => {
+                demoTimer = null;
+                startDemo();
+            }, config.attractDelay);
+        }
+
+        /**
+         * Start the attract-mode demo behind the start screen, unless it's off, already
+         * flying, motion is reduced or the tab is hidden
+         */
+        function startDemo() {
+            if (!config.attract || demo || destroyed || !onStartScreen || gameRunning || motionReduced() || document.hidden) return;
+            demo = createDemo();
+            demoTicks = 0;
+            accumulator = 0;
+            lastFrameTime = performance.now();
+            if (!animationId) animationId = requestAnimationFrame(demoLoop);
+        }
+
+        /**
+         * Ground the demo and leave the start screen still
+         */
+        function stopDemo() {
+            if (!demo) return;
+            demo = null;
+            if (animationId) {
+                cancelAnimationFrame(animationId);
+                animationId = null;
+            }
+        }
+
+        /**
+         * A fresh demo run on a random course, with the difficulty and start level picked on the
+         * start screen. It has its own simulation, so the course of the next real run is untouched
+         */
+        function createDemo() {
+            const player = { index: 0, offsetX: 0, width: view.width, idleTicks: 0 };
+            player.sim = createSimulation({ width: view.width, height: view.height, onEvent: handleDemoEvent });
+            player.state = player.sim.reset(Math.floor(Math.random() * 4294967296), {
+                powerUps: config.powerUps,
+                difficulty: config.difficulty,
+                tuning: config.tuning,
+                startLevel: config.startLevel
+            });
+            return player;
+        }
+
+        /**
+         * The demo's events only make particles: no sound, announcements, stats or instance events
+         */
+        function handleDemoEvent(type, detail) {
+            switch (type) {
+                case 'boost':
+                    createBoostParticles();
+                    break;
+                case 'star':
+                    createExplosion(detail.x, detail.y, '#ffd700');
+                    break;
+                case 'powerup':
+                    createExplosion(detail.x, detail.y, getPowerUpDefinition(detail.type).color);
+                    break;
+                case 'lifelost':
+                case 'gameover':
+                    createExplosion(state.rocket.x, state.rocket.y, POWER_UPS.extraLife.color);
+                    break;
+            }
+        }
+
+        /**
+         * Attract-mode loop: fly the demo in fixed ticks and draw the start screen over it, until
+         * it lands or the tab is hidden
+         * @param {number} now - requestAnimationFrame timestamp
+         */
+        function demoLoop(now) {
+            animationId = null;
+            if (!demo || destroyed) return;
+            if (document.hidden) {
+                scheduleDemo();
+                return;
+            }
+            const workStarted = config.showFps ? performance.now() : 0;
+            if (config.showFps) trackFrameTime('interval', now - lastFrameTime);
+            const elapsed = Math.min(now - lastFrameTime, MAX_FRAME_MS);
+            lastFrameTime = now;
+            accumulator += elapsed;
+            while (demo && accumulator >= TICK_MS - TICK_EPSILON_MS) {
+                stepDemo();
+                accumulator -= TICK_MS;
+            }
+            drawStartScreen(accumulator / TICK_MS);
+            if (config.showFps) trackFrameTime('work', performance.now() - workStarted);
+            if (demo) animationId = requestAnimationFrame(demoLoop);
+        }
+
+        /**
+         * Advance the demo by one tick; after a crash it lingers, then flies a new course. It
+         * lands for good after DEMO_MAX_TICKS, until the start screen sits idle again
+         */
+        function stepDemo() {
+            if (++demoTicks > DEMO_MAX_TICKS) {
+                demo = null;
+                clearEffects();
+                return;
+            }
+            const flight = demo;
+            if (flight.state.running) {
+                withPlayer(flight, () => flight.sim.step({ boost: autopilot.decide(flight.state, view.height) }));
+            } else if (++flight.idleTicks >= DEMO_RESTART_TICKS) {
+                demo = createDemo();
+            }
+            updateEffects();
+        }
+
+        /**
+         * Choose one player or a two-player race for the next run
+         */
+        function setPlayers(count) {
+            config.players = count === 2 ? 2 : 1;
+            refreshCanvas();
+        }
+
+        /**
+         * One simulation per player, each half the play area wide, on the run's seed and settings
+         * so both fly the same course
+         */
+        function createPlayers() {
+            const width = Math.floor(view.width / 2);
+            const run = {
+                powerUps: recording.powerUps || null,
+                difficulty: recording.difficulty,
+                tuning: recording.tuning || null,
+                startLevel: recording.startLevel
+            };
+            return [0, 1].map(index => {
+                const player = { index: index, offsetX: index * width, width: width, boostQueued: false, crashed: false };
+                player.sim = createSimulation({ width: width, height: view.height, onEvent: handleSimEvent });
+                player.state = player.sim.reset(seed, run);
+                return player;
+            });
+        }
+
+        /**
+         * Run `fn` with `state` and `view` pointing at one player's half of a race
+         */
+        function withPlayer(player, fn) {
+            const outer = { state: state, view: view };
+            state = player.state;
+            view = { width: player.width, height: outer.view.height };
+            currentPlayer = player;
+            try {
+                fn();
+            } finally {
+                state = outer.state;
+                view = outer.view;
+                currentPlayer = null;
+            }
+        }
+
+        /**
+         * Advance every rocket still flying in a two-player race by one tick
+         */
+        function updateRace() {
+            players.forEach(player => {
+                if (player.crashed) return;
+                const boost = player.boostQueued;
+                player.boostQueued = false;
+                withPlayer(player, () => player.sim.step({ boost: boost }));
+            });
+            updateEffects();
+            if (gameRunning && players.every(player => player.crashed)) endRace();
+        }
+
+        /**
+         * One player of a race is out; the other flies on alone
+         */
+        function playerCrashed(player) {
+            player.crashed = true;
+            const rocket = player.state.rocket;
+            createExplosion(rocket.x, rocket.y, POWER_UPS.extraLife.color);
+            sound.play('crash');
+            announce(`Player ${player.index + 1} crashed with ${player.state.score}`);
+        }
+
+        /**
+         * Both rockets are down: name the winner (0 on a tie) and emit 'versusend'
+         */
+        function endRace() {
+            gameRunning = false;
+            menu = createMenuState('gameOver');
+            sound.stopMusic();
+            createConfetti();
+            const scores = players.map(player => player.state.score);
+            const winner = scores[0] === scores[1] ? 0 : scores[0] > scores[1] ? 1 : 2;
+            announce(winner
+                ? `Player ${winner} wins, ${scores[winner - 1]} to ${scores[2 - winner]}`
+                : `It's a tie at ${scores[0]}`);
+            emit('versusend', { scores: scores, winner: winner });
+        }
+
+        /**
+         * Advance particles and confetti by one tick
+         */
+        function updateEffects() {
+            updateParticles();
+            updateConfetti();
+            if (bannerTicks > 0) bannerTicks--;
+            if (toasts.length && --toasts[0].ticks <= 0) toasts.shift();
+        }
+
+        /**
+         * Whether particles, confetti or a toast still need frames after the run ends
+         */
+        function effectsPlaying() {
+            return particles.length > 0 || confettiParticles.length > 0 || toasts.length > 0;
+        }
+
+        /**
+         * Draw the current state
+         * @param {number} alpha - Fraction of a tick elapsed since the last update (0-1)
+         */
+        function render(alpha) {
+            if (players) {
+                renderRace(alpha);
+                return;
+            }
+            beginFrame();
+            drawBackground();
+
+            drawObstacles(alpha);
+            drawStars(alpha);
+            drawPowerUps(alpha);
+            drawParticles(alpha);
+            drawGhost(alpha);
+
+            // Draw rocket
+            const rocket = state.rocket;
+            const rocketY = lerp(rocket.prevY, rocket.y, alpha);
+            drawRocket(rocket.x, rocketY, lerp(rocket.prevRotation, rocket.rotation, alpha));
+
+            // Draw shield if active
+            if (rocket.hasShield) {
+                drawShield(rocketY);
+            }
+
+            if (config.debugHitboxes) {
+                drawHitboxes();
+            }
+
+            if (gameRunning) {
+                drawLevelBanner();
+                drawHud();
+                drawReplayBadge();
+                if (paused) drawPausedOverlay();
+                drawPauseButton();
+            } else {
+                drawGameOver();
+            }
+            drawConfetti(alpha);
+            drawToast();
+            if (config.showFps) drawFpsOverlay();
+            endFrame();
+        }
+
+        /**
+         * Draw a two-player race: each player's course in their own half, then the shared overlays
+         */
+        function renderRace(alpha) {
+            beginFrame();
+            players.forEach(player => {
+                ctx.save();
+                ctx.translate(player.offsetX, 0);
+                ctx.beginPath();
+                ctx.rect(0, 0, player.width, view.height);
+                ctx.clip();
+                withPlayer(player, () => {
+                    drawCourse(alpha);
+                    drawPlayerHud(player);
+                });
+                ctx.restore();
+            });
+            drawParticles(alpha);
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(players[1].offsetX - 1, 0, 2, view.height);
+
+            if (gameRunning) {
+                if (paused) drawPausedOverlay();
+                drawPauseButton();
+            } else {
+                drawRaceResult();
+            }
+            drawConfetti(alpha);
+            drawToast();
+            if (config.showFps) drawFpsOverlay();
+            endFrame();
+        }
+
+        /**
+         * Draw the sky, obstacles, pickups and rocket of the run in `state`
+         */
+        function drawCourse(alpha) {
+            drawBackground();
+            drawObstacles(alpha);
+            drawStars(alpha);
+            drawPowerUps(alpha);
+            const rocket = state.rocket;
+            const rocketY = lerp(rocket.prevY, rocket.y, alpha);
+            drawRocket(rocket.x, rocketY, lerp(rocket.prevRotation, rocket.rotation, alpha));
+            if (rocket.hasShield) drawShield(rocketY);
+        }
+
+        /**
+         * A race player's score, lives and power-ups within their half; dimmed once they crash
+         */
+        function drawPlayerHud(player) {
+            ctx.save();
+            ctx.font = 'bold 20px Arial';
+            ctx.fillStyle = '#fff';
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+            ctx.shadowBlur = 4;
+            ctx.textAlign = 'left';
+            ctx.fillText(`P${player.index + 1}: ${state.score}`, 15, 30);
+            ctx.restore();
+            drawEffectsStrip();
+
+            if (!player.crashed) return;
+            ctx.save();
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            ctx.fillRect(0, 0, view.width, view.height);
+            ctx.fillStyle = '#fff';
+            ctx.textAlign = 'center';
+            ctx.font = 'bold 28px Arial';
+            ctx.fillText('Crashed!', view.width / 2, view.height / 2);
+            ctx.restore();
+        }
+
+        /**
+         * Winner screen once both rockets of a race are down
+         */
+        function drawRaceResult() {
+            const scores = players.map(player => player.state.score);
+            const title = scores[0] === scores[1] ? 'It\'s a Tie!' : `Player ${scores[0] > scores[1] ? 1 : 2} Wins!`;
+            ctx.save();
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(0, 0, view.width, view.height);
+            ctx.fillStyle = '#fff';
+            ctx.textAlign = 'center';
+            ctx.font = 'bold 44px Arial';
+            ctx.fillText(title, view.width / 2, view.height / 2 - 30);
+            ctx.font = 'bold 26px Arial';
+            ctx.fillText(`${scores[0]} – ${scores[1]}`, view.width / 2, view.height / 2 + 15);
+            ctx.font = '18px Arial';
+            ctx.fillText('Click or press SPACE to race again', view.width / 2, view.height / 2 + 55);
+            ctx.restore();
+            drawMenuItems();
+        }
+
+        /**
+         * Fold one frame's measurement into the overlay's running average
+         * @param {string} key - 'interval' (time since the last frame) or 'work' (update and draw)
+         */
+        function trackFrameTime(key, ms) {
+            frameTiming[key] = frameTiming[key] ? frameTiming[key] + (ms - frameTiming[key]) * FPS_SMOOTHING : ms;
+        }
+
+        /**
+         * Frames per second and milliseconds spent per frame, bottom left
+         */
+        function drawFpsOverlay() {
+            const fps = frameTiming.interval > 0 ? Math.round(1000 / frameTiming.interval) : 0;
+            const text = `${fps} fps  ${frameTiming.work.toFixed(1)} ms`;
+            ctx.save();
+            ctx.font = '12px monospace';
+            ctx.textAlign = 'left';
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(6, view.height - 24, 120, 18);
+            ctx.fillStyle = '#0f0';
+            ctx.fillText(text, 10, view.height - 11);
+            ctx.restore();
+        }
+
+        /**
+         * Append this tick's rocket position and score to the live run's ghost trajectory
+         */
+        function traceGhost() {
+            if (!ghostTrace || ghostTrace.ys.length > MAX_GHOST_TICKS) return;
+            ghostTrace.ys.push(Math.round(state.rocket.y * 10) / 10);
+            ghostTrace.rotations.push(Math.round(state.rocket.rotation * 1000) / 1000);
+            ghostTrace.scores.push(state.score);
+        }
+
+        /**
+         * The ghost being raced: an imported one if there is one, otherwise the personal best
+         * @returns {Object|null} Null during replays, with ghosts turned off, or before any run
+         */
+        function raceGhost() {
+            if (!config.ghost || replayState || players) return null;
+            return ghosts.rival || bestGhost(state.difficulty);
+        }
+
+        /**
+         * The personal-best ghost at a difficulty; runs only race and replace the ghost of their own
+         * @param {string} difficulty - Difficulty name (default: the one runs start on)
+         * @returns {Object|null} Null before any run at that difficulty
+         */
+        function bestGhost(difficulty = config.difficulty) {
+            return ghosts.best[difficulty] || null;
+        }
+
+        /**
+         * Points ahead of (positive) or behind (negative) the ghost at the same tick; once the ghost
+         * has crashed, its final score
+         * @returns {number|null} Null when there's no ghost to race
+         */
+        function getGhostDelta() {
+            const ghost = raceGhost();
+            if (!ghost) return null;
+            return state.score - ghost.scores[Math.min(state.tick, ghost.scores.length - 1)];
+        }
+
+        /**
+         * Draw the ghost rocket where the raced run was on this tick, scaled to this play area
+         */
+        function drawGhost(alpha) {
+            const ghost = raceGhost();
+            if (!ghost || !gameRunning || state.tick >= ghost.ys.length) return;
+            const prev = Math.max(0, state.tick - 1);
+            const scaleY = view.height / ghost.height;
+            ctx.save();
+            ctx.globalAlpha = 0.35;
+            drawRocket(state.rocket.x, lerp(ghost.ys[prev], ghost.ys[state.tick], alpha) * scaleY,
+                lerp(ghost.rotations[prev], ghost.rotations[state.tick], alpha));
+            ctx.restore();
+        }
+
+        /**
+         * Who the ghost being raced is
+         * @returns {Object|null} { name, score, ticks, imported }, or null when there's none
+         */
+        function getGhostSummary() {
+            const ghost = ghosts.rival || bestGhost();
+            if (!ghost) return null;
+            return { name: ghost.name, score: ghost.score, ticks: ghost.ys.length - 1, imported: ghost === ghosts.rival };
+        }
+
+        /**
+         * Race someone else's exported ghost instead of the personal best
+         * @param {string|Object} json - Exported ghost
+         * @returns {boolean} False if it can't be read
+         */
+        function importGhost(json) {
+            const ghost = decodeGhost(json);
+            if (!ghost) return false;
+            ghosts = loadGhosts();
+            ghosts.rival = ghost;
+            saveGhosts(ghosts);
+            return true;
+        }
+
+        /**
+         * Go back to racing the personal best
+         */
+        function clearImportedGhost() {
+            ghosts = loadGhosts();
+            ghosts.rival = null;
+            saveGhosts(ghosts);
+        }
+
+        /**
+         * Linear interpolation between the previous and current tick
+         */
+        function lerp(from, to, alpha) {
+            return from + (to - from) * alpha;
+        }
+
+        /**
+         * Debug overlay: outline the collision shapes at their simulated (un-interpolated) positions
+         */
+        function drawHitboxes() {
+            const tracePolygon = (points) => {
+                ctx.beginPath();
+                points.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+                ctx.closePath();
+                ctx.stroke();
+            };
+            const traceCircle = (item) => {
+                const circle = getPickupHitbox(item);
+                ctx.beginPath();
+                ctx.arc(circle.x, circle.y, circle.radius, 0, Math.PI * 2);
+                ctx.stroke();
+            };
+
+            ctx.save();
+            ctx.lineWidth = 1;
+            ctx.strokeStyle = '#00ff00';
+            tracePolygon(getRocketHitbox(state.rocket));
+            ctx.strokeStyle = '#ff00ff';
+            state.obstacles.forEach(obs => {
+                if (obs.kind === 'asteroid') {
+                    const circle = getAsteroidHitbox(obs);
+                    ctx.beginPath();
+                    ctx.arc(circle.x, circle.y, circle.radius, 0, Math.PI * 2);
+                    ctx.stroke();
+                } else {
+                    getObstacleHitboxes(obs, sim.height).forEach(tracePolygon);
+                }
+            });
+            ctx.strokeStyle = '#00ffff';
+            state.stars.forEach(star => { if (!star.collected) traceCircle(star); });
+            state.powerUps.forEach(powerUp => { if (!powerUp.collected) traceCircle(powerUp); });
+            ctx.restore();
+        }
+
+        /**
+         * Draw the rocket
+         * @param {number} x - Left edge
+         * @param {number} y - Top edge
+         * @param {number} rotation - Tilt in radians (default: the rocket's current rotation)
+         */
+        function drawRocket(x, y, rotation = state.rocket.rotation) {
+            const rocket = state.rocket;
+            ctx.save();
+            ctx.translate(x + rocket.width / 2, y + rocket.height / 2);
+            ctx.rotate(rotation);
+
+            // Rocket body (rounded)
+            ctx.fillStyle = getPalette().rocket;
+            ctx.beginPath();
+            ctx.moveTo(-rocket.width / 2, rocket.height / 2);
+            ctx.lineTo(-rocket.width / 2, -rocket.height / 2 + 10);
+            ctx.quadraticCurveTo(-rocket.width / 2, -rocket.height / 2, 0, -rocket.height / 2 - 10);
+            ctx.quadraticCurveTo(rocket.width / 2, -rocket.height / 2, rocket.width / 2, -rocket.height / 2 + 10);
+            ctx.lineTo(rocket.width / 2, rocket.height / 2);
+            ctx.closePath();
+            ctx.fill();
+
+            // Rocket window
+            ctx.fillStyle = '#4ecdc4';
+            ctx.beginPath();
+            ctx.arc(0, -5, 8, 0, Math.PI * 2);
+            ctx.fill();
+
+            // Rocket flames (flicker per drawn frame, so off the seeded streams; steady with reduced motion)
+            if (gameRunning) {
+                const flicker = motionReduced() ? () => 0.5 : Math.random;
+                ctx.save();
+                ctx.rotate(flicker() * 0.1 - 0.05);
+                ctx.fillStyle = '#ffd93d';
+                ctx.beginPath();
+                ctx.moveTo(-rocket.width / 2, rocket.height / 2);
+                ctx.lineTo(-rocket.width / 2 - 15, rocket.height / 2 + flicker() * 20);
+                ctx.lineTo(-rocket.width / 2, rocket.height / 2 - 10);
+                ctx.fill();
+                ctx.fillStyle = '#ff6b6b';
+                ctx.beginPath();
+                ctx.moveTo(-rocket.width / 2, rocket.height / 2 - 10);
+                ctx.lineTo(-rocket.width / 2 - 10, rocket.height / 2 + flicker() * 15);
+                ctx.lineTo(-rocket.width / 2, rocket.height / 2 - 20);
+                ctx.fill();
+                ctx.restore();
+            }
+            ctx.restore();
+        }
+
+        /**
+         * Draw obstacles
+         */
+        function drawObstacles(alpha) {
+            const palette = getPalette();
+            if (palette.edge) {
+                ctx.strokeStyle = palette.edge;
+                ctx.lineWidth = 3;
+            }
+            state.obstacles.forEach(obs => {
+                const x = lerp(obs.prevX, obs.x, alpha);
+                if (obs.kind === 'asteroid') {
+                    drawAsteroid(obs, x + obs.radius, lerp(obs.prevY, obs.y, alpha), palette);
+                    return;
+                }
+                const topHeight = obs.prevTopHeight === undefined ? obs.topHeight : lerp(obs.prevTopHeight, obs.topHeight, alpha);
+                const bottomY = obs.prevBottomY === undefined ? obs.bottomY : lerp(obs.prevBottomY, obs.bottomY, alpha);
+
+                // Draw obstacle (rounded, gradient); drawn from its own left edge so every pipe
+                // of a width shares one cached gradient
+                ctx.save();
+                ctx.translate(x, 0);
+                ctx.fillStyle = getGradient(obs.width, 0, palette.pipe);
+                ctx.beginPath();
+                ctx.moveTo(0, 0);
+                ctx.lineTo(obs.width, 0);
+                ctx.lineTo(obs.width, topHeight - 20);
+                ctx.quadraticCurveTo(obs.width / 2, topHeight, 0, topHeight - 20);
+                ctx.closePath();
+                ctx.fill();
+                if (palette.edge) ctx.stroke();
+                ctx.beginPath();
+                ctx.moveTo(0, bottomY + 20);
+                ctx.quadraticCurveTo(obs.width / 2, bottomY, obs.width, bottomY + 20);
+                ctx.lineTo(obs.width, view.height);
+                ctx.lineTo(0, view.height);
+                ctx.closePath();
+                ctx.fill();
+                if (palette.edge) ctx.stroke();
+
+                // Add shine effect
+                if (!palette.edge) {
+                    ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+                    ctx.fillRect(0, 0, 10, topHeight);
+                    ctx.fillRect(0, bottomY, 10, view.height - bottomY);
+                }
+                ctx.restore();
+            });
+        }
+
+        /**
+         * Draw an asteroid as a cratered rock
+         * @param {Object} palette - Colors from getPalette()
+         */
+        function drawAsteroid(asteroid, cx, cy, palette) {
+            const r = asteroid.radius;
+            ctx.fillStyle = palette.asteroid;
+            ctx.beginPath();
+            ctx.arc(cx, cy, r, 0, Math.PI * 2);
+            ctx.fill();
+            if (palette.edge) ctx.stroke();
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+            ctx.beginPath();
+            ctx.arc(cx - r * 0.3, cy - r * 0.2, r * 0.25, 0, Math.PI * 2);
+            ctx.arc(cx + r * 0.35, cy + r * 0.3, r * 0.18, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        /**
+         * Draw stars
+         */
+        function drawStars(alpha) {
+            const color = getPalette().star;
+            const spin = motionReduced() ? 0 : 0.05;
+            state.stars.forEach(star => {
+                if (star.collected) return;
+                ctx.save();
+                ctx.translate(lerp(star.prevX, star.x, alpha), lerp(star.prevY, star.y, alpha));
+                ctx.rotate((state.tick + alpha) * spin);
+                const sprite = getSprite(`star:${color}:${star.size}`, star.size, (spriteCtx) => {
+                    spriteCtx.fillStyle = color;
+                    spriteCtx.beginPath();
+                    for (let j = 0; j < 5; j++) {
+                        spriteCtx.lineTo(Math.cos((j * 4 * Math.PI) / 5) * star.size,
+                                         Math.sin((j * 4 * Math.PI) / 5) * star.size);
+                    }
+                    spriteCtx.closePath();
+                    spriteCtx.fill();
+                });
+                ctx.drawImage(sprite, -star.size, -star.size, star.size * 2, star.size * 2);
+                ctx.restore();
+            });
+        }
+
+        /**
+         * Draw power-ups
+         */
+        function drawPowerUps(alpha) {
+            const palette = getPalette();
+            state.powerUps.forEach(powerUp => {
+                if (powerUp.collected) return;
+                const x = lerp(powerUp.prevX, powerUp.x, alpha);
+                const definition = getPowerUpDefinition(powerUp.type);
+                const fill = palette.pickup || definition.color;
+                const size = powerUp.size;
+                // Room for the edge stroke outside the circle
+                const radius = size + 1;
+                const key = `pickup:${fill}:${palette.edge}:${definition.glyph}:${size}`;
+                const sprite = getSprite(key, radius, (spriteCtx) => {
+                    spriteCtx.fillStyle = fill;
+                    spriteCtx.beginPath();
+                    spriteCtx.arc(0, 0, size, 0, Math.PI * 2);
+                    spriteCtx.fill();
+                    if (palette.edge) {
+                        spriteCtx.strokeStyle = palette.edge;
+                        spriteCtx.lineWidth = 2;
+                        spriteCtx.stroke();
+                    }
+
+                    spriteCtx.fillStyle = '#fff';
+                    spriteCtx.font = 'bold 16px Arial';
+                    spriteCtx.textAlign = 'center';
+                    spriteCtx.fillText(definition.glyph, 0, 6);
+                });
+                ctx.drawImage(sprite, x - radius, powerUp.y - radius, radius * 2, radius * 2);
+            });
+        }
+
+        /**
+         * Draw shield effect
+         * @param {number} y - Interpolated rocket top edge
+         */
+        function drawShield(y) {
+            const rocket = state.rocket;
+            ctx.strokeStyle = `rgba(78, 205, 196, ${rocket.shieldTime / SHIELD_TICKS})`;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(rocket.x + rocket.width / 2, y + rocket.height / 2,
+                    rocket.width, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        /**
+         * Create boost particles
+         */
+        function createBoostParticles() {
+            if (motionReduced()) return;
+            const rocket = state.rocket;
+            const offsetX = currentPlayer ? currentPlayer.offsetX : 0;
+            for (let i = 0; i < 5; i++) {
+                spawnParticle(particles, rocket.x + offsetX, rocket.y + rocket.height / 2,
+                    -effectsRandom() * 3 - 1, effectsRandom() * 4 - 2,
+                    effectsRandom() * 4 + 2, '#ffd93d', 30);
+            }
+        }
+
+        /**
+         * Create explosion effect
+         */
+        function createExplosion(x, y, color) {
+            if (motionReduced()) return;
+            // Positions from a two-player race are within that player's half
+            if (currentPlayer) x += currentPlayer.offsetX;
+            for (let i = 0; i < 15; i++) {
+                const angle = (Math.PI * 2 * i) / 15;
+                const speed = effectsRandom() * 4 + 2;
+                spawnParticle(particles, x, y,
+                    Math.cos(angle) * speed, Math.sin(angle) * speed,
+                    effectsRandom() * 6 + 3, color, 40);
+            }
+        }
+
+        /**
+         * Take a particle record from the pool, set it up and add it to a list, unless
+         * MAX_PARTICLES are already alive
+         * @param {Object[]} list - particles or confettiParticles
+         */
+        function spawnParticle(list, x, y, vx, vy, size, color, life) {
+            if (particles.length + confettiParticles.length >= MAX_PARTICLES) return;
+            const p = particlePool.acquire();
+            p.x = p.prevX = x;
+            p.y = p.prevY = y;
+            p.vx = vx;
+            p.vy = vy;
+            p.size = size;
+            p.color = color;
+            p.life = life;
+            list.push(p);
+        }
+
+        /**
+         * Drop every particle and confetti piece, returning them to the pool
+         */
+        function clearEffects() {
+            particles.forEach(particlePool.release);
+            confettiParticles.forEach(particlePool.release);
+            particles.length = 0;
+            confettiParticles.length = 0;
+        }
+
+        /**
+         * Draw a round particle from its color's cached dot sprite, at the current globalAlpha
+         */
+        function drawDot(x, y, size, color) {
+            const sprite = getSprite(`dot:${color}`, DOT_SPRITE_RADIUS, (spriteCtx) => {
+                spriteCtx.fillStyle = color;
+                spriteCtx.beginPath();
+                spriteCtx.arc(0, 0, DOT_SPRITE_RADIUS, 0, Math.PI * 2);
+                spriteCtx.fill();
+            });
+            ctx.drawImage(sprite, x - size, y - size, size * 2, size * 2);
+        }
+
+        /**
+         * Draw fading particles batched by opacity step, so globalAlpha is set once per step
+         * rather than once per particle
+         * @param {Object[]} list - particles or confettiParticles
+         * @param {number} alpha - Interpolation between the previous and current tick
+         * @param {number} lifeSpan - Ticks of life left at which a particle is fully opaque
+         */
+        function drawFadingDots(list, alpha, lifeSpan) {
+            if (!list.length) return;
+            list.forEach(p => {
+                const step = Math.min(PARTICLE_ALPHA_STEPS, Math.ceil(p.life / lifeSpan * PARTICLE_ALPHA_STEPS));
+                alphaBatches[Math.max(1, step) - 1].push(p);
+            });
+            alphaBatches.forEach((batch, index) => {
+                if (!batch.length) return;
+                ctx.globalAlpha = (index + 1) / PARTICLE_ALPHA_STEPS;
+                batch.forEach(p => drawDot(lerp(p.prevX, p.x, alpha), lerp(p.prevY, p.y, alpha), p.size, p.color));
+                batch.length = 0;
+            });
+            ctx.globalAlpha = 1;
+        }
+
+        /**
+         * Update particles
+         */
+        function updateParticles() {
+            for (let i = particles.length - 1; i >= 0; i--) {
+                const p = particles[i];
+                p.prevX = p.x;
+                p.prevY = p.y;
+                p.x += p.vx;
+                p.y += p.vy;
+                p.life--;
+
+                // Remove dead particles
+                if (p.life <= 0) {
+                    swapRemove(particles, i);
+                    particlePool.release(p);
+                }
+            }
+        }
+
+        /**
+         * Draw particles
+         */
+        function drawParticles(alpha) {
+            drawFadingDots(particles, alpha, 40);
+        }
+
+        /**
+         * Create confetti effect
+         */
+        function createConfetti() {
+            if (motionReduced()) return;
+            for (let i = 0; i < 120; i++) {
+                const x = effectsRandom() * view.width;
+                const vx = effectsRandom() * 4 - 2;
+                const vy = effectsRandom() * 4 + 2;
+                const size = effectsRandom() * 8 + 4;
+                const color = CONFETTI_COLORS[Math.floor(effectsRandom() * CONFETTI_COLORS.length)];
+                spawnParticle(confettiParticles, x, -20, vx, vy, size, color, effectsRandom() * 60 + 60);
+            }
+        }
+
+        /**
+         * Update confetti
+         */
+        function updateConfetti() {
+            for (let i = confettiParticles.length - 1; i >= 0; i--) {
+                const c = confettiParticles[i];
+                c.prevX = c.x;
+                c.prevY = c.y;
+                c.x += c.vx;
+                c.y += c.vy;
+                c.vy += 0.05;
+                c.life--;
+                if (c.life <= 0 || c.y > view.height + 20) {
+                    swapRemove(confettiParticles, i);
+                    particlePool.release(c);
+                }
+            }
+        }
+
+        /**
+         * Draw confetti
+         */
+        function drawConfetti(alpha) {
+            drawFadingDots(confettiParticles, alpha, 120);
+        }
+
+        /**
+         * Values handed to the HUD and game-over render callbacks
+         */
+        function getHudInfo() {
+            const ghost = raceGhost();
+            return {
+                score: state.score,
+                highScore: highScore,
+                level: state.level,
+                levelName: getLevelDefinition(state.level).name,
+                difficulty: state.difficulty,
+                lives: state.lives,
+                effects: state.effects.map(effect => ({
+                    type: effect.type,
+                    label: getPowerUpDefinition(effect.type).label,
+                    remaining: effect.remaining,
+                    duration: effect.duration
+                })),
+                running: gameRunning,
+                ghost: ghost ? { name: ghost.name, score: ghost.score, delta: getGhostDelta() } : null,
+                assist: config.assist,
+                autopilot: config.autopilot,
+                seed: seed,
+                daily: config.daily ? getDailyKey() : null,
+                width: view.width,
+                height: view.height
+            };
+        }
+
+        /**
+         * Draw score, high score and level across the top of the canvas
+         */
+        function drawHud() {
+            if (!drawHudOnCanvas) return;
+            if (config.renderHud) {
+                ctx.save();
+                config.renderHud(ctx, getHudInfo());
+                ctx.restore();
+                return;
+            }
+
+            ctx.save();
+            ctx.font = 'bold 20px Arial';
+            ctx.fillStyle = '#fff';
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+            ctx.shadowBlur = 4;
+            ctx.textAlign = 'left';
+            ctx.fillText(`Score: ${state.score}`, 15, 30);
+            ctx.textAlign = 'center';
+            ctx.fillText(`Level ${state.level}`, view.width / 2, 30);
+            if (config.daily) {
+                ctx.font = '14px Arial';
+                ctx.fillText(`Daily Challenge ${getDailyKey()}`, view.width / 2, 52);
+                ctx.font = 'bold 20px Arial';
+            }
+            ctx.textAlign = 'right';
+            const rightEdge = config.pauseButton ? PAUSE_BUTTON_SIZE + PAUSE_BUTTON_MARGIN * 2 : 15;
+            ctx.fillText(`Best: ${highScore}`, view.width - rightEdge, 30);
+
+            const delta = gameRunning ? getGhostDelta() : null;
+            if (delta !== null) {
+                const name = raceGhost().name;
+                ctx.font = 'bold 14px Arial';
+                ctx.textAlign = 'left';
+                ctx.fillStyle = delta >= 0 ? '#6bff95' : '#ff8a8a';
+                ctx.fillText(delta >= 0 ? `${delta} ahead of ${name}` : `${-delta} behind ${name}`, 15, 52);
+            }
+            ctx.restore();
+
+            drawEffectsStrip();
+        }
+
+        /**
+         * Draw banked lives and each active power-up with a bar for its remaining time,
+         * along the bottom-left of the canvas
+         */
+        function drawEffectsStrip() {
+            const slots = state.effects.filter(effect => isFinite(effect.duration));
+            if (slots.length === 0 && state.lives === 0) return;
+
+            ctx.save();
+            ctx.font = 'bold 16px Arial';
+            ctx.textAlign = 'center';
+            let x = 15;
+            const y = view.height - 40;
+            if (state.lives > 0) {
+                ctx.fillStyle = POWER_UPS.extraLife.color;
+                ctx.fillText(`${POWER_UPS.extraLife.glyph}×${state.lives}`, x + 16, y + 18);
+                x += 42;
+            }
+            slots.forEach(effect => {
+                const definition = getPowerUpDefinition(effect.type);
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+                ctx.fillRect(x, y, 32, 32);
+                ctx.fillStyle = '#fff';
+                ctx.fillText(definition.glyph, x + 16, y + 21);
+                ctx.fillStyle = definition.color;
+                ctx.fillRect(x, y + 28, 32 * (effect.remaining / effect.duration), 4);
+                x += 40;
+            });
+            ctx.restore();
+        }
+
+        /**
+         * Label replays and autopilot runs so they aren't mistaken for the player's own flying
+         */
+        function drawReplayBadge() {
+            if (!replayState && !config.autopilot) return;
+            const label = replayState ? `▶ REPLAY ×${replayState.speed}` : '✈ AUTOPILOT';
+            ctx.save();
+            ctx.font = 'bold 16px Arial';
+            ctx.textAlign = 'right';
+            ctx.fillStyle = '#ffd93d';
+            ctx.fillText(label, view.width - 15, view.height - 15);
+            ctx.restore();
+        }
+
+        /**
+         * Draw the pause/resume button in the top-right corner
+         */
+        function drawPauseButton() {
+            if (!config.pauseButton) return;
+            const button = getPauseButtonRect();
+            ctx.save();
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+            ctx.fillRect(button.x, button.y, button.width, button.height);
+            ctx.fillStyle = '#fff';
+            if (paused) {
+                ctx.beginPath();
+                ctx.moveTo(button.x + 13, button.y + 9);
+                ctx.lineTo(button.x + 27, button.y + 18);
+                ctx.lineTo(button.x + 13, button.y + 27);
+                ctx.closePath();
+                ctx.fill();
+            } else {
+                ctx.fillRect(button.x + 11, button.y + 9, 5, 18);
+                ctx.fillRect(button.x + 20, button.y + 9, 5, 18);
+            }
+            ctx.restore();
+        }
+
+        /**
+         * Dim the frozen scene and prompt the player to resume
+         */
+        function drawPausedOverlay() {
+            ctx.save();
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            ctx.fillRect(0, 0, view.width, view.height);
+            ctx.fillStyle = '#fff';
+            ctx.textAlign = 'center';
+            ctx.font = 'bold 40px Arial';
+            ctx.fillText('Paused', view.width / 2, view.height / 2 - 10);
+            ctx.font = '20px Arial';
+            ctx.fillText('Press SPACE, P or click to resume', view.width / 2, view.height / 2 + 30);
+            ctx.restore();
+        }
+
+        /**
+         * Draw the game-over panel and Play Again button over the canvas
+         */
+        function drawGameOver() {
+            if (!drawGameOverOnCanvas) return;
+            if (config.renderGameOver) {
+                ctx.save();
+                config.renderGameOver(ctx, getGameOverInfo());
+                ctx.restore();
+                return;
+            }
+
+            const panel = getLeaderboardPanelRect();
+            const cx = panel ? view.width * 0.28 : view.width / 2;
+            const cy = view.height / 2;
+
+            ctx.save();
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(0, 0, view.width, view.height);
+
+            ctx.textAlign = 'center';
+            ctx.fillStyle = '#7dd3fc';
+            ctx.font = 'bold 44px Arial';
+            ctx.fillText('Game Over!', cx, cy - 100);
+
+            ctx.fillStyle = '#fff';
+            ctx.font = '22px Arial';
+            ctx.fillText(`Final Score: ${state.score}`, cx, cy - 50);
+            ctx.fillText(`High Score: ${highScore}`, cx, cy - 18);
+
+            if (nameEntry) {
+                ctx.fillStyle = '#ffd93d';
+                ctx.font = 'bold 20px Arial';
+                ctx.fillText(`Name: ${nameEntry.name}_`, cx, cy + 18);
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+                ctx.font = '13px Arial';
+                ctx.fillText('Type your name, Enter to save', cx, cy + 38);
+            }
+
+            // Retry and Menu buttons (a click anywhere else retries too)
+            drawMenuItems();
+
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.font = '14px Arial';
+            ctx.fillText('or press SPACE', cx, cy + 170);
+            ctx.restore();
+
+            if (panel) drawLeaderboardPanel(panel);
+        }
+
+        /**
+         * Draw the leaderboard beside the game-over panel, with All-time / Today tabs
+         */
+        function drawLeaderboardPanel(panel) {
+            ctx.save();
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+            ctx.fillRect(panel.x, panel.y, panel.width, panel.height);
+
+            ctx.font = 'bold 16px Arial';
+            ctx.textAlign = 'center';
+            getLeaderboardTabRects().forEach(tab => {
+                const selected = tab.tab === leaderboardTab;
+                ctx.fillStyle = selected ? '#7dd3fc' : 'rgba(255, 255, 255, 0.1)';
+                ctx.fillRect(tab.x, tab.y, tab.width, tab.height);
+                ctx.fillStyle = selected ? '#0b0f12' : '#fff';
+                ctx.fillText(tab.tab === 'all' ? 'All-time' : 'Today', tab.x + tab.width / 2, tab.y + 22);
+            });
+
+            ctx.font = '16px Arial';
+            const rows = leaderboardRows.slice(0, 8);
+            if (rows.length === 0) {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+                ctx.fillText('No scores yet', panel.x + panel.width / 2, panel.y + 70);
+            }
+            rows.forEach((entry, i) => {
+                const y = panel.y + 64 + i * 28;
+                const current = nameEntry && nameEntry.entry === entry;
+                ctx.fillStyle = current ? '#ffd93d' : '#fff';
+                ctx.textAlign = 'left';
+                const name = current ? nameEntry.name : entry.name;
+                ctx.fillText(`${i + 1}. ${name}${entry.daily ? ' ★' : ''}`, panel.x + 12, y);
+                ctx.textAlign = 'right';
+                ctx.fillText(String(entry.score), panel.x + panel.width - 12, y);
+            });
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.font = '12px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText('← → switch tabs', panel.x + panel.width / 2, panel.y + panel.height - 10);
+            ctx.restore();
+        }
+
+        /**
+         * Reload the leaderboard tab on show and rebuild the host's leaderboard element
+         */
+        function refreshLeaderboard() {
+            leaderboardRows = getLeaderboardEntries(loadSaveData(), leaderboardTab);
+            // Keep the pending entry's object so its row can be highlighted
+            if (nameEntry) {
+                leaderboardRows = leaderboardRows.map(entry =>
+                    entry.date === nameEntry.entry.date && entry.score === nameEntry.entry.score ? nameEntry.entry : entry);
+            }
+            if (!dom.leaderboard) return;
+
+            const doc = dom.leaderboard.ownerDocument;
+            dom.leaderboard.textContent = '';
+            const tabs = doc.createElement('div');
+            tabs.className = 'leaderboard-tabs';
+            tabs.setAttribute('role', 'tablist');
+            ['all', 'daily'].forEach(tab => {
+                const button = doc.createElement('button');
+                button.type = 'button';
+                button.setAttribute('role', 'tab');
+                button.setAttribute('aria-selected', String(tab === leaderboardTab));
+                button.dataset.tab = tab;
+                button.textContent = tab === 'all' ? 'All-time' : 'Today';
+                tabs.appendChild(button);
+            });
+            dom.leaderboard.appendChild(tabs);
+
+            const list = doc.createElement('ol');
+            list.className = 'leaderboard-list';
+            leaderboardRows.forEach(entry => {
+                const item = doc.createElement('li');
+                const name = doc.createElement('span');
+                name.className = 'leaderboard-name';
+                name.textContent = entry.name + (entry.daily ? ' ★' : '');
+                const score = doc.createElement('span');
+                score.className = 'leaderboard-score';
+                score.textContent = entry.score;
+                item.appendChild(name);
+                item.appendChild(score);
+                list.appendChild(item);
+            });
+            if (leaderboardRows.length === 0) {
+                const empty = doc.createElement('li');
+                empty.className = 'leaderboard-empty';
+                empty.textContent = 'No scores yet';
+                list.appendChild(empty);
+            }
+            dom.leaderboard.appendChild(list);
+        }
+
+        /**
+         * HUD info plus the leaderboard, for custom game-over drawing
+         */
+        function getGameOverInfo() {
+            return Object.assign(getHudInfo(), {
+                rank: nameEntry ? leaderboardRows.indexOf(nameEntry.entry) + 1 : 0,
+                playerName: nameEntry ? nameEntry.name : null,
+                leaderboardTab: leaderboardTab,
+                leaderboard: leaderboardRows.map(entry => Object.assign({}, entry))
+            });
+        }
+
+        /**
+         * Update score display
+         */
+        function updateScoreDisplay() {
+            if (dom.score) dom.score.textContent = state.score;
+            if (dom.highScore) dom.highScore.textContent = highScore;
+            if (dom.level) dom.level.textContent = state.level;
+        }
+
+        /**
+         * Count something that happened in a live run toward the lifetime stats
+         * @param {string} key - Stat name, such as 'stars', or 'deaths' with a kind
+         * @param {string} kind - For deaths: 'ceiling', 'floor' or 'obstacle'
+         */
+        function countStat(key, kind) {
+            if (replayState || players || autopilotRun) return;
+            const counts = kind ? runStats[key] : runStats;
+            const name = kind || key;
+            if (!counts || !(name in counts)) return;
+            counts[name]++;
+            checkAchievements();
+        }
+
+        /**
+         * Lifetime stats including the run in progress, and the run's own figures, as the
+         * achievement rules read them
+         */
+        function getProgress() {
+            runStats.longestRunTicks = state.tick;
+            return {
+                stats: mergeStats(lifetimeStats, runStats),
+                run: {
+                    score: state.score,
+                    ticks: state.tick,
+                    level: state.level,
+                    stars: runStats.stars,
+                    shields: runStats.shields,
+                    obstaclesPassed: runStats.obstaclesPassed
+                }
+            };
+        }
+
+        /**
+         * Unlock every achievement whose rule now holds: save it, show a toast, tell screen
+         * readers and emit 'achievement'
+         */
+        function checkAchievements() {
+            if (replayState || players || autopilotRun) return;
+            const progress = getProgress();
+            const reached = Object.keys(ACHIEVEMENTS).filter(id =>
+                !unlockedAchievements[id] && achievementMet(ACHIEVEMENTS[id], progress.stats, progress.run));
+            if (reached.length === 0) return;
+
+            const data = loadSaveData();
+            const date = new Date().toISOString();
+            reached.forEach(id => {
+                const definition = ACHIEVEMENTS[id];
+                data.achievements[id] = data.achievements[id] || date;
+                toasts.push({ name: definition.name, ticks: TOAST_TICKS, tick: state.tick });
+                emit('achievement', { id: id, name: definition.name, description: definition.description });
+            });
+            saveSaveData(data);
+            unlockedAchievements = data.achievements;
+            announce(`Achievement unlocked: ${getUnlockedThisTick()}`);
+        }
+
+        /**
+         * Names of the achievements unlocked on the current tick, for announcing
+         */
+        function getUnlockedThisTick() {
+            return toasts.filter(toast => toast.tick === state.tick).map(toast => toast.name).join(', ');
+        }
+
+        /**
+         * Add the finished run to the lifetime stats, unless the autopilot flew it
+         */
+        function recordRunStats() {
+            if (autopilotRun) return;
+            runStats.runs = 1;
+            checkAchievements();
+            const data = loadSaveData();
+            data.stats = mergeStats(data.stats, runStats);
+            saveSaveData(data);
+            lifetimeStats = data.stats;
+            runStats = createStats();
+        }
+
+        /**
+         * Every achievement with whether (and when) it was unlocked
+         * @returns {Object[]} { id, name, description, unlocked } with unlocked an ISO date or null
+         */
+        function getAchievements() {
+            const unlocked = loadSaveData().achievements;
+            return Object.keys(ACHIEVEMENTS).map(id => ({
+                id: id,
+                name: ACHIEVEMENTS[id].name,
+                description: ACHIEVEMENTS[id].description,
+                unlocked: unlocked[id] || null
+            }));
+        }
+
+        /**
+         * Open or close the stats and achievements panel (start screen only)
+         */
+        function showStats(open) {
+            const next = !!open && onStartScreen && !gameRunning;
+            if (next === statsOpen) return;
+            statsOpen = next;
+            if (statsOpen) {
+                const data = loadSaveData();
+                lifetimeStats = data.stats;
+                unlockedAchievements = data.achievements;
+            }
+            announce(statsOpen ? 'Stats and achievements' : 'Start screen');
+            refreshCanvas();
+        }
+
+        /**
+         * End the game
+         * @param {string} cause - 'boundary' or 'obstacle'
+         * @param {string} edge - For a boundary crash, 'ceiling' or 'floor'
+         */
+        function endGame(cause, edge = null) {
+            if (!gameRunning) return;
+            gameRunning = false;
+            if (drawGameOverOnCanvas && !config.renderGameOver) menu = createMenuState('gameOver');
+            const score = state.score;
+            sound.stopMusic();
+            sound.play('crash');
+
+            // Confetti keeps falling through gameLoop until the last piece is gone
+            createConfetti();
+
+            recording.ticks = state.tick;
+            recording.score = score;
+
+            // A replay only checks the recorded result; it never counts as a new run
+            if (replayState) {
+                const expectedScore = replayState.recording.score;
+                emit('replayend', {
+                    score: score,
+                    expectedScore: expectedScore,
+                    verified: expectedScore === undefined ? null : expectedScore === score,
+                    seed: seed
+                });
+                return;
+            }
+            lastRecording = recording;
+            recordRunStats();
+
+            // Add the run to the leaderboard under the last name used; the game-over screen can rename it
+            const data = loadSaveData();
+
+            // A new personal best at this difficulty becomes its ghost to race from now on (the crash
+            // tick ends the run before update() traces it)
+            const ghostDelta = getGhostDelta();
+            traceGhost();
+            const trace = ghostTrace;
+            ghostTrace = null;
+            ghosts = loadGhosts();
+            const best = bestGhost(state.difficulty);
+            if (score > 0 && !autopilotRun && (!best || score > best.score)) {
+                ghosts.best[state.difficulty] = cleanGhost(Object.assign({
+                    name: data.playerName,
+                    date: new Date().toISOString(),
+                    difficulty: state.difficulty,
+                    width: view.width,
+                    height: view.height
+                }, trace));
+                saveGhosts(ghosts);
+            }
+            // Autopilot runs stay off the local leaderboard and can't set the high score either
+            const isHighScore = !autopilotRun && score > getHighScore(data);
+            let entry = null;
+            if (score > 0 && !autopilotRun) {
+                entry = addLeaderboardEntries(data, [cleanEntry({
+                    name: data.playerName,
+                    score: score,
+                    level: state.level,
+                    date: new Date().toISOString(),
+                    daily: config.daily,
+                    seed: seed,
+                    difficulty: state.difficulty,
+                    assist: config.assist
+                })])[0] || null;
+                saveSaveData(data);
+            }
+            highScore = getHighScore(data);
+            const rank = entry ? getLeaderboardEntries(data, 'all').indexOf(entry) + 1 : 0;
+
+            // The shared leaderboard is for scores players flew themselves
+            if (config.scoreService && score > 0 && !autopilotRun) {
+                const date = entry ? entry.date : new Date().toISOString();
+                queueScore(createScorePayload(recording, {
+                    name: data.playerName,
+                    level: state.level,
+                    difficulty: state.difficulty,
+                    daily: config.daily,
+                    date: date
+                }));
+                // While a name prompt is showing, it decides the name the run is sent under
+                heldRunDate = entry && (drawGameOverOnCanvas || dom.nameInput) ? date : null;
+                flushScores();
+            }
+            // A first-time player starts from a blank name rather than the placeholder
+            nameEntry = entry ? { entry: entry, name: entry.name === DEFAULT_PLAYER_NAME ? '' : entry.name } : null;
+            if (dom.nameInput) {
+                dom.nameInput.value = entry ? entry.name : data.playerName;
+                dom.nameInput.disabled = !entry;
+            }
+            refreshLeaderboard();
+
+            // Show game over screen
+            if (dom.gameOver) dom.gameOver.style.display = 'block';
+            if (dom.finalScore) dom.finalScore.textContent = score;
+            if (dom.finalHighScore) dom.finalHighScore.textContent = highScore;
+
+            updateScoreDisplay();
+            // The game-over message replaces anything else said this tick, so it carries the unlocks
+            const unlocks = getUnlockedThisTick();
+            announce(`Game over. Score ${score}.` +
+                (isHighScore ? ' New high score!' : rank ? ` Leaderboard rank ${rank}.` : '') +
+                (unlocks ? ` Achievement unlocked: ${unlocks}.` : ''));
+
+            emit('gameover', {
+                score: score,
+                highScore: highScore,
+                level: state.level,
+                difficulty: state.difficulty,
+                isHighScore: isHighScore,
+                rank: rank,
+                cause: cause,
+                edge: edge,
+                assist: config.assist,
+                autopilot: autopilotRun,
+                seed: seed,
+                daily: config.daily,
+                ghostDelta: ghostDelta,
+                recording: lastRecording
+            });
+        }
+    }
+
+    // Auto-initialize if canvas exists on page load (standalone mode)
+    function autoInit() {
+        const existingCanvas = document.getElementById('gameCanvas');
+        if (existingCanvas && !instancesByCanvas.has(existingCanvas)) {
+            // Find the parent container
+            const container = existingCanvas.parentElement;
+            if (container) {
+                window.rocketDodge = initGame(container, {
+                    width: existingCanvas.width || 800,
+                    height: existingCanvas.height || 600,
+                    elements: {
+                        score: '#scoreDisplay',
+                        highScore: '#highScoreDisplay',
+                        level: '#levelDisplay',
+                        gameOver: '#gameOverScreen',
+                        finalScore: '#finalScore',
+                        finalHighScore: '#finalHighScore',
+                        restartButton: '#restartButton',
+                        nameInput: '#playerName',
+                        leaderboard: '#leaderboard'
+                    }
+                });
+            }
+        }
+    }
+
+    // Headless pieces, usable from Node as well as the page
+    const RocketDodge = {
+        GAME_VERSION: GAME_VERSION,
+        TICK_RATE: TICK_RATE,
+        MIN_VIEW_SIZE: MIN_VIEW_SIZE,
+        initGame: initGame,
+        createSimulation: createSimulation,
+        createAutopilot: createAutopilot,
+        DIFFICULTIES: DIFFICULTIES,
+        LEVELS: LEVELS,
+        resolveDifficulty: resolveDifficulty,
+        createSoundEngine: createSoundEngine,
+        DEFAULT_KEY_BINDINGS: DEFAULT_KEY_BINDINGS,
+        migrateSaveData: migrateSaveData,
+        POWER_UPS: POWER_UPS,
+        registerPowerUp: registerPowerUp,
+        ACHIEVEMENTS: ACHIEVEMENTS,
+        registerAchievement: registerAchievement,
+        checkCollision: checkCollision,
+        checkPickup: checkPickup,
+        getRocketHitbox: getRocketHitbox,
+        getObstacleHitboxes: getObstacleHitboxes,
+        createRandom: createRandom,
+        normalizeSeed: normalizeSeed,
+        createHttpScoreService: createHttpScoreService,
+        createScorePayload: createScorePayload,
+        scoreChecksum: scoreChecksum,
+        encodeRecording: encodeRecording,
+        decodeRecording: decodeRecording,
+        verifyRecording: verifyRecording
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = RocketDodge;
+    }
+
+    if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', autoInit);
+        } else {
+            autoInit();
+        }
+
+        // Export initGame function globally
+        window.initGame = initGame;
+        window.RocketDodge = RocketDodge;
+    }
 
 })();
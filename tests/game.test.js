@@ -0,0 +1,1638 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, pressKey } = require('./helpers/dom');
+const RocketDodge = require('../js/game.js');
+
+const GAME_PAGE = `
+    <div class="game-container">
+        <canvas id="gameCanvas" width="800" height="600"></canvas>
+        <div id="scoreDisplay">0</div>
+        <div id="highScoreDisplay">0</div>
+        <div id="levelDisplay">1</div>
+    </div>
+    <div id="gameOverScreen" style="display: none">
+        <span id="finalScore"></span>
+        <span id="finalHighScore"></span>
+        <button id="restartButton"></button>
+    </div>`;
+
+/**
+ * Run frames until the rocket (left alone) has fallen to the floor
+ */
+function playUntilCrash(page, game) {
+    let over = null;
+    game.on('gameover', event => { over = event; });
+    for (let i = 0; i < 600 && !over; i++) {
+        page.frames.advance(1);
+    }
+    return over;
+}
+
+test('initGame accepts a selector and creates a default-sized canvas', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+
+    const game = page.window.initGame('#embed');
+    const canvas = page.document.querySelector('#embed canvas');
+    assert.ok(game);
+    assert.equal(game.canvas, canvas);
+    assert.equal(canvas.width, 800);
+    assert.equal(canvas.height, 600);
+});
+
+test('initGame accepts an element and size options', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+
+    const game = page.window.initGame(page.document.getElementById('embed'), { width: 640, height: 480 });
+    assert.equal(game.canvas.width, 640);
+    assert.equal(game.canvas.height, 480);
+});
+
+test('initGame reports a missing container', (t) => {
+    const page = loadPage({ scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const errors = [];
+    page.window.console.error = (...args) => errors.push(args);
+
+    assert.equal(page.window.initGame('#nowhere'), undefined);
+    assert.equal(errors.length, 1);
+});
+
+test('an existing canvas at the 300x150 defaults is resized, an explicit shape is kept', (t) => {
+    const page = loadPage({
+        body: '<div id="a"><canvas></canvas></div><div id="b"><canvas width="400" height="300"></canvas></div>',
+        scripts: ['js/game.js']
+    });
+    t.after(page.cleanup);
+
+    const a = page.window.initGame('#a', { width: 700, height: 500 });
+    const b = page.window.initGame('#b', { width: 700, height: 500 });
+    assert.equal(a.canvas.width, 700);
+    assert.equal(a.canvas.height, 500);
+
+    // Too short for an obstacle gap, so the play area grows to 420 tall at the same 4:3
+    assert.equal(b.canvas.width, 560);
+    assert.equal(b.canvas.height, 420);
+});
+
+test('the backing store follows CSS size and pixel density, letterboxing the play area', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed', { orientation: 'auto' });
+    const canvas = game.canvas;
+    const calls = canvas.getContext('2d').calls;
+    let box = { width: 500, height: 300 };
+    Object.defineProperty(canvas, 'clientWidth', { get: () => box.width });
+    Object.defineProperty(canvas, 'clientHeight', { get: () => box.height });
+    canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: box.width, height: box.height });
+    page.window.devicePixelRatio = 2;
+
+    page.window.dispatchEvent(new page.window.Event('resize'));
+    assert.equal(canvas.width, 1000);
+    assert.equal(canvas.height, 600);
+    assert.equal(canvas.style.aspectRatio, '800 / 600');
+    // 800x600 fits 1000x600 at full height, leaving 100px bars either side
+    assert.ok(calls.some(call => call.method === 'setTransform' && call.args.join() === '1,0,0,1,100,0'));
+
+    // A click on the Hard button lands in game coordinates despite the bars
+    canvas.dispatchEvent(new page.window.MouseEvent('mousedown', { clientX: (100 + 520) / 2, clientY: 420 / 2 }));
+    assert.equal(game.getDifficulty(), 'hard');
+
+    // A portrait phone screen turns the start screen's play area
+    Object.defineProperty(page.window, 'innerWidth', { value: 390, configurable: true });
+    Object.defineProperty(page.window, 'innerHeight', { value: 844, configurable: true });
+    box = { width: 390, height: 520 };
+    page.window.dispatchEvent(new page.window.Event('resize'));
+    assert.equal(canvas.style.aspectRatio, '600 / 800');
+    assert.equal(canvas.width, 780);
+    assert.equal(canvas.height, 1040);
+});
+
+test('a portrait screen flies portrait runs, and a run keeps its play area, letterboxed, when turned', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div><div id="fixed"></div><div id="stretched"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const turn = (width, height) => {
+        Object.defineProperty(page.window, 'innerWidth', { value: width, configurable: true });
+        Object.defineProperty(page.window, 'innerHeight', { value: height, configurable: true });
+    };
+    turn(390, 844);
+    const game = page.window.initGame('#embed', { seed: 3 });
+    const canvas = game.canvas;
+    const calls = canvas.getContext('2d').calls;
+    let box = { width: 390, height: 520 };
+    Object.defineProperty(canvas, 'clientWidth', { get: () => box.width });
+    Object.defineProperty(canvas, 'clientHeight', { get: () => box.height });
+    page.window.dispatchEvent(new page.window.Event('resize'));
+    assert.equal(canvas.style.aspectRatio, '600 / 800');
+
+    // Turned to landscape mid-run, the play area stays portrait with bars either side
+    game.start();
+    page.frames.advance(10);
+    turn(844, 390);
+    box = { width: 520, height: 390 };
+    page.window.dispatchEvent(new page.window.Event('resize'));
+    assert.equal(canvas.style.aspectRatio, '600 / 800');
+    assert.deepEqual([canvas.width, canvas.height], [520, 390]);
+    calls.length = 0;
+    page.frames.advance(1);
+    // 600x800 scaled by 0.4875 is 292.5 wide, centered in 520
+    const bar = (520 - 600 * 0.4875) / 2;
+    assert.ok(calls.some(call => call.method === 'setTransform' && call.args.join() === `0.4875,0,0,0.4875,${bar},0`));
+    assert.ok(calls.some(call => call.method === 'clearRect' && call.args.join() === `0,0,${bar},390`));
+    assert.ok(calls.some(call => call.method === 'clearRect' && call.args.join() === `${520 - bar},0,${bar},390`));
+    playUntilCrash(page, game);
+    assert.deepEqual([game.getRecording().width, game.getRecording().height], [600, 800]);
+
+    // A fixed orientation ignores the screen, and stretch fills the box without bars
+    turn(390, 844);
+    const landscape = page.window.initGame('#fixed', { orientation: 'landscape' });
+    assert.equal(landscape.canvas.style.aspectRatio, '800 / 600');
+    const stretched = page.window.initGame('#stretched', { orientation: 'landscape', fit: 'stretch' });
+    assert.equal(stretched.canvas.style.aspectRatio, '');
+});
+
+test('pipes and particles draw from cached gradients and sprites, with an FPS overlay', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    // A rocket that holds still in a dense field of pipes, and crashes into one of them
+    const game = page.window.initGame('#embed', {
+        seed: 7,
+        showFps: true,
+        tuning: { gravity: 0, boost: 0, obstacleFrequency: 40 }
+    });
+    const ctx = game.canvas.getContext('2d');
+    let gradients = 0;
+    const createLinearGradient = ctx.createLinearGradient;
+    ctx.createLinearGradient = (...args) => {
+        gradients++;
+        return createLinearGradient(...args);
+    };
+
+    let over = false;
+    game.on('gameover', () => { over = true; });
+    game.start();
+    page.frames.advance(400);
+    assert.ok(over);
+
+    // The sky's gradient was made for the start screen; the pipes share one more
+    assert.equal(gradients, 1);
+    // The explosion and confetti are sprites; the only arc left per frame is the rocket's window
+    const count = (method) => ctx.calls.filter(call => call.method === method).length;
+    assert.ok(count('drawImage') > 100);
+    assert.equal(count('arc'), count('clearRect'));
+    assert.ok(ctx.calls.some(call => call.method === 'fillText' && /\d+ fps +\d+\.\d ms/.test(call.args[0])));
+
+    ctx.calls.length = 0;
+    game.setShowFps(false);
+    assert.ok(!ctx.calls.some(call => call.method === 'fillText' && /fps/.test(call.args[0])));
+});
+
+test('spent obstacles, stars and power-ups are reused by later spawns', () => {
+    const sim = RocketDodge.createSimulation({ seed: 3 });
+    const state = sim.getState();
+    const kinds = ['obstacles', 'stars', 'powerUps'];
+    const previous = { obstacles: [], stars: [], powerUps: [] };
+    const reused = { obstacles: 0, stars: 0, powerUps: 0 };
+    const spent = new Set();
+    while (state.running && state.tick < 6000) {
+        // A shield that never wears off keeps the rocket flying through everything
+        state.rocket.hasShield = true;
+        state.rocket.shieldTime = Infinity;
+        sim.step();
+        kinds.forEach(kind => {
+            previous[kind].forEach(item => { if (!state[kind].includes(item)) spent.add(item); });
+            state[kind].forEach(item => {
+                if (spent.delete(item)) reused[kind]++;
+            });
+            previous[kind] = state[kind].slice();
+        });
+    }
+    kinds.forEach(kind => assert.ok(reused[kind] > 0, `no ${kind} reused`));
+});
+
+test('particles are capped and drawn in batches of equal opacity', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed', { seed: 7 });
+    const ctx = game.canvas.getContext('2d');
+    let alphaChanges = 0;
+    let globalAlpha = 1;
+    Object.defineProperty(ctx, 'globalAlpha', {
+        get: () => globalAlpha,
+        set: (value) => {
+            alphaChanges++;
+            globalAlpha = value;
+        }
+    });
+    let over = null;
+    game.on('gameover', (event) => { over = event; });
+
+    // Boosting every tick keeps a trail of 150 particles alive until the rocket hits the ceiling;
+    // the crash and the first run's confetti would take it well past the cap
+    game.start();
+    for (let i = 0; i < 200 && !over; i++) {
+        pressKey(page.window, 'Space', game.canvas);
+        game.canvas.dispatchEvent(new page.window.KeyboardEvent('keyup', { code: 'Space' }));
+        page.frames.advance(1);
+    }
+    assert.ok(over && over.isHighScore);
+    ctx.calls.length = 0;
+    alphaChanges = 0;
+    page.frames.advance(1);
+    const dots = ctx.calls.filter(call => call.method === 'drawImage').length;
+    assert.ok(dots > 150 && dots <= 200 + 10, `${dots} sprites drawn`);
+    assert.ok(alphaChanges <= 30, `${alphaChanges} opacity changes`);
+});
+
+test('start runs the loop, stop cancels it and restart resets the score', (t) => {
+    const page = loadPage({ body: '<div id="embed"><span id="score"></span></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed', { elements: { score: '#score' } });
+    const scoreEl = page.document.getElementById('score');
+
+    game.start();
+    page.frames.advance(10);
+    assert.equal(scoreEl.textContent, '10');
+
+    game.stop();
+    assert.equal(page.frames.pending, 0);
+    page.frames.advance(10);
+    assert.equal(scoreEl.textContent, '10');
+
+    game.restart();
+    page.frames.advance(3);
+    assert.equal(scoreEl.textContent, '3');
+});
+
+test('score advances with time, not with the display refresh rate', (t) => {
+    const page = loadPage({
+        body: '<div id="a"><span class="score"></span></div><div id="b"><span class="score"></span></div>',
+        scripts: ['js/game.js']
+    });
+    t.after(page.cleanup);
+    const slow = page.window.initGame('#a', { elements: { score: '#a .score' } });
+    const fast = page.window.initGame('#b', { elements: { score: '#b .score' } });
+
+    slow.start();
+    page.frames.advance(30, 1000 / 60);
+    slow.stop();
+
+    fast.start();
+    page.frames.advance(72, 1000 / 144);
+    fast.stop();
+
+    assert.equal(page.document.querySelector('#a .score').textContent, '30');
+    assert.equal(page.document.querySelector('#b .score').textContent, '30');
+});
+
+test('keys only reach the game whose canvas has focus', (t) => {
+    const page = loadPage({ body: '<div id="a"></div><div id="b"></div><input id="field">', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const a = page.window.initGame('#a');
+    const b = page.window.initGame('#b');
+    const started = [];
+    a.on('start', () => started.push('a'));
+    b.on('start', () => started.push('b'));
+
+    // Space elsewhere on the page is left alone
+    const typed = pressKey(page.window, 'Space', page.document.getElementById('field'));
+    assert.equal(typed.defaultPrevented, false);
+    assert.deepEqual(started, []);
+
+    assert.equal(b.canvas.tabIndex, 0);
+    b.canvas.focus();
+    assert.equal(b.canvas.style.outline, '3px solid #4fc3f7');
+    assert.equal(pressKey(page.window, 'Space', b.canvas).defaultPrevented, true);
+    a.canvas.focus();
+    assert.equal(b.canvas.style.outline, '');
+    pressKey(page.window, 'Space', a.canvas);
+    assert.deepEqual(started, ['b', 'a']);
+});
+
+test('keys pressed while the canvas doesn\'t have focus are left to the page', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div><input id="field">', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed', { seed: 1 });
+    const field = page.document.getElementById('field');
+    const events = [];
+    ['start', 'boost', 'pause'].forEach(type => game.on(type, () => events.push(type)));
+
+    // Nothing has focus, then a form field does: the game's keys do nothing and aren't swallowed
+    for (const target of [page.document, page.document.body, field]) {
+        field.focus();
+        ['Space', 'KeyP', 'ArrowRight'].forEach(code => {
+            assert.equal(pressKey(page.window, code, target).defaultPrevented, false, `${code} on ${target.nodeName}`);
+        });
+    }
+    assert.deepEqual(events, []);
+    assert.equal(game.getDifficulty(), 'normal');
+
+    // The same goes during a run, once focus has left the canvas
+    game.canvas.focus();
+    pressKey(page.window, 'Space', game.canvas);
+    field.focus();
+    assert.equal(game.canvas.style.outline, '');
+    pressKey(page.window, 'Space', field);
+    pressKey(page.window, 'KeyP', field);
+    page.frames.advance(5);
+    assert.deepEqual(events, ['start']);
+    assert.equal(game.isPaused(), false);
+});
+
+test('remapped keys, held boosts and the gamepad A button drive the rocket', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const pad = { index: 0, buttons: [{ pressed: false }] };
+    page.window.navigator.getGamepads = () => [pad];
+    const game = page.window.initGame('#embed', { seed: 1, keys: { boost: 'KeyW' }, holdToBoost: true });
+    let started = 0;
+    game.on('start', () => started++);
+    pressKey(page.window, 'Space', game.canvas);
+    assert.equal(started, 0);
+
+    // The key that starts the run keeps boosting until it is released, then the pad takes over
+    pressKey(page.window, 'KeyW', game.canvas);
+    assert.equal(started, 1);
+    page.frames.advance(30);
+    game.canvas.dispatchEvent(new page.window.KeyboardEvent('keyup', { code: 'KeyW' }));
+    page.frames.advance(30);
+    pad.buttons[0].pressed = true;
+    page.frames.advance(1);
+    pad.buttons[0].pressed = false;
+    playUntilCrash(page, game);
+    assert.deepEqual(Array.from(game.getRecording().boosts), [1, 13, 25, 61]);
+
+    // Player remaps stick and take the key off the action that had it
+    assert.equal(game.setKeyBinding('pause', ['KeyW']), true);
+    assert.deepEqual(Array.from(game.getKeyBindings().boost), []);
+    const next = page.window.initGame('#embed');
+    assert.deepEqual(Array.from(next.getKeyBindings().pause), ['KeyW']);
+    assert.equal(next.setKeyBinding('jump', 'KeyJ'), false);
+});
+
+test('sound starts with the first input, follows game events and stays muted once muted', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'], audio: true });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed', { seed: 1 });
+
+    game.start();
+    page.frames.advance(5);
+    assert.equal(page.audio.contexts, 0);
+
+    // The first press unlocks audio and its boost is heard
+    pressKey(page.window, 'Space', game.canvas);
+    page.frames.advance(1);
+    assert.equal(page.audio.contexts, 1);
+    const heard = page.audio.started.length;
+    assert.ok(heard > 0);
+
+    pressKey(page.window, 'KeyM', game.canvas);
+    assert.equal(game.isMuted(), true);
+    assert.equal(page.audio.gains[0].gain.value, 0);
+    pressKey(page.window, 'Space', game.canvas);
+    page.frames.advance(1);
+    assert.equal(page.audio.started.length, heard);
+
+    game.setVolume('music', 2);
+    assert.equal(game.getVolume('music'), 1);
+    const saved = JSON.parse(page.window.localStorage.getItem('rocketDodgeSave')).audio;
+    assert.deepEqual(saved, { muted: true, musicVolume: 1, sfxVolume: 0.7 });
+    assert.equal(page.window.initGame('#embed').isMuted(), true);
+});
+
+test('sound files load when audio unlocks, and effects are synthesized until then or if they fail', async (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'], audio: true });
+    t.after(page.cleanup);
+    const requested = [];
+    page.window.fetch = (url) => {
+        requested.push(url);
+        return url === 'sounds/missing.wav'
+            ? Promise.reject(new TypeError('Failed to fetch'))
+            : Promise.resolve({ arrayBuffer: () => Promise.resolve(new ArrayBuffer(8)) });
+    };
+    const warnings = [];
+    page.window.console.warn = (message) => warnings.push(message);
+    const game = page.window.initGame('#embed', { seed: 1, sounds: { boost: 'sounds/boost.wav', crash: 'sounds/missing.wav', jingle: 'x.wav' } });
+    assert.deepEqual(requested, []);
+
+    // The first press fetches the known effects; its own boost is synthesized meanwhile
+    game.start();
+    pressKey(page.window, 'Space', game.canvas);
+    page.frames.advance(1);
+    assert.deepEqual(requested, ['sounds/boost.wav', 'sounds/missing.wav']);
+    assert.ok(page.audio.started.includes('oscillator'));
+
+    // Once decoded, the file plays instead; the one that failed stays synthesized
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.deepEqual(warnings, ['Could not load sound "crash":']);
+    page.audio.started.length = 0;
+    pressKey(page.window, 'Space', game.canvas);
+    page.frames.advance(1);
+    assert.deepEqual(page.audio.started, ['buffer']);
+    page.audio.started.length = 0;
+    playUntilCrash(page, game);
+    assert.ok(page.audio.started.includes('oscillator'));
+});
+
+test('a saved mute keeps a new game silent from its first sound', (t) => {
+    const save = JSON.stringify({ version: 1, audio: { muted: true, musicVolume: 0.2, sfxVolume: 0.4 } });
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'], audio: true, storage: { rocketDodgeSave: save } });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed', { seed: 1 });
+    assert.equal(game.isMuted(), true);
+    assert.deepEqual([game.getVolume('music'), game.getVolume('sfx')], [0.2, 0.4]);
+
+    pressKey(page.window, 'Space', game.canvas);
+    page.frames.advance(1);
+    pressKey(page.window, 'Space', game.canvas);
+    page.frames.advance(1);
+    assert.equal(page.audio.contexts, 1);
+    assert.equal(page.audio.gains[0].gain.value, 0);
+    assert.deepEqual(page.audio.started, []);
+
+    // Unmuting is saved too, and the next sound is heard
+    pressKey(page.window, 'KeyM', game.canvas);
+    assert.equal(page.audio.gains[0].gain.value, 1);
+    assert.equal(JSON.parse(page.window.localStorage.getItem('rocketDodgeSave')).audio.muted, false);
+    pressKey(page.window, 'Space', game.canvas);
+    page.frames.advance(1);
+    assert.ok(page.audio.started.length > 0);
+});
+
+test('screen readers hear the run through a live region, with reduced motion and assist honored', async (t) => {
+    const body = '<div id="embed"><span id="score"></span></div>';
+    const page = loadPage({ body: body, scripts: ['js/game.js'], reducedMotion: true });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed', { seed: 1, elements: { score: '#score' } });
+    const region = page.document.querySelector('#embed [aria-live="polite"]');
+    assert.equal(game.canvas.getAttribute('role'), 'application');
+    assert.ok(game.canvas.getAttribute('aria-label').includes('Space'));
+
+    game.start();
+    await null;
+    assert.equal(region.textContent, 'Run started on level 1');
+
+    // No confetti or particles keep the loop running once the run is over, only the first run's toast
+    playUntilCrash(page, game);
+    await null;
+    assert.match(region.textContent, /^Game over\. Score \d+\. New high score! Achievement unlocked: First Flight\.$/);
+    page.frames.advance(180);
+    assert.equal(page.frames.pending, 0);
+
+    game.setAccessibility({ highContrast: true, assist: true });
+    assert.deepEqual(JSON.parse(page.window.localStorage.getItem('rocketDodgeSave')).accessibility,
+        { highContrast: true, assist: true });
+    const assisted = page.window.initGame('#embed', { seed: 1, elements: { score: '#score' } });
+    assert.deepEqual(Object.assign({}, assisted.getAccessibility()),
+        { reducedMotion: true, highContrast: true, assist: true, autopilot: false });
+    // An option the host passes wins over the saved choice
+    const plain = page.window.initGame('#embed', { highContrast: false });
+    assert.equal(plain.getAccessibility().highContrast, false);
+    assert.equal(plain.getAccessibility().assist, true);
+    plain.destroy();
+
+    // Assist plays 15 frames' worth of time as 10 ticks
+    assisted.start();
+    page.frames.advance(15);
+    assert.equal(page.document.getElementById('score').textContent, '10');
+});
+
+test('high contrast paints every level in the colorblind-safe palette, and assist runs are marked', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed', {
+        seed: 7,
+        highContrast: true,
+        assist: true,
+        tuning: { gravity: 0, boost: 0, obstacleFrequency: 40 }
+    });
+    const ctx = game.canvas.getContext('2d');
+    const colors = new Set();
+    ctx.createLinearGradient = () => ({ addColorStop: (offset, color) => colors.add(color) });
+
+    // The sky and the pipes come only from the high-contrast set
+    game.start();
+    page.frames.advance(120);
+    assert.ok(colors.has('#e69f00'));
+    assert.deepEqual([...colors].filter(color => !['#000000', '#e69f00'].includes(color)), []);
+
+    // Turned off mid-run, the level's own colors come back
+    game.setAccessibility({ highContrast: false });
+    colors.clear();
+    page.frames.advance(20);
+    assert.ok(colors.size > 0);
+    assert.ok(!colors.has('#e69f00'));
+
+    // Assist slows the clock but not the rules: the run is marked, and its replay still verifies
+    const over = playUntilCrash(page, game);
+    assert.equal(over.assist, true);
+    assert.equal(game.getLeaderboard()[0].assist, true);
+    const result = RocketDodge.verifyRecording(game.exportRecording());
+    assert.deepEqual([result.verified, result.score], [true, over.score]);
+});
+
+test('destroy removes listeners and the canvas it created', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed');
+    let starts = 0;
+    game.on('start', () => starts++);
+
+    game.destroy();
+    pressKey(page.window, 'Space');
+    assert.equal(starts, 0);
+    assert.equal(page.document.querySelector('#embed canvas'), null);
+});
+
+/**
+ * Leaderboard scores from the page's versioned save, best first
+ */
+function savedScores(page) {
+    return JSON.parse(page.window.localStorage.getItem('rocketDodgeSave')).leaderboard.map(entry => entry.score);
+}
+
+test('a new high score tops the saved leaderboard, a lower one ranks below', async (t) => {
+    const low = loadPage({ body: GAME_PAGE, scripts: ['js/game.js'], storage: { rocketDodgeHighScore: '5' } });
+    t.after(low.cleanup);
+    await low.ready;
+    const first = playUntilCrash(low, (low.window.rocketDodge.start(), low.window.rocketDodge));
+    assert.ok(first.isHighScore);
+    assert.equal(first.rank, 1);
+    assert.deepEqual(savedScores(low), [first.score, 5]);
+    assert.equal(low.document.getElementById('finalHighScore').textContent, String(first.score));
+
+    const high = loadPage({ body: GAME_PAGE, scripts: ['js/game.js'], storage: { rocketDodgeHighScore: '5000' } });
+    t.after(high.cleanup);
+    await high.ready;
+    const second = playUntilCrash(high, (high.window.rocketDodge.start(), high.window.rocketDodge));
+    assert.equal(second.isHighScore, false);
+    assert.equal(second.rank, 2);
+    assert.deepEqual(savedScores(high), [5000, second.score]);
+});
+
+test('autoInit wires the standalone page canvas and score board', async (t) => {
+    const page = loadPage({ body: GAME_PAGE, scripts: ['js/game.js'], storage: { rocketDodgeHighScore: '250' } });
+    t.after(page.cleanup);
+    await page.ready;
+
+    const game = page.window.rocketDodge;
+    assert.ok(game);
+    assert.equal(game.canvas, page.document.getElementById('gameCanvas'));
+    assert.equal(page.document.getElementById('highScoreDisplay').textContent, '250');
+
+    const over = playUntilCrash(page, (game.start(), game));
+    assert.equal(over.cause, 'boundary');
+    assert.equal(page.document.getElementById('gameOverScreen').style.display, 'block');
+
+    page.document.getElementById('restartButton').click();
+    assert.equal(page.document.getElementById('gameOverScreen').style.display, 'none');
+});
+
+test('a recorded run re-simulates to the same score', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed', { seed: 7 });
+
+    game.start();
+    let over = null;
+    game.on('gameover', event => { over = event; });
+    for (let i = 0; i < 3000 && !over; i++) {
+        if (i % 24 === 0) game.canvas.click();
+        page.frames.advance(1);
+    }
+
+    assert.ok(over);
+    const result = RocketDodge.verifyRecording(game.exportRecording());
+    assert.equal(result.verified, true);
+    assert.equal(result.score, over.score);
+});
+
+test('the rocket crashes into an obstacle without a shield', () => {
+    const events = [];
+    const sim = RocketDodge.createSimulation({ seed: 1, onEvent: type => events.push(type) });
+    const state = sim.getState();
+    state.obstacles.push({ x: 90, prevX: 90, topHeight: 400, bottomY: 650, width: 80, passed: false });
+
+    sim.step();
+    assert.equal(state.running, false);
+    assert.equal(state.cause, 'obstacle');
+    assert.deepEqual(events, ['gameover']);
+});
+
+test('a shield absorbs one obstacle hit and holds the rocket inside the playfield', () => {
+    const events = [];
+    const sim = RocketDodge.createSimulation({ seed: 1, onEvent: type => events.push(type) });
+    const state = sim.getState();
+    state.rocket.hasShield = true;
+    state.rocket.shieldTime = 300;
+    state.obstacles.push({ x: 90, prevX: 90, topHeight: 400, bottomY: 650, width: 80, passed: false });
+
+    sim.step();
+    assert.equal(state.running, true);
+    assert.equal(state.rocket.hasShield, false);
+    assert.deepEqual(events, ['shieldbreak']);
+
+    state.obstacles.length = 0;
+    state.rocket.hasShield = true;
+    state.rocket.shieldTime = 300;
+    state.rocket.y = 600;
+    sim.step();
+    assert.equal(state.running, true);
+    assert.equal(state.rocket.y, 560);
+    assert.equal(state.rocket.velocity, 0);
+});
+
+test('the same seed always produces the same course', () => {
+    const run = (seed) => {
+        const sim = RocketDodge.createSimulation({ seed: seed });
+        const state = sim.getState();
+        state.rocket.hasShield = true;
+        state.rocket.shieldTime = Infinity;
+        for (let i = 0; i < 600; i++) sim.step();
+        return state.obstacles.map(obs => Math.round(obs.topHeight));
+    };
+    assert.deepEqual(run('team'), run('team'));
+    assert.notDeepEqual(run('team'), run('other'));
+});
+
+test('daily mode seeds every run of a UTC day alike, and the next day differently', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const RealDate = page.window.Date;
+    let now = '2026-03-14T00:05:00Z';
+    page.window.Date = class extends RealDate {
+        constructor(...args) {
+            super(...(args.length ? args : [now]));
+        }
+    };
+    const game = page.window.initGame('#embed', { seed: 9, daily: true });
+    const seedAt = (time) => {
+        now = time;
+        game.start();
+        return game.getSeed();
+    };
+
+    assert.equal(seedAt('2026-03-14T00:05:00Z'), RocketDodge.normalizeSeed('daily:2026-03-14'));
+    assert.equal(seedAt('2026-03-14T23:55:00Z'), RocketDodge.normalizeSeed('daily:2026-03-14'));
+    assert.equal(seedAt('2026-03-15T00:05:00Z'), RocketDodge.normalizeSeed('daily:2026-03-15'));
+    assert.notEqual(RocketDodge.normalizeSeed('daily:2026-03-15'), RocketDodge.normalizeSeed('daily:2026-03-14'));
+});
+
+test('power-ups spawn only from the enabled types', () => {
+    const sim = RocketDodge.createSimulation({ seed: 3, powerUps: ['magnet'] });
+    const state = sim.getState();
+    state.rocket.hasShield = true;
+    state.rocket.shieldTime = Infinity;
+    for (let i = 0; i < 900; i++) sim.step();
+    assert.ok(state.powerUps.length > 0);
+    assert.ok(state.powerUps.every(powerUp => powerUp.type === 'magnet'));
+});
+
+test('a timed power-up applies its effect and ends with a powerupend event', () => {
+    const events = [];
+    const sim = RocketDodge.createSimulation({ seed: 1, onEvent: (type, detail) => events.push([type, detail]) });
+    const state = sim.getState();
+    sim.applyEffect('multiplier');
+    assert.equal(state.modifiers.scoreMultiplier, 2);
+
+    state.stars.push({ x: 120, prevX: 120, y: 320, prevY: 320, size: 15, collected: false });
+    sim.step();
+    const scored = events.find(([type]) => type === 'score');
+    assert.equal(scored[1].points, 200);
+
+    state.effects[0].remaining = 1;
+    sim.step();
+    assert.equal(state.modifiers.scoreMultiplier, 1);
+    assert.deepEqual(state.effects, []);
+    assert.ok(events.some(([type, detail]) => type === 'powerupend' && detail.type === 'multiplier'));
+});
+
+test('slow-motion halves the scroll speed and the rocket\'s fall', () => {
+    const sim = RocketDodge.createSimulation({ seed: 1 });
+    const state = sim.getState();
+    sim.applyEffect('slowmo');
+    state.obstacles.push({ x: 600, prevX: 600, topHeight: 100, bottomY: 350, width: 80, passed: false });
+    sim.step();
+    assert.equal(state.obstacles[0].x, 600 - 1.5);
+    assert.equal(state.rocket.y, 300 + 0.125);
+});
+
+test('an extra life absorbs a crash and smashes the obstacle', () => {
+    const events = [];
+    const sim = RocketDodge.createSimulation({ seed: 1, onEvent: type => events.push(type) });
+    const state = sim.getState();
+    sim.applyEffect('extraLife');
+    assert.equal(state.lives, 1);
+    state.obstacles.push({ x: 90, prevX: 90, topHeight: 400, bottomY: 650, width: 80, passed: false });
+
+    sim.step();
+    assert.equal(state.running, true);
+    assert.equal(state.lives, 0);
+    assert.deepEqual(state.obstacles, []);
+    assert.deepEqual(events, ['lifelost']);
+
+    state.obstacles.push({ x: 90, prevX: 90, topHeight: 400, bottomY: 650, width: 80, passed: false });
+    sim.step();
+    assert.equal(state.running, false);
+});
+
+test('shrink makes the rocket smaller about its center until it expires', () => {
+    const sim = RocketDodge.createSimulation({ seed: 1 });
+    const state = sim.getState();
+    sim.applyEffect('shrink');
+    assert.equal(state.rocket.width, 24);
+    assert.equal(state.rocket.x, 108);
+    sim.applyEffect('shrink');
+    assert.equal(state.rocket.width, 24);
+
+    state.effects[0].remaining = 1;
+    state.rocket.hasShield = true;
+    state.rocket.shieldTime = Infinity;
+    sim.step();
+    assert.equal(state.rocket.width, 40);
+    assert.equal(state.rocket.x, 100);
+});
+
+test('a rocket beside the curved pipe lip no longer counts as a hit', () => {
+    const rocket = { x: 100, y: 395, width: 40, height: 40, rotation: 0 };
+    // The lip curves up to topHeight - 20 at the pipe's edge, clear of the nose; the old box test hit here
+    const obstacle = { x: 120, topHeight: 400, bottomY: 650, width: 80 };
+    assert.equal(RocketDodge.checkCollision(rocket, obstacle, 1000), false);
+
+    obstacle.x = 100;
+    assert.equal(RocketDodge.checkCollision(rocket, obstacle, 1000), true);
+});
+
+test('the rocket hitbox follows its rotation', () => {
+    const level = RocketDodge.getRocketHitbox({ x: 100, y: 100, width: 40, height: 40, rotation: 0 });
+    const tilted = RocketDodge.getRocketHitbox({ x: 100, y: 100, width: 40, height: 40, rotation: Math.PI / 2 });
+    const maxX = points => Math.max(...points.map(p => p.x));
+    assert.ok(Math.abs(maxX(level) - 140) < 1e-9);
+    // Turned a quarter, the nose points right and reaches 10px past the box
+    assert.ok(Math.abs(maxX(tilted) - 150) < 1e-9);
+});
+
+test('pickups collide as circles against the rocket outline', () => {
+    const rocket = { x: 100, y: 100, width: 40, height: 40, rotation: 0 };
+    assert.equal(RocketDodge.checkPickup(rocket, { x: 120, y: 120, size: 15 }), true);
+    assert.equal(RocketDodge.checkPickup(rocket, { x: 160, y: 120, size: 15 }), false);
+    // Just off the curved nose, inside the old bounding box
+    assert.equal(RocketDodge.checkPickup(rocket, { x: 100, y: 88, size: 5 }), false);
+});
+
+test('the hitbox overlay outlines every shape when enabled', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed', { debugHitboxes: true });
+    const calls = game.canvas.getContext('2d').calls;
+
+    game.start();
+    calls.length = 0;
+    page.frames.advance(1);
+    assert.ok(calls.some(call => call.method === 'stroke'));
+});
+
+test('P pauses and resumes the run without simulating the paused time', (t) => {
+    const page = loadPage({ body: '<div id="embed"><span id="score"></span></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed', { elements: { score: '#score' } });
+    const events = [];
+    game.on('pause', () => events.push('pause'));
+    game.on('resume', () => events.push('resume'));
+
+    game.start();
+    page.frames.advance(5);
+    pressKey(page.window, 'KeyP', game.canvas);
+    assert.equal(game.isPaused(), true);
+    page.frames.advance(30);
+    assert.equal(page.document.getElementById('score').textContent, '5');
+
+    pressKey(page.window, 'KeyP', game.canvas);
+    assert.equal(game.isPaused(), false);
+    page.frames.advance(5);
+    assert.equal(page.document.getElementById('score').textContent, '10');
+    assert.deepEqual(events, ['pause', 'resume']);
+});
+
+test('hiding the tab or blurring the window pauses, and a press resumes', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed');
+
+    game.start();
+    Object.defineProperty(page.document, 'hidden', { value: true, configurable: true });
+    page.document.dispatchEvent(new page.window.Event('visibilitychange'));
+    assert.equal(game.isPaused(), true);
+    assert.equal(page.frames.pending, 0);
+
+    Object.defineProperty(page.document, 'hidden', { value: false, configurable: true });
+    page.document.dispatchEvent(new page.window.Event('visibilitychange'));
+    assert.equal(game.isPaused(), true);
+
+    pressKey(page.window, 'Space', game.canvas);
+    assert.equal(game.isPaused(), false);
+    assert.equal(page.frames.pending, 1);
+
+    page.window.dispatchEvent(new page.window.Event('blur'));
+    assert.equal(game.isPaused(), true);
+});
+
+test('the on-canvas pause button toggles pause instead of boosting', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed');
+    game.canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 300 });
+
+    game.start();
+    // The canvas is shown at half size, so the button's top-right corner maps to (392, 8)
+    game.canvas.dispatchEvent(new page.window.MouseEvent('mousedown', { clientX: 385, clientY: 15 }));
+    assert.equal(game.isPaused(), true);
+    game.canvas.dispatchEvent(new page.window.MouseEvent('mousedown', { clientX: 200, clientY: 150 }));
+    assert.equal(game.isPaused(), false);
+});
+
+test('difficulty presets take individual overrides', () => {
+    const hard = RocketDodge.resolveDifficulty('hard', { obstacleGap: 230, gravity: 'x' });
+    assert.equal(hard.difficulty, 'hard');
+    assert.equal(hard.obstacleGap, 230);
+    assert.equal(hard.gravity, RocketDodge.DIFFICULTIES.hard.gravity);
+
+    const custom = RocketDodge.resolveDifficulty('custom', { boost: -12 });
+    assert.equal(custom.difficulty, 'custom');
+    assert.equal(custom.boost, -12);
+    assert.equal(custom.obstacleFrequency, RocketDodge.DIFFICULTIES.normal.obstacleFrequency);
+
+    const sim = RocketDodge.createSimulation({ difficulty: 'easy' });
+    assert.equal(sim.getState().rocket.gravity, RocketDodge.DIFFICULTIES.easy.gravity);
+});
+
+test('levels are capped so obstacles keep spawning at any score', () => {
+    const sim = RocketDodge.createSimulation({ seed: 2 });
+    const state = sim.getState();
+    state.rocket.hasShield = true;
+    state.rocket.shieldTime = Infinity;
+    state.score = 1000000;
+    // The first spawn after the level checkpoint's breather
+    for (let i = 0; i < 120; i++) sim.step();
+    assert.equal(state.level, RocketDodge.DIFFICULTIES.normal.maxLevel);
+    assert.ok(state.obstacles.length > 0);
+});
+
+test('a run on another difficulty records it and still verifies', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed', { seed: 5, difficulty: 'hard', tuning: { obstacleGap: 240 } });
+
+    game.start();
+    const over = playUntilCrash(page, game);
+    assert.equal(over.difficulty, 'hard');
+    const recording = RocketDodge.decodeRecording(game.exportRecording());
+    assert.equal(recording.difficulty, 'hard');
+    assert.deepEqual(recording.tuning, { obstacleGap: 240 });
+    assert.equal(RocketDodge.verifyRecording(recording).verified, true);
+});
+
+test('the start screen switches difficulty by arrow key or click without starting', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed');
+    game.canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 300 });
+    let started = 0;
+    game.on('start', () => started++);
+
+    // Half-size canvas: the Easy button is centered on (280, 428) in canvas coordinates
+    game.canvas.dispatchEvent(new page.window.MouseEvent('mousedown', { clientX: 140, clientY: 214 }));
+    assert.equal(game.getDifficulty(), 'easy');
+    pressKey(page.window, 'ArrowRight', game.canvas);
+    pressKey(page.window, 'ArrowRight', game.canvas);
+    assert.equal(game.getDifficulty(), 'hard');
+    assert.equal(started, 0);
+
+    game.canvas.dispatchEvent(new page.window.MouseEvent('mousedown', { clientX: 200, clientY: 100 }));
+    assert.equal(started, 1);
+    pressKey(page.window, 'ArrowLeft', game.canvas);
+    assert.equal(game.getDifficulty(), 'hard');
+});
+
+test('the canvas menu opens from the start screen and works by keyboard, mouse and gamepad', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const pad = { index: 0, buttons: Array.from({ length: 16 }, () => ({ pressed: false })) };
+    page.window.navigator.getGamepads = () => [pad];
+    const game = page.window.initGame('#embed');
+    game.canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 300 });
+    const calls = game.canvas.getContext('2d').calls;
+    const drawnText = () => calls.filter(call => call.method === 'fillText').map(call => call.args[0]);
+    const press = (button) => {
+        pad.buttons[button].pressed = true;
+        page.frames.advance(1);
+        pad.buttons[button].pressed = false;
+        page.frames.advance(1);
+    };
+    let started = 0;
+    game.on('start', () => started++);
+    const settings = [];
+    game.on('accessibility', (event) => settings.push(event));
+
+    // Escape opens the main menu; Enter on Settings goes a screen deeper
+    pressKey(page.window, 'Escape', game.canvas);
+    assert.deepEqual(Array.from(game.getMenu().items), ['play', 'settings', 'howToPlay', 'stats', 'close']);
+    pressKey(page.window, 'ArrowDown', game.canvas);
+    pressKey(page.window, 'Enter', game.canvas);
+    assert.equal(game.getMenu().screen, 'settings');
+    pressKey(page.window, 'ArrowLeft', game.canvas);
+    assert.equal(game.getVolume('music'), 0.3);
+
+    // Half-size canvas: rows are 420 wide from x 190, 34 apart from y 100. The mouse focuses
+    // the row it's over, and a click on the music slider's bar (x 440-550) sets the volume
+    game.canvas.dispatchEvent(new page.window.MouseEvent('mousemove', { clientX: 200, clientY: (100 + 34 * 3 + 14) / 2 }));
+    assert.equal(game.getMenu().focus, 'difficulty');
+    pressKey(page.window, 'ArrowRight', game.canvas);
+    assert.equal(game.getDifficulty(), 'hard');
+    game.canvas.dispatchEvent(new page.window.MouseEvent('mousedown', { clientX: 495 / 2, clientY: 57 }));
+    assert.equal(game.getVolume('music'), 0.5);
+    game.canvas.dispatchEvent(new page.window.MouseEvent('mousedown', { clientX: 200, clientY: (100 + 34 * 8 + 14) / 2 }));
+    assert.equal(game.getAccessibility().highContrast, true);
+    // The host hears about it, to keep its own controls in step
+    assert.deepEqual(settings.map(({ reducedMotion, highContrast, assist, autopilot }) => ({ reducedMotion, highContrast, assist, autopilot })),
+        [{ reducedMotion: false, highContrast: true, assist: false, autopilot: false }]);
+    page.frames.advance(1);
+    assert.ok(drawnText().includes('High contrast'));
+    assert.equal(started, 0);
+
+    // Controls: Enter waits for a key, which becomes the action's only key
+    pressKey(page.window, 'ArrowUp', game.canvas);
+    pressKey(page.window, 'ArrowUp', game.canvas);
+    pressKey(page.window, 'Enter', game.canvas);
+    assert.equal(game.getMenu().screen, 'controls');
+    pressKey(page.window, 'Enter', game.canvas);
+    assert.ok(drawnText().includes('Press a key…'));
+    pressKey(page.window, 'KeyB', game.canvas);
+    assert.deepEqual(Array.from(game.getKeyBindings().boost), ['KeyB']);
+
+    // Escape backs out one screen at a time, then closes the menu without starting a run
+    pressKey(page.window, 'Escape', game.canvas);
+    assert.equal(game.getMenu().focus, 'controls');
+    pressKey(page.window, 'Escape', game.canvas);
+    assert.equal(game.getMenu().screen, 'main');
+    pressKey(page.window, 'Escape', game.canvas);
+    assert.equal(game.getMenu(), null);
+    assert.equal(started, 0);
+
+    // The gamepad: Start opens the menu, the d-pad moves, B backs out and A plays
+    press(9);
+    press(13);
+    press(13);
+    press(0);
+    assert.equal(game.getMenu().screen, 'howToPlay');
+    assert.ok(drawnText().includes('B, click or tap: boost (and start a run)'));
+    press(1);
+    press(12);
+    press(12);
+    press(0);
+    assert.equal(started, 1);
+    assert.equal(game.getMenu(), null);
+});
+
+test('asteroid fields spawn on their level and collide as circles', () => {
+    const belt = RocketDodge.LEVELS.findIndex(level => level.patterns.asteroids) + 1;
+    const sim = RocketDodge.createSimulation({ seed: 4, startLevel: belt });
+    const state = sim.getState();
+    let asteroid = null;
+    for (let i = 0; i < 2000 && !asteroid; i++) {
+        state.rocket.hasShield = true;
+        sim.step();
+        asteroid = state.obstacles.find(obs => obs.kind === 'asteroid');
+    }
+    assert.ok(asteroid);
+
+    const rocket = { x: 100, y: 300, width: 40, height: 40, rotation: 0 };
+    const rock = { kind: 'asteroid', x: 135, y: 355, radius: 20, width: 40 };
+    // The rock's bounding box overlaps the rocket's corner, but the circle stays clear of it
+    assert.equal(RocketDodge.checkCollision(rocket, rock), false);
+    rock.x = 125;
+    assert.equal(RocketDodge.checkCollision(rocket, rock), true);
+});
+
+test('moving pipes oscillate and a flipped level turns gravity around', () => {
+    const drift = RocketDodge.LEVELS.findIndex(level => level.patterns.moving) + 1;
+    const sim = RocketDodge.createSimulation({ seed: 9, startLevel: drift });
+    const state = sim.getState();
+    let moving = null;
+    for (let i = 0; i < 2000 && !moving; i++) {
+        state.rocket.hasShield = true;
+        sim.step();
+        moving = state.obstacles.find(obs => obs.motion);
+    }
+    assert.ok(moving);
+    const top = moving.topHeight;
+    sim.step();
+    assert.notEqual(moving.topHeight, top);
+    assert.equal(moving.bottomY - moving.topHeight, moving.motion.gap);
+
+    const flipped = RocketDodge.LEVELS.findIndex(level => level.gravity === -1) + 1;
+    const flippedSim = RocketDodge.createSimulation({ seed: 1, startLevel: flipped });
+    const flippedState = flippedSim.getState();
+    assert.equal(flippedState.gravityDirection, -1);
+    flippedSim.step();
+    assert.ok(flippedState.rocket.y < 300);
+    flippedSim.step({ boost: true });
+    assert.ok(flippedState.rocket.velocity > 0);
+});
+
+test('boss levels spawn their tunnel twice as often', () => {
+    const boss = RocketDodge.LEVELS.findIndex(level => level.boss) + 1;
+    const sim = RocketDodge.createSimulation({ seed: 1, startLevel: boss });
+    const state = sim.getState();
+    const normal = RocketDodge.DIFFICULTIES.normal;
+    const interval = normal.obstacleFrequency - boss * normal.frequencyStep;
+    let spawned = 0;
+    for (let i = 0; i < interval; i++) {
+        const before = state.obstacles.length;
+        state.rocket.hasShield = true;
+        sim.step();
+        if (state.obstacles.length > before) spawned++;
+    }
+    assert.equal(spawned, 2);
+});
+
+test('reaching a level unlocks it for the start screen level select', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed', { seed: 1, tuning: { pointsPerLevel: 20 } });
+    const calls = game.canvas.getContext('2d').calls;
+    let reached = null;
+    game.on('levelup', event => { reached = event; });
+
+    game.start();
+    for (let i = 0; i < 30 && !reached; i++) page.frames.advance(1);
+    assert.equal(reached.level, 2);
+    assert.equal(reached.name, RocketDodge.LEVELS[1].name);
+    assert.equal(JSON.parse(page.window.localStorage.getItem('rocketDodgeSave')).unlockedLevel, 2);
+    assert.ok(calls.some(call => call.method === 'fillText' && call.args[0] === 'Level 2'));
+
+    const next = page.window.initGame(page.document.body);
+    assert.equal(next.getUnlockedLevel(), 2);
+    pressKey(page.window, 'ArrowUp', next.canvas);
+    assert.equal(next.getStartLevel(), 2);
+    pressKey(page.window, 'ArrowUp', next.canvas);
+    assert.equal(next.getStartLevel(), 2);
+});
+
+test('the best run comes back as a ghost to race, and a teammate\'s ghost can replace it', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed', { seed: 7, tuning: { gravity: 0, boost: 0, obstacleFrequency: 40 } });
+    const calls = game.canvas.getContext('2d').calls;
+    const hudText = () => calls.filter(call => call.method === 'fillText').map(call => call.args[0]).join('\n');
+
+    game.start();
+    page.frames.advance(400);
+    assert.deepEqual({ ...game.getGhost() }, { name: 'Player', score: 388, ticks: 339, imported: false });
+    assert.ok(page.window.localStorage.getItem('rocketDodgeGhost'));
+    const exported = JSON.parse(game.exportGhost());
+    assert.equal(exported.ys.length, 340);
+
+    // The same seed flies the same course, level with the ghost, which is drawn as a second rocket
+    game.start();
+    page.frames.advance(100);
+    calls.length = 0;
+    page.frames.advance(1);
+    assert.match(hudText(), /0 ahead of Player/);
+    assert.equal(calls.filter(call => call.method === 'arc').length, 2);
+
+    const teammate = {
+        name: 'Ace',
+        ys: new Array(1000).fill(300),
+        rotations: new Array(1000).fill(0),
+        scores: Array.from({ length: 1000 }, (_, i) => i * 2)
+    };
+    page.window.console.error = () => {};
+    assert.equal(game.importGhost('not a ghost'), false);
+    assert.equal(game.importGhost(JSON.stringify(teammate)), true);
+    assert.deepEqual({ ...game.getGhost() }, { name: 'Ace', score: 1998, ticks: 999, imported: true });
+    game.start();
+    calls.length = 0;
+    page.frames.advance(50);
+    assert.match(hudText(), /50 behind Ace/);
+
+    game.clearImportedGhost();
+    assert.equal(game.getGhost().name, 'Player');
+
+    // Each difficulty keeps a best ghost of its own, so a hard run neither races nor replaces it
+    game.setDifficulty('hard');
+    assert.equal(game.getGhost(), null);
+    game.start();
+    page.frames.advance(400);
+    const hard = game.getGhost();
+    assert.ok(hard.score > 0 && hard.score !== 388);
+    game.setDifficulty('normal');
+    assert.equal(game.getGhost().score, 388);
+    game.setDifficulty('hard');
+    assert.equal(game.getGhost().score, hard.score);
+
+    // A single best ghost saved before that is kept as its own difficulty's
+    const stored = JSON.parse(page.window.localStorage.getItem('rocketDodgeGhost'));
+    page.window.localStorage.setItem('rocketDodgeGhost', JSON.stringify({ best: stored.best.hard, rival: null }));
+    const reloaded = page.window.initGame('#embed', { difficulty: 'hard' });
+    assert.equal(reloaded.getGhost().score, hard.score);
+    reloaded.setDifficulty('normal');
+    assert.equal(reloaded.getGhost(), null);
+});
+
+test('an exported ghost imports on another machine as the same run, and broken files are refused', (t) => {
+    const tuning = { gravity: 0, boost: 0, obstacleFrequency: 40 };
+    const home = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(home.cleanup);
+    const mine = home.window.initGame('#embed', { seed: 7, tuning: tuning });
+    mine.setPlayerName('Ace');
+    mine.start();
+    const over = playUntilCrash(home, mine);
+    const file = mine.exportGhost();
+    assert.equal(JSON.parse(file).game, 'rocket-dodge');
+
+    const away = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(away.cleanup);
+    away.window.console.error = () => {};
+    const theirs = away.window.initGame('#embed', { seed: 7, tuning: tuning });
+    assert.equal(theirs.getGhost(), null);
+
+    // A ghost missing part of its trajectory, or with a non-number in it, is refused
+    const ghost = JSON.parse(file);
+    assert.equal(theirs.importGhost(Object.assign({}, ghost, { scores: ghost.scores.slice(0, 10) })), false);
+    assert.equal(theirs.importGhost(Object.assign({}, ghost, { ys: ['high'].concat(ghost.ys.slice(1)) })), false);
+    assert.equal(theirs.getGhost(), null);
+
+    // The file comes back as the same run, kept across reloads, and flies level on the same seed
+    assert.equal(theirs.importGhost(file), true);
+    const summary = { name: 'Ace', score: over.score, ticks: ghost.ys.length - 1, imported: true };
+    assert.deepEqual({ ...theirs.getGhost() }, summary);
+    // Only your own best is exported, not an imported rival
+    assert.equal(theirs.exportGhost(), null);
+    const calls = theirs.canvas.getContext('2d').calls;
+    theirs.start();
+    away.frames.advance(60);
+    calls.length = 0;
+    away.frames.advance(1);
+    assert.ok(calls.some(call => call.method === 'fillText' && /0 ahead of Ace/.test(call.args[0])));
+    assert.deepEqual({ ...away.window.initGame('#embed', { seed: 7 }).getGhost() }, summary);
+});
+
+test('lifetime stats split deaths by cause, unlock achievements with a toast and show on the start screen', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    page.window.RocketDodge.registerAchievement('pipeDream', { name: 'Pipe Dream', description: 'Pass a pipe', stat: 'obstaclesPassed', atLeast: 1 });
+    const unlocked = [];
+    const game = page.window.initGame('#embed', {
+        seed: 7,
+        tuning: { gravity: 0, boost: 0, obstacleFrequency: 40 },
+        onAchievement: (event) => unlocked.push(event.id)
+    });
+    const calls = game.canvas.getContext('2d').calls;
+    const drawnText = () => calls.filter(call => call.method === 'fillText').map(call => call.args[0]);
+
+    game.start();
+    page.frames.advance(400);
+    assert.deepEqual(unlocked, ['pipeDream', 'firstFlight']);
+    const stats = game.getStats();
+    assert.equal(stats.runs, 1);
+    assert.equal(stats.longestRunTicks, 339);
+    assert.equal(stats.obstaclesPassed, 1);
+    assert.deepEqual({ ...stats.deaths }, { ceiling: 0, floor: 0, obstacle: 1 });
+    // Toasts queue up, one at a time
+    assert.ok(drawnText().includes('Pipe Dream'));
+    assert.ok(!drawnText().includes('First Flight'));
+    page.frames.advance(200);
+    assert.ok(drawnText().includes('First Flight'));
+
+    // A rocket that falls upward hits the ceiling
+    const rising = page.window.initGame('#embed', { seed: 7, tuning: { gravity: -0.5 } });
+    rising.start();
+    page.frames.advance(200);
+    assert.deepEqual({ ...game.getStats().deaths }, { ceiling: 1, floor: 0, obstacle: 1 });
+    assert.equal(game.getAchievements().find(entry => entry.id === 'firstFlight').unlocked !== null, true);
+
+    // The start screen's panel opens with S and closes with Space without starting a run
+    const menu = page.window.initGame('#embed');
+    const menuCalls = menu.canvas.getContext('2d').calls;
+    let starts = 0;
+    menu.on('start', () => starts++);
+    menu.canvas.dispatchEvent(new page.window.KeyboardEvent('keydown', { code: 'KeyS' }));
+    const panelText = menuCalls.filter(call => call.method === 'fillText').map(call => call.args[0]);
+    assert.ok(panelText.includes('Runs played'));
+    assert.ok(panelText.includes('Achievements 2/10'));
+    menu.canvas.dispatchEvent(new page.window.KeyboardEvent('keydown', { code: 'Space' }));
+    assert.equal(starts, 0);
+    menu.canvas.dispatchEvent(new page.window.KeyboardEvent('keydown', { code: 'Space' }));
+    assert.equal(starts, 1);
+});
+
+test('every lifetime stat counts what happened in the run, and replays add nothing', (t) => {
+    // Fly a run headlessly toward each coming gap, counting what happens, then fly the same
+    // boosts in a game; only shields spawn, so one is picked up on the way
+    const expected = { runs: 1, stars: 0, shields: 0, obstaclesPassed: 0, deaths: { ceiling: 0, floor: 0, obstacle: 0 }, longestRunTicks: 0 };
+    const options = { seed: 1, powerUps: ['shield'] };
+    const sim = RocketDodge.createSimulation(Object.assign({
+        onEvent: (type, detail) => {
+            if (type === 'star') expected.stars++;
+            if (type === 'powerup' && detail.type === 'shield') expected.shields++;
+            if (type === 'score' && detail.reason === 'obstacle') expected.obstaclesPassed++;
+            if (type === 'lifelost' || type === 'gameover') expected.deaths[detail.edge || detail.cause]++;
+        }
+    }, options));
+    const state = sim.getState();
+    const rocket = state.rocket;
+    const boosts = new Set();
+    while (state.running) {
+        const next = state.obstacles.filter(obs => obs.kind !== 'asteroid' && obs.x + obs.width > rocket.x)
+            .sort((a, b) => a.x - b.x)[0];
+        const target = next ? (next.topHeight + next.bottomY) / 2 : sim.height / 2;
+        const boost = rocket.velocity > 0 && rocket.y + rocket.height / 2 > target;
+        if (boost) boosts.add(state.tick + 1);
+        sim.step({ boost: boost });
+    }
+    expected.longestRunTicks = state.tick;
+    assert.ok(expected.stars > 0 && expected.shields > 0 && expected.obstaclesPassed > 10);
+
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed', options);
+    let over = null;
+    game.on('gameover', (event) => { over = event; });
+    game.start();
+    for (let tick = 1; !over && tick <= expected.longestRunTicks; tick++) {
+        if (boosts.has(tick)) {
+            pressKey(page.window, 'Space', game.canvas);
+            game.canvas.dispatchEvent(new page.window.KeyboardEvent('keyup', { code: 'Space' }));
+        }
+        page.frames.advance(1);
+    }
+    assert.equal(over.score, state.score);
+    const stats = JSON.parse(JSON.stringify(game.getStats()));
+    assert.deepEqual(stats, expected);
+
+    // A replay of the run is watched, not flown, and the totals are saved for the next visit
+    game.replay(game.exportRecording());
+    page.frames.advance(expected.longestRunTicks + 10);
+    assert.deepEqual(JSON.parse(JSON.stringify(page.window.initGame('#embed').getStats())), expected);
+});
+
+test('two players race side by side with their own keys until both crash', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const results = [];
+    const game = page.window.initGame('#embed', { seed: 7, players: 2, onVersusEnd: (event) => results.push(event) });
+    const calls = game.canvas.getContext('2d').calls;
+    const drawnText = () => calls.filter(call => call.method === 'fillText').map(call => call.args[0]);
+    const race = (code) => {
+        for (let i = 0; i < 200 && results.length === 0; i++) {
+            game.canvas.dispatchEvent(new page.window.KeyboardEvent('keydown', { code: code }));
+            game.canvas.dispatchEvent(new page.window.KeyboardEvent('keyup', { code: code }));
+            page.frames.advance(10);
+        }
+        return results.pop();
+    };
+
+    // Only player one boosts, so player two drops out first
+    game.start();
+    calls.length = 0;
+    page.frames.advance(20);
+    assert.ok(drawnText().includes('P1: 20'));
+    assert.ok(drawnText().includes('P2: 20'));
+    const first = race('Space');
+    assert.equal(first.winner, 1);
+    assert.ok(first.scores[0] > first.scores[1]);
+    assert.ok(drawnText().includes('Crashed!'));
+    assert.ok(drawnText().includes('Player 1 Wins!'));
+    // A race isn't a leaderboard run
+    assert.equal(game.getLeaderboard().length, 0);
+
+    // Enter is player two's boost
+    game.start();
+    const second = race('Enter');
+    assert.equal(second.winner, 2);
+    assert.ok(second.scores[1] > second.scores[0]);
+
+    // Levels reached in a race don't unlock single-player start levels
+    const levels = [];
+    const quick = page.window.initGame('#embed', { players: 2, tuning: { pointsPerLevel: 30 }, onLevelUp: (event) => levels.push(event.level) });
+    quick.start();
+    page.frames.advance(40);
+    assert.ok(levels.includes(2));
+    assert.equal(quick.getUnlockedLevel(), 1);
+});
+
+test('in a race each half of the screen is a player\'s touch zone, and the second gamepad is player two\'s', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const pads = [{ index: 0, buttons: [{ pressed: false }] }, { index: 1, buttons: [{ pressed: false }] }];
+    page.window.navigator.getGamepads = () => pads;
+    const results = [];
+    const game = page.window.initGame('#embed', { seed: 7, players: 2, onVersusEnd: (event) => results.push(event) });
+    game.canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 300 });
+    const touch = (type, identifier, clientX) => {
+        const event = new page.window.Event(type, { cancelable: true });
+        event.changedTouches = [{ identifier: identifier, clientX: clientX, clientY: 150 }];
+        game.canvas.dispatchEvent(event);
+    };
+    const race = (press) => {
+        game.start();
+        for (let i = 0; i < 200 && results.length === 0; i++) {
+            press();
+            page.frames.advance(10);
+        }
+        return results.pop();
+    };
+
+    // A finger on the right half boosts player two, one on the left player one
+    assert.equal(race(() => { touch('touchstart', 1, 300); touch('touchend', 1, 300); }).winner, 2);
+    assert.equal(race(() => { touch('touchstart', 2, 100); touch('touchend', 2, 100); }).winner, 1);
+
+    // The first gamepad's A boosts player one and the second's player two
+    const padRace = (pad) => race(() => {
+        pad.buttons[0].pressed = true;
+        page.frames.advance(1);
+        pad.buttons[0].pressed = false;
+    });
+    assert.equal(padRace(pads[1]).winner, 2);
+    assert.equal(padRace(pads[0]).winner, 1);
+});
+
+test('the autopilot clears every level at every difficulty', () => {
+    Object.keys(RocketDodge.DIFFICULTIES).forEach(difficulty => {
+        RocketDodge.LEVELS.forEach((definition, index) => {
+            const startLevel = index + 1;
+            [1, 2].forEach(seed => {
+                const sim = RocketDodge.createSimulation({ seed: seed, difficulty: difficulty, startLevel: startLevel });
+                const state = sim.getState();
+                const autopilot = RocketDodge.createAutopilot();
+                while (state.running && state.level === startLevel && state.tick < 5000) {
+                    sim.step({ boost: autopilot.decide(state, sim.height) });
+                }
+                assert.ok(state.level > startLevel,
+                    `${difficulty} ${definition.name} (seed ${seed}) ended on tick ${state.tick} by ${state.cause}`);
+            });
+        });
+    });
+});
+
+test('an autopilot demo flies silently behind an idle start screen, for a minute at most', async (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const idle = () => new Promise(resolve => setTimeout(resolve, 5));
+    const events = [];
+    const game = page.window.initGame('#embed', { seed: 5, attractDelay: 0 });
+    ['boost', 'score', 'star', 'powerup', 'achievement', 'gameover'].forEach(type => game.on(type, () => events.push(type)));
+    const calls = game.canvas.getContext('2d').calls;
+    const prompts = () => calls.filter(call => call.method === 'fillText' && call.args[0] === 'Click or Press SPACE to Start!').length;
+
+    // Nothing flies until the start screen has sat idle
+    assert.equal(page.frames.pending, 0);
+    await idle();
+    assert.equal(page.frames.pending, 1);
+
+    // The start screen is redrawn every frame over the demo, which never counts as a run
+    calls.length = 0;
+    page.frames.advance(600);
+    assert.equal(prompts(), 600);
+    assert.deepEqual(events, []);
+    assert.equal(game.getStats().runs, 0);
+
+    // Input grounds the demo and starts the wait over
+    pressKey(page.window, 'ArrowRight', game.canvas);
+    assert.equal(page.frames.pending, 0);
+    await idle();
+    assert.equal(page.frames.pending, 1);
+
+    // A hidden tab grounds it too, and it waits again once the tab is back
+    Object.defineProperty(page.document, 'hidden', { value: true, configurable: true });
+    page.document.dispatchEvent(new page.window.Event('visibilitychange'));
+    assert.equal(page.frames.pending, 0);
+    await idle();
+    assert.equal(page.frames.pending, 0);
+    Object.defineProperty(page.document, 'hidden', { value: false, configurable: true });
+    page.document.dispatchEvent(new page.window.Event('visibilitychange'));
+    await idle();
+    assert.equal(page.frames.pending, 1);
+
+    // After a minute of flying it lands and the start screen stops redrawing
+    page.frames.advance(RocketDodge.TICK_RATE * 60 + 10);
+    assert.equal(page.frames.pending, 0);
+
+    // Starting a run grounds the demo; the run flies its own seed
+    game.start();
+    assert.equal(game.getSeed(), 5);
+    assert.ok(playUntilCrash(page, game));
+    calls.length = 0;
+    page.frames.advance(300);
+    assert.equal(prompts(), 0);
+
+    // Reduced motion keeps the start screen still, and turning it off lets the demo fly again
+    const still = page.window.initGame('#embed', { reducedMotion: true, attractDelay: 0 });
+    await idle();
+    assert.equal(page.frames.pending, 0);
+    still.setAccessibility({ reducedMotion: false });
+    await idle();
+    assert.equal(page.frames.pending, 1);
+    still.setAccessibility({ reducedMotion: true });
+    assert.equal(page.frames.pending, 0);
+    page.window.initGame('#embed', { attract: false, reducedMotion: false, attractDelay: 0 });
+    await idle();
+    assert.equal(page.frames.pending, 0);
+});
+
+test('an autopilot run is marked and kept off the leaderboard and out of stats, achievements and the ghost', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const unlocked = [];
+    const game = page.window.initGame('#embed', { seed: 2, autopilot: true, onAchievement: (event) => unlocked.push(event.id) });
+    const calls = game.canvas.getContext('2d').calls;
+
+    // The autopilot keeps the rocket flying, then the player takes over and crashes
+    game.start();
+    page.frames.advance(600);
+    assert.ok(calls.some(call => call.method === 'fillText' && call.args[0] === '✈ AUTOPILOT'));
+    game.setAccessibility({ autopilot: false });
+    const over = playUntilCrash(page, game);
+    assert.ok(over.score > 600);
+    assert.equal(over.autopilot, true);
+    assert.equal(over.isHighScore, false);
+    assert.equal(over.highScore, 0);
+    assert.equal(game.getLeaderboard().length, 0);
+    assert.equal(game.getStats().runs, 0);
+    assert.deepEqual(unlocked, []);
+    assert.equal(game.getGhost(), null);
+    assert.equal(game.getUnlockedLevel(), 1);
+    // Its boosts are recorded like the player's own
+    assert.equal(RocketDodge.verifyRecording(game.exportRecording()).verified, true);
+
+    // The next run is the player's own again
+    game.start();
+    const own = playUntilCrash(page, game);
+    assert.equal(own.autopilot, false);
+    assert.equal(own.isHighScore, true);
+    assert.equal(game.getLeaderboard().length, 1);
+    assert.equal(game.getStats().runs, 1);
+});
+
+test('levels the autopilot reaches don\'t unlock start levels', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const levels = [];
+    const game = page.window.initGame('#embed', { autopilot: true, tuning: { pointsPerLevel: 30 }, onLevelUp: (event) => levels.push(event.level) });
+    game.start();
+    page.frames.advance(300);
+    assert.ok(levels.length >= 5);
+    assert.equal(game.getUnlockedLevel(), 1);
+    assert.equal(page.window.initGame('#embed').getUnlockedLevel(), 1);
+});
+
+test('a run started from a later level records it and still verifies', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed', { seed: 3, startLevel: 6 });
+
+    game.start();
+    playUntilCrash(page, game);
+    const recording = RocketDodge.decodeRecording(game.exportRecording());
+    assert.equal(recording.startLevel, 6);
+    assert.equal(RocketDodge.verifyRecording(recording).verified, true);
+});
+
+test('the old high score and unlocked level migrate into the versioned save', async (t) => {
+    const page = loadPage({
+        body: GAME_PAGE,
+        scripts: ['js/game.js'],
+        storage: { rocketDodgeHighScore: '420', rocketDodgeUnlockedLevel: '3' }
+    });
+    t.after(page.cleanup);
+    await page.ready;
+
+    const storage = page.window.localStorage;
+    const save = JSON.parse(storage.getItem('rocketDodgeSave'));
+    assert.equal(save.version, 1);
+    assert.equal(save.unlockedLevel, 3);
+    assert.deepEqual(save.leaderboard.map(entry => entry.score), [420]);
+    assert.equal(storage.getItem('rocketDodgeHighScore'), null);
+    assert.equal(storage.getItem('rocketDodgeUnlockedLevel'), null);
+    assert.equal(page.document.getElementById('highScoreDisplay').textContent, '420');
+
+    assert.deepEqual(RocketDodge.migrateSaveData('junk').leaderboard, []);
+});
+
+test('the canvas game-over screen takes a name for the run\'s entry', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed', { seed: 1 });
+    const calls = game.canvas.getContext('2d').calls;
+    const named = [];
+    game.on('nameentry', event => named.push(event.name));
+
+    game.start();
+    const over = playUntilCrash(page, game);
+    for (const key of ['A', 'c', 'x', 'Backspace', 'e']) pressKey(page.window, key, game.canvas);
+    page.frames.advance(1);
+    assert.ok(calls.some(call => call.method === 'fillText' && call.args[0] === 'Name: Ace_'));
+    pressKey(page.window, 'Enter', game.canvas);
+
+    assert.deepEqual(named, ['Ace']);
+    assert.deepEqual(Array.from(game.getLeaderboard(), entry => [entry.name, entry.score]), [['Ace', over.score]]);
+    assert.equal(game.getPlayerName(), 'Ace');
+
+    // The next run is filed under the remembered name
+    game.start();
+    playUntilCrash(page, game);
+    pressKey(page.window, 'Space', game.canvas);
+    assert.deepEqual(Array.from(game.getLeaderboard(), entry => entry.name), ['Ace', 'Ace']);
+});
+
+test('the game-over screen retries or goes back to the menu', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed', { seed: 1 });
+    game.canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 300 });
+    const calls = game.canvas.getContext('2d').calls;
+    let started = 0;
+    game.on('start', () => started++);
+
+    game.start();
+    playUntilCrash(page, game);
+    assert.deepEqual({ ...game.getMenu(), items: Array.from(game.getMenu().items) },
+        { screen: 'gameOver', focus: 'retry', items: ['retry', 'menu'] });
+    page.frames.advance(1);
+    assert.ok(calls.some(call => call.method === 'fillText' && call.args[0] === '🔄 Retry'));
+
+    // Half-size canvas: Retry is centered on (224, 372), Menu 52 below it
+    game.canvas.dispatchEvent(new page.window.MouseEvent('mousedown', { clientX: 112, clientY: 186 }));
+    assert.equal(started, 2);
+    playUntilCrash(page, game);
+
+    // ← → still switch the leaderboard tab; ↓ moves to Menu, and Enter (once the name is
+    // saved) goes back to the start screen's main menu
+    pressKey(page.window, 'ArrowRight', game.canvas);
+    assert.equal(game.getMenu().screen, 'gameOver');
+    pressKey(page.window, 'ArrowDown', game.canvas);
+    pressKey(page.window, 'Enter', game.canvas);
+    assert.equal(game.getMenu().focus, 'menu');
+    pressKey(page.window, 'Enter', game.canvas);
+    assert.equal(game.getMenu().screen, 'main');
+    assert.equal(started, 2);
+    calls.length = 0;
+    pressKey(page.window, 'Escape', game.canvas);
+    assert.ok(calls.some(call => call.method === 'fillText' && call.args[0] === 'Click or Press SPACE to Start!'));
+    pressKey(page.window, 'Space', game.canvas);
+    assert.equal(started, 3);
+});
+
+test('leaderboards export, import without duplicates and split today from all-time', (t) => {
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed');
+    const today = new Date().toISOString();
+
+    const added = game.importLeaderboard(JSON.stringify({
+        entries: [
+            { name: 'Old', score: 900, level: 2, date: '2020-01-01T00:00:00.000Z', seed: 1 },
+            { name: 'New', score: 300, level: 1, date: today, seed: 2, daily: true },
+            { name: 'Bad', score: 'lots' }
+        ]
+    }));
+    assert.equal(added, 2);
+    assert.deepEqual(Array.from(game.getLeaderboard('all'), entry => entry.name), ['Old', 'New']);
+    assert.deepEqual(Array.from(game.getLeaderboard('daily'), entry => entry.name), ['New']);
+
+    assert.equal(game.importLeaderboard(game.exportLeaderboard()), 0);
+    assert.equal(game.importLeaderboard('not json'), null);
+});
+
+test('host elements get the name box and a tabbed leaderboard', async (t) => {
+    const body = GAME_PAGE.replace('<button id="restartButton"></button>',
+        '<input id="playerName"><div id="leaderboard"></div><button id="restartButton"></button>');
+    const page = loadPage({ body: body, scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    await page.ready;
+    const game = page.window.rocketDodge;
+    const input = page.document.getElementById('playerName');
+    const board = page.document.getElementById('leaderboard');
+
+    game.start();
+    playUntilCrash(page, game);
+    assert.equal(input.disabled, false);
+    assert.equal(input.value, 'Player');
+
+    // Typing in the box doesn't restart the game
+    let started = 0;
+    game.on('start', () => started++);
+    pressKey(page.window, 'Space', input);
+    assert.equal(started, 0);
+
+    input.value = 'Jax';
+    input.dispatchEvent(new page.window.Event('change'));
+    assert.equal(input.disabled, true);
+    assert.equal(board.querySelector('.leaderboard-name').textContent, 'Jax');
+
+    board.querySelector('[data-tab="daily"]').click();
+    assert.equal(board.querySelector('[data-tab="daily"]').getAttribute('aria-selected'), 'true');
+    assert.equal(board.querySelectorAll('.leaderboard-list li').length, 1);
+});
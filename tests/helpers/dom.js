@@ -0,0 +1,210 @@
+// Test harness: loads a site script into jsdom with the browser APIs jsdom lacks
+// (canvas 2D context, requestAnimationFrame clock, matchMedia, IntersectionObserver, Web Audio)
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Canvas 2D context stand-in that records every call
+ */
+function createContextStub(canvas) {
+    const calls = [];
+    const target = {
+        canvas: canvas,
+        calls: calls,
+        createLinearGradient: () => ({ addColorStop() {} }),
+        createRadialGradient: () => ({ addColorStop() {} }),
+        measureText: (text) => ({ width: String(text).length * 10 })
+    };
+    return new Proxy(target, {
+        get(obj, key) {
+            if (key in obj) return obj[key];
+            if (typeof key === 'symbol') return undefined;
+            return (...args) => {
+                calls.push({ method: key, args: args });
+            };
+        }
+    });
+}
+
+/**
+ * Manual animation-frame clock, so tests decide exactly how much time passes
+ */
+function installFrameClock(window) {
+    let now = 0;
+    let nextId = 1;
+    const queue = new Map();
+
+    window.requestAnimationFrame = (callback) => {
+        const id = nextId++;
+        queue.set(id, callback);
+        return id;
+    };
+    window.cancelAnimationFrame = (id) => {
+        queue.delete(id);
+    };
+    Object.defineProperty(window.performance, 'now', { value: () => now, configurable: true });
+
+    return {
+        get pending() {
+            return queue.size;
+        },
+        now: () => now,
+        /**
+         * Run animation frames of the given length
+         * @param {number} count - Number of frames
+         * @param {number} frameMs - Milliseconds between frames (default: 60 Hz)
+         */
+        advance(count = 1, frameMs = 1000 / 60) {
+            for (let i = 0; i < count; i++) {
+                now += frameMs;
+                const callbacks = Array.from(queue.values());
+                queue.clear();
+                callbacks.forEach(callback => callback(now));
+            }
+        }
+    };
+}
+
+/**
+ * Web Audio stand-in that records the gain nodes made and every source started
+ */
+function installAudioStub(window) {
+    const log = { contexts: 0, gains: [], started: [] };
+    const param = () => ({
+        value: 1,
+        setValueAtTime() {},
+        linearRampToValueAtTime() {},
+        exponentialRampToValueAtTime() {}
+    });
+    const node = (kind, extra) => Object.assign({ kind: kind, connect() {}, disconnect() {} }, extra);
+
+    window.AudioContext = class {
+        constructor() {
+            log.contexts++;
+            this.state = 'running';
+            this.currentTime = 0;
+            this.sampleRate = 8000;
+            this.destination = node('destination');
+        }
+        resume() {
+            return Promise.resolve();
+        }
+        createGain() {
+            const gain = node('gain', { gain: param() });
+            log.gains.push(gain);
+            return gain;
+        }
+        createOscillator() {
+            return node('oscillator', { frequency: param(), start() { log.started.push('oscillator'); }, stop() {} });
+        }
+        createBufferSource() {
+            return node('buffer', { start() { log.started.push('buffer'); }, stop() {} });
+        }
+        createBiquadFilter() {
+            return node('filter', { frequency: param() });
+        }
+        createBuffer(channels, length) {
+            const samples = new Float32Array(length);
+            return { duration: length / this.sampleRate, getChannelData: () => samples };
+        }
+        decodeAudioData(data, resolve) {
+            resolve({ duration: 1 });
+        }
+    };
+    return log;
+}
+
+/**
+ * Create a page and run site scripts in it
+ * @param {Object} options - Page options
+ * @param {string} options.body - Body HTML
+ * @param {string[]} options.scripts - Script paths relative to the repo root
+ * @param {string} options.url - Page URL (default: http://localhost/index.html)
+ * @param {Object} options.storage - localStorage entries to seed before scripts run
+ * @param {boolean} options.reducedMotion - What prefers-reduced-motion reports
+ * @param {boolean} options.audio - Provide a recording AudioContext (default: none, like old browsers)
+ * @returns {Object} { window, document, frames, observed, audio, ready, cleanup }
+ */
+function loadPage(options = {}) {
+    const dom = new JSDOM(`<!DOCTYPE html><html><head></head><body>${options.body || ''}</body></html>`, {
+        url: options.url || 'http://localhost/index.html',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const window = dom.window;
+
+    window.HTMLCanvasElement.prototype.getContext = function() {
+        if (!this.__context) this.__context = createContextStub(this);
+        return this.__context;
+    };
+    window.matchMedia = (query) => ({
+        matches: query.includes('prefers-reduced-motion') ? !!options.reducedMotion : false,
+        media: query,
+        addEventListener() {},
+        removeEventListener() {}
+    });
+    window.Element.prototype.scrollIntoView = function(scrollOptions) {
+        this.__scrolledWith = Object.assign({}, scrollOptions);
+    };
+
+    const observed = [];
+    window.IntersectionObserver = class {
+        constructor(callback) {
+            this.callback = callback;
+        }
+        observe(element) {
+            observed.push({ element: element, observer: this });
+        }
+        unobserve() {}
+        disconnect() {}
+    };
+
+    Object.entries(options.storage || {}).forEach(([key, value]) => {
+        window.localStorage.setItem(key, value);
+    });
+
+    const frames = installFrameClock(window);
+    const audio = options.audio ? installAudioStub(window) : null;
+
+    (options.scripts || []).forEach(script => {
+        window.eval(fs.readFileSync(path.join(ROOT, script), 'utf8'));
+    });
+
+    // Resolves once the scripts' DOMContentLoaded handlers have run
+    const ready = new Promise(resolve => {
+        if (window.document.readyState === 'loading') {
+            window.document.addEventListener('DOMContentLoaded', () => resolve());
+        } else {
+            resolve();
+        }
+    });
+
+    return {
+        window: window,
+        document: window.document,
+        frames: frames,
+        observed: observed,
+        audio: audio,
+        ready: ready,
+        cleanup: () => window.close()
+    };
+}
+
+/**
+ * Dispatch a keydown for the given key code
+ */
+function pressKey(window, code, target = window.document) {
+    const event = new window.KeyboardEvent('keydown', { code: code, key: code === 'Space' ? ' ' : code, bubbles: true, cancelable: true });
+    target.dispatchEvent(event);
+    return event;
+}
+
+module.exports = {
+    ROOT,
+    loadPage,
+    pressKey
+};
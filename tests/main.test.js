@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/dom');
+
+const NAV = `
+    <nav class="navbar">
+        <div class="menu-toggle" aria-expanded="false"></div>
+        <ul class="nav-links">
+            <li><a href="index.html">Home</a></li>
+            <li><a href="hobbies.html">Hobbies</a></li>
+            <li><a href="game.html" class="active">Game</a></li>
+        </ul>
+    </nav>
+    <main id="content">
+        <a href="#about" id="toAbout">About</a>
+        <a href="#" id="toTop">Top</a>
+        <section id="about">About</section>
+    </main>`;
+
+/**
+ * Load main.js into a page and wait for its init to run
+ */
+async function loadMain(t, options = {}) {
+    const page = loadPage(Object.assign({ body: NAV, scripts: ['js/main.js'] }, options));
+    t.after(page.cleanup);
+    await page.ready;
+    return page;
+}
+
+test('the menu toggle flips the nav open and aria-expanded', async (t) => {
+    const { document } = await loadMain(t);
+    const toggle = document.querySelector('.menu-toggle');
+    const links = document.querySelector('.nav-links');
+
+    toggle.click();
+    assert.ok(links.classList.contains('active'));
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+
+    toggle.click();
+    assert.equal(links.classList.contains('active'), false);
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+});
+
+test('clicking outside the navbar closes the open menu', async (t) => {
+    const { document } = await loadMain(t);
+    const toggle = document.querySelector('.menu-toggle');
+    const links = document.querySelector('.nav-links');
+
+    toggle.click();
+    document.getElementById('about').click();
+    assert.equal(links.classList.contains('active'), false);
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+});
+
+test('clicking a nav link closes the open menu', async (t) => {
+    const { document } = await loadMain(t);
+    const toggle = document.querySelector('.menu-toggle');
+    const links = document.querySelector('.nav-links');
+
+    toggle.click();
+    links.querySelector('a[href="hobbies.html"]').dispatchEvent(
+        new document.defaultView.MouseEvent('click', { bubbles: true, cancelable: true }));
+    assert.equal(links.classList.contains('active'), false);
+});
+
+test('the nav link matching the current page is marked active', async (t) => {
+    const { document } = await loadMain(t, { url: 'http://localhost/site/hobbies.html' });
+    const active = Array.from(document.querySelectorAll('.nav-links a.active')).map(a => a.getAttribute('href'));
+    assert.deepEqual(active, ['hobbies.html']);
+});
+
+test('the site root marks the home link active', async (t) => {
+    const { document } = await loadMain(t, { url: 'http://localhost/' });
+    const active = Array.from(document.querySelectorAll('.nav-links a.active')).map(a => a.getAttribute('href'));
+    assert.deepEqual(active, ['index.html']);
+});
+
+test('in-page anchors scroll smoothly to their target', async (t) => {
+    const { window, document } = await loadMain(t);
+    const event = new window.MouseEvent('click', { bubbles: true, cancelable: true });
+
+    document.getElementById('toAbout').dispatchEvent(event);
+    assert.equal(event.defaultPrevented, true);
+    assert.deepEqual(document.getElementById('about').__scrolledWith, { behavior: 'smooth', block: 'start' });
+});
+
+test('a bare # anchor is left to the browser', async (t) => {
+    const { window, document } = await loadMain(t);
+    const event = new window.MouseEvent('click', { bubbles: true, cancelable: true });
+
+    document.getElementById('toTop').dispatchEvent(event);
+    assert.equal(event.defaultPrevented, false);
+});
+
+test('images get the loaded class on load and on error', async (t) => {
+    const { window, document } = await loadMain(t, {
+        body: NAV + '<img id="ok" src="a.webp"><img id="broken" src="missing.webp">'
+    });
+    window.console.error = () => {};
+
+    document.getElementById('ok').dispatchEvent(new window.Event('load'));
+    document.getElementById('broken').dispatchEvent(new window.Event('error'));
+    assert.ok(document.getElementById('ok').classList.contains('loaded'));
+    assert.ok(document.getElementById('broken').classList.contains('loaded'));
+});
+
+test('without native lazy loading, lazy images load as they scroll into view', async (t) => {
+    const { document, observed } = await loadMain(t, {
+        body: NAV + '<img id="lazy" loading="lazy" src="placeholder.webp" data-src="real.webp">'
+    });
+    const img = document.getElementById('lazy');
+    const entry = observed.find(item => item.element === img);
+    assert.ok(entry);
+
+    entry.observer.callback([{ isIntersecting: true, target: img }], entry.observer);
+    assert.ok(img.classList.contains('loaded'));
+    assert.match(img.src, /real\.webp$/);
+});
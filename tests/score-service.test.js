@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, pressKey } = require('./helpers/dom');
+const RocketDodge = require('../js/game.js');
+const { createMockScoreServer } = require('../tools/mock-score-server');
+
+/**
+ * Play a run headlessly, boosting whenever the rocket sinks below the middle
+ */
+function playRun(seed) {
+    const sim = RocketDodge.createSimulation({ seed: seed });
+    const state = sim.getState();
+    const boosts = [];
+    while (state.running && state.tick < 5000) {
+        const boost = state.rocket.y > 320 && state.rocket.velocity > 0;
+        if (boost) boosts.push(state.tick + 1);
+        sim.step({ boost: boost });
+    }
+    return {
+        version: RocketDodge.GAME_VERSION,
+        seed: state.seed,
+        width: 800,
+        height: 600,
+        boosts: boosts,
+        ticks: state.tick,
+        score: state.score,
+        level: state.level,
+        difficulty: 'normal',
+        startLevel: 1
+    };
+}
+
+/**
+ * Start a mock server for one test
+ */
+async function startServer(t) {
+    const mock = createMockScoreServer();
+    const url = await mock.listen();
+    t.after(mock.close);
+    return { mock: mock, url: url, service: RocketDodge.createHttpScoreService({ baseUrl: url }) };
+}
+
+test('the mock server accepts genuine runs and lists them best first', async (t) => {
+    const { service } = await startServer(t);
+    const run = playRun(1);
+    const daily = playRun(RocketDodge.normalizeSeed(`daily:${new Date().toISOString().slice(0, 10)}`));
+    const dailyAhead = daily.score > run.score;
+
+    const first = await service.submit(run.score, RocketDodge.createScorePayload(run, { name: 'Ann', level: run.level }));
+    assert.equal(first.rank, 1);
+    const second = await service.submit(daily.score, RocketDodge.createScorePayload(daily, { name: 'Bo', level: daily.level, daily: true }));
+    assert.equal(second.rank, dailyAhead ? 1 : 2);
+
+    const top = await service.fetchTop(5);
+    assert.deepEqual(top.map(entry => entry.name), dailyAhead ? ['Bo', 'Ann'] : ['Ann', 'Bo']);
+    assert.equal((await service.fetchTop(1)).length, 1);
+    // Today's board only has the daily challenge run
+    assert.deepEqual((await service.fetchTop(5, { daily: true })).map(entry => entry.score), [daily.score]);
+});
+
+test('edited scores and forged replays are rejected without a retry', async (t) => {
+    const { mock, service } = await startServer(t);
+    const run = playRun(3);
+    const payload = RocketDodge.createScorePayload(run, { name: 'Cy' });
+
+    await assert.rejects(service.submit(run.score + 1000, payload), error => {
+        assert.equal(error.status, 400);
+        assert.equal(error.retryable, false);
+        return /Checksum/.test(error.message);
+    });
+
+    // A consistent payload whose replay can't have scored that much
+    const forged = RocketDodge.createScorePayload(Object.assign({}, run, { score: run.score + 1000 }), { name: 'Cy' });
+    await assert.rejects(service.submit(forged.score, forged), /reproduce/);
+    assert.equal(mock.scores.length, 0);
+});
+
+test('replays on custom tuning or power-ups, another difficulty, an odd play area, a claimed level or a false daily are rejected', async (t) => {
+    const { mock, url, service } = await startServer(t);
+    const run = playRun(2);
+    const submit = (recording, meta) => {
+        const payload = RocketDodge.createScorePayload(recording, Object.assign({ name: 'Di', level: run.level }, meta));
+        return service.submit(payload.score, payload);
+    };
+
+    // Tuning that never spawns an obstacle would rank as a normal run
+    await assert.rejects(submit(Object.assign({}, run, { tuning: { obstacleFrequency: 1e9, gravity: 0.0005 } })), /tuning/);
+    await assert.rejects(submit(run, { difficulty: 'hard' }), /difficulty/);
+    await assert.rejects(submit(Object.assign({}, run, { width: 100000 })), /play area/);
+    await assert.rejects(submit(Object.assign({}, run, { ticks: 1e9 })), /length/);
+    await assert.rejects(submit(run, { level: run.level + 3 }), /level/);
+    // Fewer power-ups on the course are as much a custom game as tuning
+    for (const powerUps of [['multiplier'], ['shield', 'extraLife'], []]) {
+        await assert.rejects(submit(Object.assign({}, run, { powerUps: powerUps })), /power-ups/);
+    }
+    // A daily run must fly that day's seed: not any seed, and not another day's
+    const day = '2026-10-19';
+    const daily = playRun(RocketDodge.normalizeSeed(`daily:${day}`));
+    await assert.rejects(submit(run, { daily: true, date: `${day}T12:00:00.000Z` }), /daily/);
+    await assert.rejects(submit(daily, { level: daily.level, daily: true, date: '2026-10-20T12:00:00.000Z' }), /daily/);
+    await assert.rejects(submit(run, { date: 'yesterday' }), /date/);
+    assert.equal(mock.scores.length, 0);
+
+    await submit(run, { date: `${day}T09:00:00.000Z` });
+    await submit(daily, { level: daily.level, daily: true, date: `${day}T12:00:00.000Z` });
+    assert.equal(mock.scores.length, 2);
+    // Only daily runs make the day's board
+    const { scores } = await (await fetch(`${url}/scores?day=${day}`)).json();
+    assert.deepEqual(scores.map(entry => entry.daily), [day]);
+});
+
+test('outages and network failures are reported as retryable', async (t) => {
+    const { mock, service } = await startServer(t);
+    mock.failNext(1);
+    await assert.rejects(service.fetchTop(), error => error.retryable === true && error.status === 503);
+
+    const offline = RocketDodge.createHttpScoreService({
+        baseUrl: 'http://example.invalid',
+        fetch: () => Promise.reject(new TypeError('Failed to fetch'))
+    });
+    await assert.rejects(offline.fetchTop(), error => error.retryable === true);
+});
+
+test('a game queues runs while the service is down and sends them once it is back', async (t) => {
+    const { mock, service } = await startServer(t);
+    const page = loadPage({ body: '<div id="embed"></div>', scripts: ['js/game.js'] });
+    t.after(page.cleanup);
+    const game = page.window.initGame('#embed', { seed: 4, scoreService: service });
+    const events = [];
+    ['scorequeued', 'scoresubmitted'].forEach(type => game.on(type, event => events.push([type, event])));
+
+    mock.failNext(1);
+    game.start();
+    let over = null;
+    game.on('gameover', event => { over = event; });
+    for (let i = 0; i < 600 && !over; i++) page.frames.advance(1);
+
+    // Held back until the name prompt is answered
+    assert.equal(game.getPendingScores(), 1);
+    assert.deepEqual(events, []);
+    for (const key of ['D', 'e', 'e', 'Enter']) pressKey(page.window, key, game.canvas);
+    assert.equal(await game.flushScores(), 1);
+    assert.equal(events[0][0], 'scorequeued');
+    assert.equal(events[0][1].attempts, 1);
+
+    assert.equal(await game.flushScores(), 0);
+    assert.equal(events[1][0], 'scoresubmitted');
+    assert.deepEqual([mock.scores[0].name, mock.scores[0].score], ['Dee', over.score]);
+    assert.equal((await game.fetchTopScores(3))[0].name, 'Dee');
+    game.destroy();
+});
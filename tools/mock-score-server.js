@@ -0,0 +1,200 @@
+// Mock Rocket Dodge score server for local development and tests
+//
+// REST contract (JSON in and out, CORS open to any origin):
+//   POST /scores
+//     body: { version, name, score, level, difficulty, seed, daily, date, recording, checksum }
+//           as built by RocketDodge.createScorePayload
+//     201 { id, rank }   accepted; rank is the all-time position
+//     400 { error }      malformed, wrong checksum, or the replay doesn't reproduce the score
+//                        (replays must use a difficulty preset without custom tuning or power-ups,
+//                        on a play area the game can produce, and no longer than the server's tick
+//                        limit; a daily run must fly that day's seed and be dated that day)
+//   GET /scores?limit=10[&day=YYYY-MM-DD]
+//     200 { scores: [{ id, name, score, level, difficulty, daily, date }] }   best first; with
+//                        day, only that day's daily-challenge runs
+//
+// Usage: node tools/mock-score-server.js [port]   (default: 8787)
+
+'use strict';
+
+const http = require('http');
+const RocketDodge = require('../js/game.js');
+
+const DEFAULT_PORT = 8787;
+const MAX_BODY_BYTES = 256 * 1024;
+
+// Longest replay the server re-simulates: 30 minutes of play
+const DEFAULT_MAX_TICKS = RocketDodge.TICK_RATE * 60 * 30;
+
+// Largest side of an accepted play area; the shortest side is never under RocketDodge.MIN_VIEW_SIZE
+const MAX_VIEW_SIZE = 2048;
+
+/**
+ * Create an in-memory score server
+ * @param {Object} options - Server options
+ * @param {boolean} options.verifyReplays - Re-simulate each replay before accepting it (default: true)
+ * @param {number} options.maxTicks - Longest replay accepted, in ticks (default: 30 minutes)
+ * @returns {Object} { server, scores, listen(port), close(), failNext(count) }
+ */
+function createMockScoreServer(options = {}) {
+    const verifyReplays = options.verifyReplays !== false;
+    const maxTicks = options.maxTicks || DEFAULT_MAX_TICKS;
+    const scores = [];
+    let nextId = 1;
+    let failures = 0;
+
+    const server = http.createServer((req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        // Simulated outage, so clients can exercise their retry path
+        if (failures > 0) {
+            failures--;
+            send(res, 503, { error: 'Service unavailable' });
+            return;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== '/scores') {
+            send(res, 404, { error: 'Not found' });
+        } else if (req.method === 'GET') {
+            send(res, 200, { scores: listScores(url.searchParams) });
+        } else if (req.method === 'POST') {
+            readJson(req).then(payload => {
+                const error = checkPayload(payload);
+                if (error) {
+                    send(res, 400, { error: error });
+                    return;
+                }
+                const entry = {
+                    id: nextId++,
+                    name: payload.name,
+                    score: payload.score,
+                    level: payload.level,
+                    difficulty: payload.difficulty,
+                    daily: payload.daily || null,
+                    date: payload.date
+                };
+                scores.push(entry);
+                scores.sort((a, b) => b.score - a.score || a.id - b.id);
+                send(res, 201, { id: entry.id, rank: scores.indexOf(entry) + 1 });
+            }, () => send(res, 400, { error: 'Body must be JSON' }));
+        } else {
+            send(res, 405, { error: 'Method not allowed' });
+        }
+    });
+
+    return {
+        server: server,
+        scores: scores,
+        listen: (port = 0) => new Promise(resolve => {
+            server.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+        }),
+        close: () => new Promise(resolve => server.close(() => resolve())),
+        failNext: (count = 1) => { failures = count; }
+    };
+
+    /**
+     * Best scores first, optionally only one day's
+     */
+    function listScores(params) {
+        const limit = Math.max(1, Math.min(100, parseInt(params.get('limit'), 10) || 10));
+        const day = params.get('day');
+        return scores
+            .filter(entry => !day || entry.daily === day)
+            .slice(0, limit);
+    }
+
+    /**
+     * Reason to reject a submission, or null if it checks out
+     */
+    function checkPayload(payload) {
+        if (!payload || typeof payload !== 'object') return 'Missing payload';
+        if (!Number.isInteger(payload.score) || payload.score < 0) return 'Invalid score';
+        if (typeof payload.name !== 'string' || !payload.name.trim()) return 'Invalid name';
+        if (payload.checksum !== RocketDodge.scoreChecksum(payload)) return 'Checksum mismatch';
+
+        const recording = RocketDodge.decodeRecording(payload.recording);
+        if (!recording) return 'Unreadable replay';
+        if (recording.score !== payload.score || recording.seed !== payload.seed) return 'Replay does not match the score';
+        // Only the presets are ranked; tuning or a hand-picked set of power-ups could make a run as
+        // easy as the client likes
+        if (recording.tuning) return 'Replays with custom tuning are not accepted';
+        if (recording.powerUps) return 'Replays with custom power-ups are not accepted';
+        if (!RocketDodge.DIFFICULTIES[payload.difficulty] || (recording.difficulty || 'normal') !== payload.difficulty) {
+            return 'Replay difficulty does not match';
+        }
+        if (!isViewSize(recording.width, recording.height)) return 'Replay play area is out of range';
+        if (typeof payload.date !== 'string' || isNaN(Date.parse(payload.date))) return 'Invalid date';
+        if (payload.daily !== null && payload.daily !== undefined && (payload.daily !== payload.date.slice(0, 10) ||
+            recording.seed !== RocketDodge.normalizeSeed(`daily:${payload.daily}`))) {
+            return 'Replay is not that day\'s daily challenge';
+        }
+        if (!Number.isInteger(recording.ticks) || recording.ticks < 1 || recording.ticks > maxTicks) {
+            return 'Replay length is out of range';
+        }
+        if (verifyReplays) {
+            const result = RocketDodge.verifyRecording(recording, { maxTicks: maxTicks });
+            if (!result || !result.verified) return 'Replay does not reproduce the score';
+            if (result.level !== payload.level) return 'Replay does not reach that level';
+        }
+        return null;
+    }
+
+    /**
+     * Whether a play area is one the game could have run on
+     */
+    function isViewSize(width, height) {
+        return Number.isInteger(width) && Number.isInteger(height) &&
+            Math.min(width, height) >= RocketDodge.MIN_VIEW_SIZE &&
+            Math.max(width, height) <= MAX_VIEW_SIZE;
+    }
+}
+
+/**
+ * Read a JSON request body
+ */
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new Error('Body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch(e) {
+                reject(e);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Write a JSON response
+ */
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+module.exports = { createMockScoreServer };
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2], 10) || DEFAULT_PORT;
+    createMockScoreServer().listen(port).then(url => {
+        console.log(`Mock score server listening on ${url}/scores`);
+    });
+}